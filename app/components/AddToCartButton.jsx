@@ -1,4 +1,7 @@
+import {useId} from 'react';
 import {CartForm} from '@shopify/hydrogen';
+import {CART_FEEDBACK_KEYS} from '~/lib/cartFeedback';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @param {{
@@ -16,8 +19,17 @@ export function AddToCartButton({
   lines,
   onClick,
 }) {
+  const locale = useSelectedLocale();
+  // A fetcher per button, so adding another product doesn't cancel a pending
+  // add. The shared prefix lets the cart find their feedback.
+  const fetcherKey = `${CART_FEEDBACK_KEYS.linesAdd}:${useId()}`;
   return (
-    <CartForm route="/cart" inputs={{lines}} action={CartForm.ACTIONS.LinesAdd}>
+    <CartForm
+      fetcherKey={fetcherKey}
+      route={localizePath('/cart', locale)}
+      inputs={{lines}}
+      action={CartForm.ACTIONS.LinesAdd}
+    >
       {(fetcher) => (
         <>
           <input
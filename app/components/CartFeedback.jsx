@@ -0,0 +1,61 @@
+import {useEffect, useState} from 'react';
+import {useFetcher, useFetchers} from 'react-router';
+import {CART_FEEDBACK_KEYS} from '~/lib/cartFeedback';
+
+/**
+ * Feedback of the last submission of a cart form, see `~/lib/cartFeedback`.
+ * Cleared while the form is submitted again.
+ * @param {string} fetcherKey - Key of the form fetcher
+ * @returns {CartFeedback[]}
+ */
+export function useCartFeedback(fetcherKey) {
+  /** @type {FetcherWithComponents<{feedback?: CartFeedback[]}>} */
+  const fetcher = useFetcher({key: fetcherKey});
+  return (fetcher.state === 'idle' && fetcher.data?.feedback) || [];
+}
+
+/**
+ * Feedback of the last add to cart. Each `AddToCartButton` has its own
+ * fetcher, keyed with the `linesAdd` prefix. Cleared while a product is added.
+ * @returns {CartFeedback[]}
+ */
+export function useCartLinesAddFeedback() {
+  const [lastKey, setLastKey] = useState(/** @type {string | null} */ (null));
+  const fetchers = useFetchers().filter(({key}) =>
+    key.startsWith(`${CART_FEEDBACK_KEYS.linesAdd}:`),
+  );
+  const pendingKey = fetchers.find(({state}) => state !== 'idle')?.key;
+
+  useEffect(() => {
+    if (pendingKey) setLastKey(pendingKey);
+  }, [pendingKey]);
+
+  if (pendingKey) return [];
+
+  /** @type {{feedback?: CartFeedback[]} | undefined} */
+  const data = fetchers.find(({key}) => key === lastKey)?.data;
+  return data?.feedback ?? [];
+}
+
+/**
+ * @param {{feedback: CartFeedback[]}}
+ */
+export function CartFeedbackMessages({feedback}) {
+  if (!feedback.length) return null;
+
+  return (
+    <ul className="cart-feedback" role="alert">
+      {feedback.map(({code, lineId, message, tone}) => (
+        <li
+          key={`${code}:${lineId}:${message}`}
+          className={`cart-feedback-${tone}`}
+        >
+          <small>{message}</small>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/** @typedef {import('~/lib/cartFeedback').CartFeedback} CartFeedback */
+/** @typedef {import('react-router').FetcherWithComponents} FetcherWithComponents */
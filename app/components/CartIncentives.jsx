@@ -0,0 +1,75 @@
+import {Suspense} from 'react';
+import {Await, useRouteLoaderData} from 'react-router';
+import {Money} from '@shopify/hydrogen';
+import {getIncentiveProgress} from '~/lib/cartIncentives';
+
+/**
+ * Progress towards the next cart incentive (free shipping, gift with
+ * purchase) and the incentives already unlocked. The tiers are deferred by
+ * the root loader, see `~/lib/cartIncentives`.
+ * @param {{cart: CartApiQueryFragment | null}}
+ */
+export function CartIncentives({cart}) {
+  /** @type {RootLoader | undefined} */
+  const data = useRouteLoaderData('root');
+  if (!data?.cartIncentives) return null;
+
+  return (
+    <Suspense fallback={null}>
+      <Await resolve={data.cartIncentives} errorElement={null}>
+        {(incentives) => (
+          <CartIncentivesProgress
+            progress={getIncentiveProgress(incentives, cart)}
+          />
+        )}
+      </Await>
+    </Suspense>
+  );
+}
+
+/**
+ * @param {{progress: IncentiveProgress | null}}
+ */
+function CartIncentivesProgress({progress}) {
+  if (!progress) return null;
+
+  const {currencyCode, subtotal, tiers} = progress;
+  const next = tiers.find((tier) => !tier.reached);
+  const unlocked = tiers.filter((tier) => tier.reached);
+  const goal = next?.threshold ?? tiers[tiers.length - 1].threshold;
+
+  return (
+    <div className="cart-incentives">
+      {next ? (
+        <p>
+          Spend{' '}
+          <Money
+            as="strong"
+            data={{amount: next.remaining.toFixed(2), currencyCode}}
+          />{' '}
+          more to get {next.incentive.label}.
+        </p>
+      ) : (
+        <p>You&rsquo;ve unlocked every offer!</p>
+      )}
+      <progress
+        aria-label="Progress towards the next offer"
+        max={goal}
+        value={Math.min(subtotal, goal)}
+      />
+      {unlocked.length > 0 && (
+        <ul>
+          {unlocked.map(({incentive}) => (
+            <li key={incentive.id}>
+              <small>&#10003; You&rsquo;ve unlocked {incentive.label}</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/** @typedef {import('~/lib/cartIncentives').IncentiveProgress} IncentiveProgress */
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
+/** @typedef {import('~/root').RootLoader} RootLoader */
@@ -1,4 +1,9 @@
-import {CartForm, Image} from '@shopify/hydrogen';
+import {CartForm, Image, Money} from '@shopify/hydrogen';
+import {CartFeedbackMessages, useCartFeedback} from '~/components/CartFeedback';
+import {isGiftWrapLine} from '~/lib/cartAttributes';
+import {isGiftLine} from '~/lib/cartIncentives';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {SaveForLaterButton} from '~/components/Wishlist';
 import {useVariantUrl} from '~/lib/variants';
 import {Link} from 'react-router';
 import {ProductPrice} from './ProductPrice';
@@ -10,13 +15,22 @@ import {useAside} from './Aside';
  * @param {{
  *   layout: CartLayout;
  *   line: CartLine;
+ *   feedback?: CartFeedback[];
  * }}
  */
-export function CartLineItem({layout, line}) {
+export function CartLineItem({layout, line, feedback = []}) {
   const {id, merchandise} = line;
   const {product, title, image, selectedOptions} = merchandise;
   const lineItemUrl = useVariantUrl(product.handle, selectedOptions);
   const {close} = useAside();
+  // The quantity and remove buttons of the line, and what `CartMain` found
+  // for this line in the other cart forms
+  const lineFeedback = [
+    ...useCartFeedback(getUpdateKey([id])).filter(
+      (item) => !item.lineId || item.lineId === id,
+    ),
+    ...feedback,
+  ];
 
   return (
     <li key={id} className="cart-line">
@@ -55,12 +69,57 @@ export function CartLineItem({layout, line}) {
             </li>
           ))}
         </ul>
-        <CartLineQuantity line={line} />
+        {line.sellingPlanAllocation && (
+          <CartLineSellingPlan allocation={line.sellingPlanAllocation} />
+        )}
+        {isGiftLine(line) ? (
+          // Gifts with purchase are added and removed with the cart subtotal
+          <p className="cart-line-gift">
+            <small>Free gift with your order</small>
+          </p>
+        ) : isGiftWrapLine(line) ? (
+          // Added and removed with the gift options in the cart summary
+          <p className="cart-line-gift">
+            <small>Gift wrapping for your order</small>
+          </p>
+        ) : (
+          <>
+            <CartLineQuantity line={line} />
+            <SaveForLaterButton line={line} />
+          </>
+        )}
+        <CartFeedbackMessages feedback={lineFeedback} />
       </div>
     </li>
   );
 }
 
+/**
+ * The selling plan a line is bought with, and the balance left to pay for
+ * pre-orders with a deposit
+ * @param {{allocation: NonNullable<CartLine['sellingPlanAllocation']>}}
+ */
+function CartLineSellingPlan({allocation}) {
+  const {sellingPlan, checkoutChargeAmount, remainingBalanceChargeAmount} =
+    allocation;
+  const hasBalance = Number(remainingBalanceChargeAmount.amount) > 0;
+
+  return (
+    <p className="cart-line-selling-plan">
+      <small>
+        {sellingPlan.name}
+        {hasBalance && (
+          <>
+            {' '}
+            · <Money data={checkoutChargeAmount} /> today,{' '}
+            <Money data={remainingBalanceChargeAmount} /> when it ships
+          </>
+        )}
+      </small>
+    </p>
+  );
+}
+
 /**
  * Provides the controls to update the quantity of a line item in the cart.
  * These controls are disabled when the line item is new, and the server
@@ -113,10 +172,11 @@ function CartLineQuantity({line}) {
  * }}
  */
 function CartLineRemoveButton({lineIds, disabled}) {
+  const locale = useSelectedLocale();
   return (
     <CartForm
       fetcherKey={getUpdateKey(lineIds)}
-      route="/cart"
+      route={localizePath('/cart', locale)}
       action={CartForm.ACTIONS.LinesRemove}
       inputs={{lineIds}}
     >
@@ -134,12 +194,13 @@ function CartLineRemoveButton({lineIds, disabled}) {
  * }}
  */
 function CartLineUpdateButton({children, lines}) {
+  const locale = useSelectedLocale();
   const lineIds = lines.map((line) => line.id);
 
   return (
     <CartForm
       fetcherKey={getUpdateKey(lineIds)}
-      route="/cart"
+      route={localizePath('/cart', locale)}
       action={CartForm.ACTIONS.LinesUpdate}
       inputs={{lines}}
     >
@@ -160,6 +221,7 @@ function getUpdateKey(lineIds) {
 }
 
 /** @typedef {OptimisticCartLine<CartApiQueryFragment>} CartLine */
+/** @typedef {import('~/lib/cartFeedback').CartFeedback} CartFeedback */
 
 /** @typedef {import('@shopify/hydrogen/storefront-api-types').CartLineUpdateInput} CartLineUpdateInput */
 /** @typedef {import('~/components/CartMain').CartLayout} CartLayout */
@@ -1,8 +1,14 @@
 import {useOptimisticCart} from '@shopify/hydrogen';
 import {Link} from 'react-router';
 import {useAside} from '~/components/Aside';
+import {
+  CartFeedbackMessages,
+  useCartLinesAddFeedback,
+} from '~/components/CartFeedback';
+import {CartIncentives} from '~/components/CartIncentives';
 import {CartLineItem} from '~/components/CartLineItem';
 import {CartSummary} from './CartSummary';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * The main cart component that displays the cart items and summary.
@@ -15,20 +21,33 @@ export function CartMain({layout, cart: originalCart}) {
   const cart = useOptimisticCart(originalCart);
 
   const linesCount = Boolean(cart?.lines?.nodes?.length || 0);
-  const withDiscount =
-    cart &&
-    Boolean(cart?.discountCodes?.filter((code) => code.applicable)?.length);
+  const withDiscount = cart && Boolean(cart?.discountCodes?.length);
   const className = `cart-main ${withDiscount ? 'with-discount' : ''}`;
   const cartHasItems = cart?.totalQuantity ? cart.totalQuantity > 0 : false;
 
+  // Products added from the product pages and recommendations, shown on their
+  // line or with the cart when the line couldn't be added
+  const lines = cart?.lines?.nodes ?? [];
+  const addFeedback = useCartLinesAddFeedback();
+  const cartFeedback = addFeedback.filter(
+    (item) => !lines.some((line) => line.id === item.lineId),
+  );
+
   return (
     <div className={className}>
       <CartEmpty hidden={linesCount} layout={layout} />
       <div className="cart-details">
+        <CartFeedbackMessages feedback={cartFeedback} />
+        {cartHasItems && <CartIncentives cart={cart} />}
         <div aria-labelledby="cart-lines">
           <ul>
-            {(cart?.lines?.nodes ?? []).map((line) => (
-              <CartLineItem key={line.id} line={line} layout={layout} />
+            {lines.map((line) => (
+              <CartLineItem
+                key={line.id}
+                line={line}
+                layout={layout}
+                feedback={addFeedback.filter((item) => item.lineId === line.id)}
+              />
             ))}
           </ul>
         </div>
@@ -45,6 +64,7 @@ export function CartMain({layout, cart: originalCart}) {
  * }}
  */
 function CartEmpty({hidden = false}) {
+  const locale = useSelectedLocale();
   const {close} = useAside();
   return (
     <div hidden={hidden}>
@@ -54,7 +74,11 @@ function CartEmpty({hidden = false}) {
         started!
       </p>
       <br />
-      <Link to="/collections" onClick={close} prefetch="viewport">
+      <Link
+        to={localizePath('/collections', locale)}
+        onClick={close}
+        prefetch="viewport"
+      >
         Continue shopping →
       </Link>
     </div>
@@ -1,6 +1,19 @@
 import {CartForm, Money} from '@shopify/hydrogen';
-import {useEffect, useRef} from 'react';
+import {useEffect, useRef, useState} from 'react';
 import {useFetcher} from 'react-router';
+import {
+  GIFT_MESSAGE_ATTRIBUTE,
+  GIFT_WRAP_ATTRIBUTE,
+  MAX_GIFT_MESSAGE_LENGTH,
+  MAX_NOTE_LENGTH,
+  OCCASION_DATE_ATTRIBUTE,
+  getAttribute,
+  getMinOccasionDate,
+} from '~/lib/cartAttributes';
+import {CART_FEEDBACK_KEYS} from '~/lib/cartFeedback';
+import {CART_SHARE_PATH} from '~/lib/cartShare';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {CartFeedbackMessages, useCartFeedback} from '~/components/CartFeedback';
 
 /**
  * @param {CartSummaryProps}
@@ -24,6 +37,13 @@ export function CartSummary({cart, layout}) {
       </dl>
       <CartDiscounts discountCodes={cart?.discountCodes} />
       <CartGiftCard giftCardCodes={cart?.appliedGiftCards} />
+      {/* Collapsed in the aside to keep the lines visible */}
+      <details className="cart-extras" open={layout === 'page'}>
+        <summary>Gift options, order note &amp; sharing</summary>
+        <CartGiftOptions attributes={cart?.attributes} />
+        <CartNote note={cart?.note} />
+        <CartShare />
+      </details>
       <CartCheckoutActions checkoutUrl={cart?.checkoutUrl} />
     </div>
   );
@@ -51,10 +71,15 @@ function CartCheckoutActions({checkoutUrl}) {
  * }}
  */
 function CartDiscounts({discountCodes}) {
-  const codes =
+  // Codes that don't apply yet stay on the cart, checkout applies them once
+  // the cart is eligible
+  const codes = discountCodes?.map(({code}) => code) || [];
+  const appliedCodes =
     discountCodes
       ?.filter((discount) => discount.applicable)
       ?.map(({code}) => code) || [];
+  const pendingCodes = codes.filter((code) => !appliedCodes.includes(code));
+  const feedback = useCartFeedback(CART_FEEDBACK_KEYS.discountCodes);
 
   return (
     <div>
@@ -64,7 +89,14 @@ function CartDiscounts({discountCodes}) {
           <dt>Discount(s)</dt>
           <UpdateDiscountForm>
             <div className="cart-discount">
-              <code>{codes?.join(', ')}</code>
+              {appliedCodes.length > 0 && (
+                <code>{appliedCodes.join(', ')}</code>
+              )}
+              {pendingCodes.length > 0 && (
+                <small>
+                  <code>{pendingCodes.join(', ')}</code> not eligible yet
+                </small>
+              )}
               &nbsp;
               <button>Remove</button>
             </div>
@@ -80,6 +112,7 @@ function CartDiscounts({discountCodes}) {
           <button type="submit">Apply</button>
         </div>
       </UpdateDiscountForm>
+      <CartFeedbackMessages feedback={feedback} />
     </div>
   );
 }
@@ -91,9 +124,11 @@ function CartDiscounts({discountCodes}) {
  * }}
  */
 function UpdateDiscountForm({discountCodes, children}) {
+  const locale = useSelectedLocale();
   return (
     <CartForm
-      route="/cart"
+      fetcherKey={CART_FEEDBACK_KEYS.discountCodes}
+      route={localizePath('/cart', locale)}
       action={CartForm.ACTIONS.DiscountCodesUpdate}
       inputs={{
         discountCodes: discountCodes || [],
@@ -112,7 +147,10 @@ function UpdateDiscountForm({discountCodes, children}) {
 function CartGiftCard({giftCardCodes}) {
   const appliedGiftCardCodes = useRef([]);
   const giftCardCodeInput = useRef(null);
-  const giftCardAddFetcher = useFetcher({key: 'gift-card-add'});
+  const giftCardAddFetcher = useFetcher({
+    key: CART_FEEDBACK_KEYS.giftCardCodes,
+  });
+  const feedback = useCartFeedback(CART_FEEDBACK_KEYS.giftCardCodes);
 
   // Clear the gift card code input after the gift card is added
   useEffect(() => {
@@ -152,7 +190,7 @@ function CartGiftCard({giftCardCodes}) {
       <UpdateGiftCardForm
         giftCardCodes={appliedGiftCardCodes.current}
         saveAppliedCode={saveAppliedCode}
-        fetcherKey="gift-card-add"
+        fetcherKey={CART_FEEDBACK_KEYS.giftCardCodes}
       >
         <div>
           <input
@@ -167,6 +205,7 @@ function CartGiftCard({giftCardCodes}) {
           </button>
         </div>
       </UpdateGiftCardForm>
+      <CartFeedbackMessages feedback={feedback} />
     </div>
   );
 }
@@ -185,10 +224,11 @@ function UpdateGiftCardForm({
   fetcherKey,
   children,
 }) {
+  const locale = useSelectedLocale();
   return (
     <CartForm
       fetcherKey={fetcherKey}
-      route="/cart"
+      route={localizePath('/cart', locale)}
       action={CartForm.ACTIONS.GiftCardCodesUpdate}
       inputs={{
         giftCardCodes: giftCardCodes || [],
@@ -212,9 +252,10 @@ function UpdateGiftCardForm({
  * }}
  */
 function RemoveGiftCardForm({giftCardId, children}) {
+  const locale = useSelectedLocale();
   return (
     <CartForm
-      route="/cart"
+      route={localizePath('/cart', locale)}
       action={CartForm.ACTIONS.GiftCardCodesRemove}
       inputs={{
         giftCardCodes: [giftCardId],
@@ -226,6 +267,167 @@ function RemoveGiftCardForm({giftCardId, children}) {
 }
 
 /**
+ * Gift wrapping with a message and the occasion date, saved as cart
+ * attributes
+ * @param {{attributes?: CartApiQueryFragment['attributes']}}
+ */
+function CartGiftOptions({attributes}) {
+  const locale = useSelectedLocale();
+  const savedGiftWrap = getAttribute(attributes, GIFT_WRAP_ATTRIBUTE) !== '';
+  const [giftWrap, setGiftWrap] = useState(savedGiftWrap);
+  const fetcher = useFetcher({key: CART_FEEDBACK_KEYS.giftOptions});
+  const feedback = useCartFeedback(CART_FEEDBACK_KEYS.giftOptions);
+
+  // Follow the saved value, e.g. after another tab changed it
+  useEffect(() => setGiftWrap(savedGiftWrap), [savedGiftWrap]);
+
+  return (
+    <CartForm
+      fetcherKey={CART_FEEDBACK_KEYS.giftOptions}
+      route={localizePath('/cart', locale)}
+      action={CartForm.ACTIONS.AttributesUpdateInput}
+      inputs={{}}
+    >
+      <fieldset className="cart-gift-options">
+        <legend>Gift options</legend>
+        <label>
+          <input
+            type="checkbox"
+            name="giftWrap"
+            checked={giftWrap}
+            onChange={(event) => setGiftWrap(event.target.checked)}
+          />{' '}
+          Gift wrap my order
+        </label>
+        {giftWrap && (
+          <label>
+            Gift message
+            <textarea
+              name="giftMessage"
+              defaultValue={getAttribute(attributes, GIFT_MESSAGE_ATTRIBUTE)}
+              maxLength={MAX_GIFT_MESSAGE_LENGTH}
+              rows={2}
+            />
+          </label>
+        )}
+        <label>
+          Ordering for an occasion? Let us know the date
+          <input
+            type="date"
+            name="occasionDate"
+            defaultValue={getAttribute(attributes, OCCASION_DATE_ATTRIBUTE)}
+            min={getMinOccasionDate()}
+          />
+        </label>
+        <button type="submit" disabled={fetcher.state !== 'idle'}>
+          Save gift options
+        </button>
+        <CartFeedbackMessages feedback={feedback} />
+      </fieldset>
+    </CartForm>
+  );
+}
+
+/**
+ * @param {{note?: string | null}}
+ */
+function CartNote({note}) {
+  const locale = useSelectedLocale();
+  const fetcher = useFetcher({key: CART_FEEDBACK_KEYS.note});
+  const feedback = useCartFeedback(CART_FEEDBACK_KEYS.note);
+
+  return (
+    <CartForm
+      fetcherKey={CART_FEEDBACK_KEYS.note}
+      route={localizePath('/cart', locale)}
+      action={CartForm.ACTIONS.NoteUpdate}
+      inputs={{}}
+    >
+      <label className="cart-note">
+        Order note
+        <textarea
+          name="note"
+          defaultValue={note ?? ''}
+          maxLength={MAX_NOTE_LENGTH}
+          placeholder="Special instructions for your order"
+          rows={2}
+        />
+      </label>
+      <button type="submit" disabled={fetcher.state !== 'idle'}>
+        Save note
+      </button>
+      <CartFeedbackMessages feedback={feedback} />
+    </CartForm>
+  );
+}
+
+/**
+ * Creates a signed link to the cart, for gift lists and styling advice. The
+ * link keeps the cart as it was when shared, see `~/lib/cartShare`.
+ */
+function CartShare() {
+  const locale = useSelectedLocale();
+  /** @type {FetcherWithComponents<CartShareActionData>} */
+  const fetcher = useFetcher({key: 'cart-share'});
+  const [copied, setCopied] = useState(false);
+  const url = fetcher.data?.url;
+
+  useEffect(() => setCopied(false), [url]);
+
+  async function copyUrl() {
+    if (!url) return;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      // Clipboard access denied, the link can still be copied from the input
+    }
+  }
+
+  function shareUrl() {
+    if (!url) return;
+    navigator.share({title: 'My cart', url}).catch(() => {
+      // Share sheet dismissed
+    });
+  }
+
+  return (
+    <div className="cart-share">
+      <fetcher.Form
+        method="post"
+        action={localizePath(CART_SHARE_PATH, locale)}
+      >
+        <button type="submit" disabled={fetcher.state !== 'idle'}>
+          {url ? 'Update share link' : 'Share this cart'}
+        </button>
+      </fetcher.Form>
+      {fetcher.data?.error && <p role="alert">{fetcher.data.error}</p>}
+      {url && (
+        <div className="cart-share-link">
+          <input
+            type="text"
+            readOnly
+            value={url}
+            aria-label="Shareable cart link"
+            onFocus={(event) => event.target.select()}
+          />
+          <button type="button" onClick={copyUrl}>
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+          {/* Only rendered once a link was created, in the browser */}
+          {'share' in navigator && (
+            <button type="button" onClick={shareUrl}>
+              Share
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @typedef {{url: string | null; error: string | null}} CartShareActionData
  * @typedef {{
  *   cart: OptimisticCart<CartApiQueryFragment | null>;
  *   layout: CartLayout;
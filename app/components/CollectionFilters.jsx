@@ -0,0 +1,194 @@
+import {Form, Link, useSearchParams, useSubmit} from 'react-router';
+import {
+  clearFilters,
+  getActiveFilters,
+  getPriceRange,
+  getSortBy,
+  isFilterActive,
+  PRICE_MAX_PARAM,
+  PRICE_MIN_PARAM,
+  removeParams,
+  SORT_OPTIONS,
+  SORT_PARAM,
+  toggleFilter,
+} from '~/lib/collectionFilters';
+
+/**
+ * Filter sidebar built from the collection `products.filters`. Every filter
+ * is a plain link or GET form, so filtering works without JavaScript.
+ * @param {{filters: CollectionFilter[]}}
+ */
+export function CollectionFilters({filters}) {
+  const [searchParams] = useSearchParams();
+
+  if (!filters.length) return null;
+
+  return (
+    <section className="collection-filters" aria-label="Filters">
+      {filters.map((filter) => (
+        <details key={filter.id} className="collection-filter" open>
+          <summary>{filter.label}</summary>
+          {filter.type === 'PRICE_RANGE' ? (
+            <PriceRangeFilter searchParams={searchParams} />
+          ) : (
+            <ul>
+              {filter.values.map((value) => {
+                const isActive = isFilterActive(searchParams, value.input);
+                const label = (
+                  <>
+                    {value.swatch?.color && (
+                      <span
+                        className="collection-filter-swatch"
+                        style={{backgroundColor: value.swatch.color}}
+                        aria-hidden="true"
+                      />
+                    )}
+                    {value.label} <small>({value.count})</small>
+                  </>
+                );
+
+                return (
+                  <li key={value.id}>
+                    {value.count || isActive ? (
+                      <Link
+                        to={{
+                          search: `?${toggleFilter(searchParams, value.input)}`,
+                        }}
+                        className={isActive ? 'active' : undefined}
+                        aria-current={isActive ? 'true' : undefined}
+                        preventScrollReset
+                        prefetch="intent"
+                        rel="nofollow"
+                      >
+                        {label}
+                      </Link>
+                    ) : (
+                      <span className="collection-filter-empty">{label}</span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </details>
+      ))}
+    </section>
+  );
+}
+
+/**
+ * @param {{searchParams: URLSearchParams}}
+ */
+function PriceRangeFilter({searchParams}) {
+  const price = getPriceRange(searchParams);
+  const otherParams = removeParams(searchParams, [
+    PRICE_MIN_PARAM,
+    PRICE_MAX_PARAM,
+  ]);
+
+  return (
+    <Form method="get" preventScrollReset className="collection-filter-price">
+      {[...otherParams].map(([key, value]) => (
+        <input key={`${key}=${value}`} type="hidden" name={key} value={value} />
+      ))}
+      <label>
+        From
+        <input
+          type="number"
+          name={PRICE_MIN_PARAM}
+          min={0}
+          step="any"
+          defaultValue={price?.min}
+        />
+      </label>
+      <label>
+        To
+        <input
+          type="number"
+          name={PRICE_MAX_PARAM}
+          min={0}
+          step="any"
+          defaultValue={price?.max}
+        />
+      </label>
+      <button type="submit">Apply</button>
+    </Form>
+  );
+}
+
+/**
+ * Removable chips for every active filter
+ * @param {{filters: CollectionFilter[]}}
+ */
+export function ActiveFilters({filters}) {
+  const [searchParams] = useSearchParams();
+  const activeFilters = getActiveFilters(searchParams, filters);
+
+  if (!activeFilters.length) return null;
+
+  return (
+    <ul className="active-filters" aria-label="Active filters">
+      {activeFilters.map(({label, params}) => (
+        <li key={label}>
+          <Link
+            to={{search: `?${params}`}}
+            preventScrollReset
+            aria-label={`Remove filter ${label}`}
+          >
+            {label} <span aria-hidden="true">×</span>
+          </Link>
+        </li>
+      ))}
+      <li>
+        <Link
+          to={{search: `?${clearFilters(searchParams)}`}}
+          preventScrollReset
+          className="active-filters-clear"
+        >
+          Clear all
+        </Link>
+      </li>
+    </ul>
+  );
+}
+
+/**
+ * Sort order select, submitted on change (or with the button without
+ * JavaScript)
+ */
+export function SortSelect() {
+  const [searchParams] = useSearchParams();
+  const submit = useSubmit();
+  const sortBy = getSortBy(searchParams);
+  const otherParams = removeParams(searchParams, [SORT_PARAM]);
+
+  return (
+    <Form method="get" preventScrollReset className="sort-select">
+      {[...otherParams].map(([key, value]) => (
+        <input key={`${key}=${value}`} type="hidden" name={key} value={value} />
+      ))}
+      <label htmlFor="sort-by">Sort by</label>
+      <select
+        // Reset the select on back/forward navigation
+        key={sortBy}
+        id="sort-by"
+        name={SORT_PARAM}
+        defaultValue={sortBy}
+        onChange={(event) =>
+          submit(event.currentTarget.form, {preventScrollReset: true})
+        }
+      >
+        {Object.entries(SORT_OPTIONS).map(([value, {label}]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <noscript>
+        <button type="submit">Sort</button>
+      </noscript>
+    </Form>
+  );
+}
+
+/** @typedef {import('storefrontapi.generated').CollectionFilterFragment} CollectionFilter */
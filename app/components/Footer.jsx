@@ -1,5 +1,6 @@
 import {Suspense} from 'react';
 import {Await, NavLink} from 'react-router';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @param {FooterProps}
@@ -32,6 +33,7 @@ export function Footer({footer: footerPromise, header, publicStoreDomain}) {
  * }}
  */
 function FooterMenu({menu, primaryDomainUrl, publicStoreDomain}) {
+  const locale = useSelectedLocale();
   return (
     <nav className="footer-menu" role="navigation">
       {(menu || FALLBACK_FOOTER_MENU).items.map((item) => {
@@ -41,7 +43,7 @@ function FooterMenu({menu, primaryDomainUrl, publicStoreDomain}) {
           item.url.includes('myshopify.com') ||
           item.url.includes(publicStoreDomain) ||
           item.url.includes(primaryDomainUrl)
-            ? new URL(item.url).pathname
+            ? localizePath(new URL(item.url).pathname, locale)
             : item.url;
         const isExternal = !url.startsWith('/');
         return isExternal ? (
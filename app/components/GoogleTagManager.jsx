@@ -0,0 +1,71 @@
+import {useEffect} from 'react';
+import {Script, useAnalytics} from '@shopify/hydrogen';
+import {
+  EXPERIMENT_CONVERSION_EVENT,
+  EXPERIMENT_EXPOSURE_EVENT,
+} from '~/lib/experiments';
+import {NEWSLETTER_SIGNUP_EVENT} from '~/lib/newsletter';
+
+/**
+ * Records the storefront custom analytics events in Google Tag Manager.
+ * Shopify Analytics only records its standard events (page, product,
+ * collection and search views, add to cart) and drops `custom_*` events, so
+ * they are pushed to the GTM `dataLayer` instead, where the container tags
+ * (e.g. GA4 events) record them:
+ *   - `newsletter_signup`: UTM params, referrer, landing variant and opt-in
+ *   - `experiment_exposure`: experiment id and variant, once it is seen
+ *   - `experiment_conversion`: experiment id, variant and goal, see
+ *     `~/lib/experiments`
+ *
+ * Events are only published once the visitor consented to analytics, and
+ * GTM is only loaded then.
+ *
+ * Set up:
+ *   - PUBLIC_GOOGLE_TAG_MANAGER_ID=GTM-XXXXXXX in .env
+ *   - a Custom Event trigger for each event above in the GTM container
+ * @param {{containerId?: string}}
+ */
+export function GoogleTagManager({containerId}) {
+  const {subscribe, register, canTrack} = useAnalytics();
+  // Registered while rendering so events published before the effect below
+  // are queued until it subscribes
+  const {ready} = register('Google Tag Manager');
+
+  useEffect(() => {
+    subscribe(NEWSLETTER_SIGNUP_EVENT, (payload) =>
+      pushToDataLayer({event: 'newsletter_signup', ...payload}),
+    );
+    subscribe(EXPERIMENT_EXPOSURE_EVENT, (payload) =>
+      pushToDataLayer({event: 'experiment_exposure', ...payload}),
+    );
+    subscribe(EXPERIMENT_CONVERSION_EVENT, (payload) =>
+      pushToDataLayer({event: 'experiment_conversion', ...payload}),
+    );
+    ready();
+  }, [subscribe, ready]);
+
+  useEffect(() => {
+    if (!containerId) return;
+    pushToDataLayer({'gtm.start': Date.now(), event: 'gtm.js'});
+  }, [containerId]);
+
+  if (!containerId || !canTrack()) return null;
+
+  return (
+    <Script
+      waitForHydration
+      async
+      src={`https://www.googletagmanager.com/gtm.js?id=${encodeURIComponent(containerId)}`}
+    />
+  );
+}
+
+/**
+ * @param {Record<string, unknown>} data
+ */
+function pushToDataLayer(data) {
+  const dataLayerWindow =
+    /** @type {Window & {dataLayer?: Record<string, unknown>[]}} */ (window);
+  dataLayerWindow.dataLayer ??= [];
+  dataLayerWindow.dataLayer.push(data);
+}
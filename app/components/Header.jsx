@@ -2,15 +2,23 @@ import {Suspense} from 'react';
 import {Await, NavLink, useAsyncValue} from 'react-router';
 import {useAnalytics, useOptimisticCart} from '@shopify/hydrogen';
 import {useAside} from '~/components/Aside';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {WISHLIST_PATH} from '~/lib/wishlist';
 
 /**
  * @param {HeaderProps}
  */
 export function Header({header, isLoggedIn, cart, publicStoreDomain}) {
   const {shop, menu} = header;
+  const locale = useSelectedLocale();
   return (
     <header className="header">
-      <NavLink prefetch="intent" to="/" style={activeLinkStyle} end>
+      <NavLink
+        prefetch="intent"
+        to={localizePath('/', locale)}
+        style={activeLinkStyle}
+        end
+      >
         <strong>{shop.name}</strong>
       </NavLink>
       <HeaderMenu
@@ -40,6 +48,7 @@ export function HeaderMenu({
 }) {
   const className = `header-menu-${viewport}`;
   const {close} = useAside();
+  const locale = useSelectedLocale();
 
   return (
     <nav className={className} role="navigation">
@@ -49,7 +58,7 @@ export function HeaderMenu({
           onClick={close}
           prefetch="intent"
           style={activeLinkStyle}
-          to="/"
+          to={localizePath('/', locale)}
         >
           Home
         </NavLink>
@@ -62,7 +71,7 @@ export function HeaderMenu({
           item.url.includes('myshopify.com') ||
           item.url.includes(publicStoreDomain) ||
           item.url.includes(primaryDomainUrl)
-            ? new URL(item.url).pathname
+            ? localizePath(new URL(item.url).pathname, locale)
             : item.url;
         return (
           <NavLink
@@ -86,16 +95,28 @@ export function HeaderMenu({
  * @param {Pick<HeaderProps, 'isLoggedIn' | 'cart'>}
  */
 function HeaderCtas({isLoggedIn, cart}) {
+  const locale = useSelectedLocale();
   return (
     <nav className="header-ctas" role="navigation">
       <HeaderMenuMobileToggle />
-      <NavLink prefetch="intent" to="/account" style={activeLinkStyle}>
+      <NavLink
+        prefetch="intent"
+        to={localizePath('/account', locale)}
+        style={activeLinkStyle}
+      >
         <Suspense fallback="Sign in">
           <Await resolve={isLoggedIn} errorElement="Sign in">
             {(isLoggedIn) => (isLoggedIn ? 'Account' : 'Sign in')}
           </Await>
         </Suspense>
       </NavLink>
+      <NavLink
+        prefetch="intent"
+        to={localizePath(WISHLIST_PATH, locale)}
+        style={activeLinkStyle}
+      >
+        Wishlist
+      </NavLink>
       <SearchToggle />
       <CartToggle cart={cart} />
     </nav>
@@ -129,10 +150,11 @@ function SearchToggle() {
 function CartBadge({count}) {
   const {open} = useAside();
   const {publish, shop, cart, prevCart} = useAnalytics();
+  const locale = useSelectedLocale();
 
   return (
     <a
-      href="/cart"
+      href={localizePath('/cart', locale)}
       onClick={(e) => {
         e.preventDefault();
         open('cart');
@@ -1,17 +1,38 @@
 import {useState, useEffect} from 'react';
 import {motion, AnimatePresence} from 'framer-motion';
+import {Link} from 'react-router';
+import {useAnalytics} from '@shopify/hydrogen';
+import {useSignupAttribution} from '~/lib/attribution';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {
+  EXPERIMENT_CONVERSION_EVENT,
+  useExperimentExposure,
+} from '~/lib/experiments';
+import {DEFAULT_LANDING_CONTENT} from '~/lib/landingContent';
+import {markIntroSeen, prefersReducedMotion} from '~/lib/landingIntro';
+import {
+  NEWSLETTER_HONEYPOT_FIELD,
+  NEWSLETTER_SIGNUP_EVENT,
+} from '~/lib/newsletter';
 
 /**
  * NOTE: All UI going forward uses Tailwind classes unless specified otherwise.
- * Custom colors used:
- * - Background: #F5F0E8 (creamy beige)
- * - Accent: #722F37 (dark burgundy)
- * - Text: #1a1a1a
+ * Copy, colors and the loader image come from the `landing_page` metaobject
+ * (see `~/lib/landingContent` for the fields and the default values).
+ * Colors are exposed to Tailwind as CSS variables:
+ * - Background: --landing-background
+ * - Accent: --landing-accent (hover: --landing-accent-hover)
+ * - Text: --landing-text
  *
  * Animation Sequence:
  * Phase 1: Loader with "Rani Mode" in circular spinner
  * Phase 2: Split text - RANI goes left→right, MODE goes right→left (50vh each)
  * Phase 3: Final content with typewriter effect
+ *
+ * The hero is always server-rendered, fully visible, underneath the intro
+ * overlay. The intro is skipped when it was already seen this session, when
+ * the visitor prefers reduced motion or has JavaScript disabled, and can be
+ * skipped with the "Skip intro" button.
  */
 
 // Hook to detect mobile vs desktop
@@ -28,6 +49,9 @@ function useIsMobile() {
   return isMobile;
 }
 
+/** Seconds between two characters of the typewriter tagline */
+const TYPEWRITER_CHAR_DELAY = 0.03;
+
 // Animation config for mobile and desktop
 // Speed is calculated as: (translateDistance * 2) / duration
 // Desktop: 240vw / 3.6s = 66.7vw/s (same visual speed as before)
@@ -44,37 +68,123 @@ const PHASE_CONFIG = {
   },
 };
 
-export function LandingPage() {
-  const [phase, setPhase] = useState(1);
+/**
+ * @param {{
+ *   content?: LandingContent;
+ *   variant?: string;
+ *   experiment?: ExperimentAssignment | null;
+ *   drop?: Drop | null;
+ *   introSeen?: boolean;
+ *   newsletterOutcome?: string | null;
+ * }} props - `content` is the merchandised copy, `variant` identifies the
+ * landing page variant in the signup attribution, `experiment` is the A/B
+ * test variant the visitor is assigned to, `drop` is the scheduled launch
+ * counted down to in the hero, `introSeen` skips the intro and
+ * `newsletterOutcome` is the result of a signup submitted without JavaScript
+ */
+export function LandingPage({
+  content = DEFAULT_LANDING_CONTENT,
+  variant,
+  experiment,
+  drop,
+  introSeen,
+  newsletterOutcome,
+}) {
+  const [phase, setPhase] = useState(introSeen ? 3 : 1);
+  // The typewriter entrance only plays after the full intro
+  const [animateHero, setAnimateHero] = useState(false);
+  const attribution = useSignupAttribution(variant);
   const isMobile = useIsMobile();
-  const config = isMobile ? PHASE_CONFIG.mobile : PHASE_CONFIG.desktop;
+  const config = {
+    ...(isMobile ? PHASE_CONFIG.mobile : PHASE_CONFIG.desktop),
+    ...experiment?.timing,
+  };
+  useExperimentExposure(experiment);
+  const isIntroPlaying = phase !== 3;
 
   useEffect(() => {
+    if (!isIntroPlaying) return;
+
+    if (prefersReducedMotion()) {
+      markIntroSeen();
+      setPhase(3);
+      return;
+    }
+
     // Phase 1 → Phase 2 after loader duration
-    const timer1 = setTimeout(() => setPhase(2), config.loaderDuration);
+    const timer1 = setTimeout(
+      () => setPhase((current) => (current === 1 ? 2 : current)),
+      config.loaderDuration,
+    );
 
     return () => {
       clearTimeout(timer1);
     };
-  }, [config.loaderDuration]);
+  }, [isIntroPlaying, config.loaderDuration]);
+
+  function skipIntro() {
+    markIntroSeen();
+    setPhase(3);
+  }
 
   // Called by SplitTextPhase when animation completes
   const handlePhase2Complete = () => {
+    markIntroSeen();
+    setAnimateHero(true);
     setPhase(3);
   };
 
   return (
-    <div className="w-full min-h-screen bg-[#F5F0E8] text-[#1a1a1a] overflow-hidden">
+    <div
+      className="w-full min-h-screen bg-(--landing-background) text-(--landing-text) overflow-hidden"
+      style={{
+        '--landing-background': content.colors.background,
+        '--landing-text': content.colors.text,
+        '--landing-accent': content.colors.accent,
+        '--landing-accent-hover': content.colors.accentHover,
+      }}
+    >
+      {/* Without JavaScript the intro would never end */}
+      <noscript>
+        <style>{'[data-landing-intro]{display:none}'}</style>
+      </noscript>
+
+      {/* First in the tab order, the hero is underneath the intro */}
+      {isIntroPlaying && (
+        <button
+          type="button"
+          onClick={skipIntro}
+          data-landing-intro
+          className="fixed bottom-6 right-6 z-20 px-4 py-2 text-xs font-medium tracking-wider uppercase text-(--landing-accent) border border-(--landing-accent) bg-(--landing-background) cursor-pointer motion-reduce:hidden focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-(--landing-accent)"
+        >
+          Skip intro
+        </button>
+      )}
+
+      {/* Rendered without entrance animation, unless the intro just ended */}
+      <AnimatePresence initial={false} mode="wait">
+        <HeroSection
+          key={animateHero ? 'hero-animated' : 'hero'}
+          content={content}
+          attribution={attribution}
+          experiment={experiment}
+          drop={drop}
+          newsletterOutcome={newsletterOutcome}
+        />
+      </AnimatePresence>
+
       <AnimatePresence mode="wait">
-        {phase === 1 && <LoaderPhase key="loader" />}
+        {phase === 1 && (
+          <LoaderPhase key="loader" imageUrl={content.loaderImageUrl} />
+        )}
         {phase === 2 && (
           <SplitTextPhase
             key="split"
+            words={content.headlineWords}
             config={config}
             onComplete={handlePhase2Complete}
           />
         )}
-        {phase === 3 && <HeroSection key="hero" />}
       </AnimatePresence>
     </div>
   );
@@ -82,16 +192,18 @@ export function LandingPage() {
 
 /**
  * Phase 1: Circular text loader - "Rani Mode" repeating in a circle, rotating
+ * @param {{imageUrl: string}}
  */
-function LoaderPhase() {
+function LoaderPhase({imageUrl}) {
   return (
     <motion.div
-      className="fixed inset-0 flex items-center justify-center bg-[#F5F0E8]"
+      data-landing-intro
+      className="fixed inset-0 z-10 flex items-center justify-center bg-(--landing-background) motion-reduce:hidden"
       exit={{opacity: 0}}
       transition={{duration: 0.3}}
     >
       <motion.img
-        src="/rani-mode-loader.svg"
+        src={imageUrl}
         alt="Loading"
         width={200}
         height={200}
@@ -103,83 +215,220 @@ function LoaderPhase() {
 }
 
 /**
- * Phase 2: Split text animation
- * RANI: starts off-screen RIGHT, slides LEFT, exits LEFT
- * MODE: starts off-screen LEFT, slides RIGHT, exits RIGHT
+ * Phase 2: Split text animation, one row per headline word
+ * RANI (odd rows): starts off-screen RIGHT, slides LEFT, exits LEFT
+ * MODE (even rows): starts off-screen LEFT, slides RIGHT, exits RIGHT
  * Transitions to phase 3 immediately when animation completes
+ * @param {{words: string[]; config: PhaseConfig; onComplete: () => void}}
  */
-function SplitTextPhase({config, onComplete}) {
+function SplitTextPhase({words, config, onComplete}) {
   const duration = config.animationDuration;
   const distance = config.translateDistance;
+  // Rows share the viewport height, minus the 10px paddings and gaps
+  const fontSize = `calc(${100 / words.length}vh - ${
+    (10 * (words.length + 1)) / words.length
+  }px)`;
+  const wordKeys = getTextKeys(words);
 
   return (
     <motion.div
-      className="fixed inset-0 flex flex-col bg-[#F5F0E8] py-[10px] gap-[10px]"
+      data-landing-intro
+      className="fixed inset-0 z-10 flex flex-col bg-(--landing-background) py-[10px] gap-[10px] motion-reduce:hidden"
       exit={{opacity: 0}}
       transition={{duration: 0.3}}
     >
-      {/* RANI - starts RIGHT, moves LEFT, exits LEFT */}
-      <div className="flex-1 flex items-center overflow-hidden">
-        <motion.span
-          className="font-black tracking-tighter leading-[0.85] text-[#1a1a1a] uppercase whitespace-nowrap"
-          style={{fontSize: 'calc(50vh - 15px)'}}
-          initial={{x: `${distance}vw`}}
-          animate={{x: `-${distance}vw`}}
-          transition={{
-            duration,
-          }}
-          onAnimationComplete={onComplete}
-        >
-          Rani
-        </motion.span>
-      </div>
-
-      {/* MODE - starts LEFT, moves RIGHT, exits RIGHT */}
-      <div className="flex-1 flex items-center justify-end overflow-hidden">
-        <motion.span
-          className="font-black tracking-tighter leading-[0.85] text-[#1a1a1a] uppercase whitespace-nowrap"
-          style={{fontSize: 'calc(50vh - 15px)'}}
-          initial={{x: `-${distance}vw`}}
-          animate={{x: `${distance}vw`}}
-          transition={{
-            duration,
-          }}
-        >
-          Mode
-        </motion.span>
-      </div>
+      {words.map((word, index) => {
+        const fromRight = index % 2 === 0;
+        return (
+          <div
+            key={wordKeys[index]}
+            className={`flex-1 flex items-center overflow-hidden ${
+              fromRight ? '' : 'justify-end'
+            }`}
+          >
+            <motion.span
+              className="font-black tracking-tighter leading-[0.85] text-(--landing-text) uppercase whitespace-nowrap"
+              style={{fontSize}}
+              initial={{x: `${fromRight ? '' : '-'}${distance}vw`}}
+              animate={{x: `${fromRight ? '-' : ''}${distance}vw`}}
+              transition={{
+                duration,
+              }}
+              onAnimationComplete={index === 0 ? onComplete : undefined}
+            >
+              {word}
+            </motion.span>
+          </div>
+        );
+      })}
     </motion.div>
   );
 }
 
+/**
+ * Milliseconds left until `date`, ticking every second. `null` until mounted
+ * so the server and the first client render agree.
+ * @param {string | undefined} date - ISO 8601 date
+ */
+function useCountdown(date) {
+  const [remaining, setRemaining] = useState(null);
+
+  useEffect(() => {
+    if (!date) return;
+    const target = Date.parse(date);
+
+    const tick = () => {
+      const left = Math.max(0, target - Date.now());
+      setRemaining(left);
+      if (left === 0) clearInterval(interval);
+    };
+    const interval = setInterval(tick, 1000);
+    tick();
+
+    return () => clearInterval(interval);
+  }, [date]);
+
+  return remaining;
+}
+
+/**
+ * Days, hours, minutes and seconds until the drop
+ * @param {{launchAt: string; remaining: number}}
+ */
+function Countdown({launchAt, remaining}) {
+  const totalSeconds = Math.floor(remaining / 1000);
+  const units = [
+    {label: 'Days', value: Math.floor(totalSeconds / 86400)},
+    {label: 'Hours', value: Math.floor(totalSeconds / 3600) % 24},
+    {label: 'Minutes', value: Math.floor(totalSeconds / 60) % 60},
+    {label: 'Seconds', value: totalSeconds % 60},
+  ];
+
+  return (
+    <time
+      dateTime={launchAt}
+      role="timer"
+      className="flex justify-center gap-6 text-(--landing-accent)"
+    >
+      {units.map(({label, value}) => (
+        <span key={label} className="flex flex-col items-center">
+          <span className="text-3xl font-medium tabular-nums">
+            {String(value).padStart(2, '0')}
+          </span>
+          <span className="text-xs tracking-[0.25em] uppercase">{label}</span>
+        </span>
+      ))}
+    </time>
+  );
+}
+
+/**
+ * React keys of a list of texts: the text itself, numbered from its second
+ * occurrence, e.g. `['Rani', 'Mode', 'Rani']` to `['Rani', 'Mode', 'Rani#2']`
+ * @param {string[]} texts
+ */
+function getTextKeys(texts) {
+  /** @type {Map<string, number>} */
+  const occurrences = new Map();
+  return texts.map((text) => {
+    const occurrence = (occurrences.get(text) ?? 0) + 1;
+    occurrences.set(text, occurrence);
+    return occurrence > 1 ? `${text}#${occurrence}` : text;
+  });
+}
+
+/**
+ * Form status of a signup submitted without JavaScript, from the
+ * `?newsletter=` outcome set by the /api/newsletter redirect
+ * @param {string | null | undefined} outcome
+ */
+function getNoScriptResult(outcome) {
+  if (!outcome) return {status: 'idle', message: ''};
+  if (outcome === 'success' || outcome === 'pending') {
+    return {status: outcome, message: 'Thank you for joining us.'};
+  }
+
+  return {
+    status: 'error',
+    message: ['email_required', 'invalid_email', 'disposable_email'].includes(
+      outcome,
+    )
+      ? 'Please enter a valid email address.'
+      : 'Something went wrong. Please try again.',
+  };
+}
+
 /**
  * Phase 3: Final hero content with typewriter effect
+ * @param {{
+ *   content: LandingContent;
+ *   attribution: SignupAttribution;
+ *   experiment?: ExperimentAssignment | null;
+ *   drop?: Drop | null;
+ *   newsletterOutcome?: string | null;
+ * }}
  */
-function HeroSection() {
+function HeroSection({
+  content,
+  attribution,
+  experiment,
+  drop,
+  newsletterOutcome,
+}) {
+  const locale = useSelectedLocale();
+  const {publish} = useAnalytics();
+  const remaining = useCountdown(drop?.launchAt);
+  // Switch to shopping once the drop opens for this visitor, without a reload
+  const canShop = Boolean(drop && (drop.hasAccess || remaining === 0));
+  const noScriptResult = getNoScriptResult(newsletterOutcome);
   const [email, setEmail] = useState('');
   const [submittedEmail, setSubmittedEmail] = useState('');
-  const [status, setStatus] = useState('idle');
-  const [message, setMessage] = useState('');
+  const [status, setStatus] = useState(noScriptResult.status);
+  const [message, setMessage] = useState(noScriptResult.message);
+  const [errorField, setErrorField] = useState(null);
+  const [honeypot, setHoneypot] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!email) return;
     setStatus('loading');
+    setErrorField(null);
 
     try {
-      const response = await fetch('/api/newsletter', {
+      const response = await fetch(localizePath('/api/newsletter', locale), {
         method: 'POST',
         headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({email}),
+        body: JSON.stringify({
+          email,
+          attribution,
+          [NEWSLETTER_HONEYPOT_FIELD]: honeypot,
+        }),
       });
+      const result = await response.json().catch(() => ({}));
 
       if (response.ok) {
         setSubmittedEmail(email);
-        setStatus('success');
+        setStatus(result.pending ? 'pending' : 'success');
         setMessage('Thank you for joining us.');
         setEmail('');
+        publish(NEWSLETTER_SIGNUP_EVENT, {
+          ...attribution,
+          opt_in: result.pending ? 'double' : 'single',
+        });
+        if (experiment) {
+          publish(EXPERIMENT_CONVERSION_EVENT, {
+            experiment_id: experiment.experimentId,
+            variant: experiment.variant,
+            goal: 'newsletter_signup',
+          });
+        }
       } else {
-        throw new Error('Failed to subscribe');
+        // Show the validation / rate limit error returned by the API inline
+        setStatus('error');
+        setErrorField(result.error?.field ?? null);
+        setMessage(
+          result.error?.message ?? 'Something went wrong. Please try again.',
+        );
       }
     } catch (error) {
       setStatus('error');
@@ -187,8 +436,19 @@ function HeroSection() {
     }
   };
 
-  const tagline =
-    "We're creating a new style of coat, purposefully designed to complement your cultural clothes and keep you warm and stylish.";
+  const isSubmitted =
+    status === 'loading' || status === 'success' || status === 'pending';
+
+  const {signup} = content;
+  // Type the paragraphs one after the other, then reveal the signup
+  const paragraphOffsets = content.paragraphs.map((_, index) =>
+    content.paragraphs
+      .slice(0, index)
+      .reduce((total, paragraph) => total + paragraph.length, 0),
+  );
+  const typingEnd =
+    0.5 + content.paragraphs.join('').length * TYPEWRITER_CHAR_DELAY;
+  const paragraphKeys = getTextKeys(content.paragraphs);
 
   return (
     <motion.section
@@ -201,91 +461,154 @@ function HeroSection() {
       <div className="flex flex-col items-center">
         {/* Logo - at top with padding */}
         <motion.h1
-          className="text-2xl font-bold mb-12 uppercase text-[#1a1a1a]"
+          className="text-2xl font-bold mb-12 uppercase text-(--landing-text)"
           style={{fontFamily: 'Georgia, serif'}}
           initial={{opacity: 0, y: -20}}
           animate={{opacity: 1, y: 0}}
           transition={{duration: 0.4, delay: 0}}
         >
-          Rani Mode
+          {content.title}
         </motion.h1>
         {/* Typewriter Tagline */}
-        <motion.p
-          className="font-serif text-[clamp(1.25rem,4vw,2rem)] font-medium italic leading-relaxed text-[#722F37] max-w-4xl text-center"
-          initial={{opacity: 0}}
-          animate={{opacity: 1}}
-          transition={{duration: 0.4, delay: 0.2}}
-        >
-          {tagline.split('').map((char, index) => (
-            <motion.span
-              key={index}
-              initial={{opacity: 0}}
-              animate={{opacity: 1}}
-              transition={{
-                duration: 0.03,
-                delay: 0.5 + index * 0.03,
-              }}
-            >
-              {char}
-            </motion.span>
-          ))}
-        </motion.p>
+        {content.paragraphs.map((paragraph, paragraphIndex) => (
+          <motion.p
+            key={paragraphKeys[paragraphIndex]}
+            className="font-serif text-[clamp(1.25rem,4vw,2rem)] font-medium italic leading-relaxed text-(--landing-accent) max-w-4xl text-center [&+&]:mt-4"
+            initial={{opacity: 0}}
+            animate={{opacity: 1}}
+            transition={{duration: 0.4, delay: 0.2}}
+          >
+            {paragraph.split('').map((char, index) => (
+              <motion.span
+                key={index}
+                initial={{opacity: 0}}
+                animate={{opacity: 1}}
+                transition={{
+                  duration: TYPEWRITER_CHAR_DELAY,
+                  delay:
+                    0.5 +
+                    (paragraphOffsets[paragraphIndex] + index) *
+                      TYPEWRITER_CHAR_DELAY,
+                }}
+              >
+                {char}
+              </motion.span>
+            ))}
+          </motion.p>
+        ))}
 
-        {/* Coming Soon Badge - above tagline */}
+        {/* Coming Soon Badge or drop countdown - below tagline */}
         <motion.div
           className="mt-6"
           initial={{opacity: 0}}
           animate={{opacity: 1}}
-          transition={{duration: 0.5, delay: 4.5}}
+          transition={{duration: 0.5, delay: typingEnd + 0.3}}
         >
-          <p className="text-sm font-medium tracking-[0.25em] uppercase text-[#722F37]">
-            Coming Soon
-          </p>
+          {canShop ? (
+            <p className="text-sm font-medium tracking-[0.25em] uppercase text-(--landing-accent)">
+              {remaining === 0 ? 'Available Now' : 'Early Access'}
+            </p>
+          ) : drop && remaining !== null ? (
+            <Countdown launchAt={drop.launchAt} remaining={remaining} />
+          ) : (
+            <p className="text-sm font-medium tracking-[0.25em] uppercase text-(--landing-accent)">
+              {signup.badge}
+            </p>
+          )}
         </motion.div>
 
+        {/* Shop the drop once it is open */}
+        {canShop && (
+          <motion.div
+            className="mt-10 w-full max-w-[480px]"
+            initial={{opacity: 0, y: 20}}
+            animate={{opacity: 1, y: 0}}
+            transition={{duration: 0.5, delay: typingEnd + 0.8}}
+          >
+            <Link
+              to={localizePath(`/collections/${drop.collectionHandle}`, locale)}
+              prefetch="intent"
+              className="block w-full px-6 py-4 text-sm font-medium tracking-wider uppercase text-center bg-(--landing-accent) text-(--landing-background) border border-(--landing-accent) transition-all duration-300 hover:bg-(--landing-accent-hover) hover:border-(--landing-accent-hover)"
+            >
+              Shop the Collection
+            </Link>
+          </motion.div>
+        )}
+
         {/* Signup Form */}
-        <motion.form
-          onSubmit={handleSubmit}
-          className="mt-10 w-full max-w-[480px]"
-          initial={{opacity: 0, y: 20}}
-          animate={{opacity: 1, y: 0}}
-          transition={{duration: 0.5, delay: 5}}
-        >
-          <div className="flex flex-col sm:flex-row sm:items-stretch w-full gap-0">
+        {!canShop && (
+          <motion.form
+            method="post"
+            action={localizePath('/api/newsletter', locale)}
+            onSubmit={handleSubmit}
+            className="mt-10 w-full max-w-[480px]"
+            initial={{opacity: 0, y: 20}}
+            animate={{opacity: 1, y: 0}}
+            transition={{duration: 0.5, delay: typingEnd + 0.8}}
+          >
+            <div className="flex flex-col sm:flex-row sm:items-stretch w-full gap-0">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                name="email"
+                autoComplete="email"
+                placeholder={signup.placeholder}
+                aria-label="Email address"
+                aria-invalid={errorField === 'email'}
+                aria-describedby={
+                  status === 'error' ? 'newsletter-error' : undefined
+                }
+                required
+                disabled={isSubmitted}
+                className="w-full sm:flex-1 sm:min-w-0 px-5 py-4 text-base leading-none border border-(--landing-accent) sm:border-r-0 rounded-none bg-white/50 text-(--landing-text) placeholder:text-(--landing-text)/50 outline-none focus:bg-white/80 disabled:opacity-50"
+              />
+              <button
+                type="submit"
+                disabled={isSubmitted}
+                className="w-full sm:w-auto sm:shrink-0 px-6 py-4 text-sm font-medium tracking-wider uppercase whitespace-nowrap bg-(--landing-accent) text-(--landing-background) border border-(--landing-accent) rounded-none cursor-pointer transition-all duration-300 hover:bg-(--landing-accent-hover) hover:border-(--landing-accent-hover) disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {status === 'loading' ? 'Joining...' : signup.buttonLabel}
+              </button>
+            </div>
+
+            {/* Honeypot - hidden from people, bots fill it in */}
             <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              placeholder="Enter your email"
-              required
-              disabled={status === 'loading' || status === 'success'}
-              className="w-full sm:flex-1 sm:min-w-0 px-5 py-4 text-base leading-none border border-[#722F37] sm:border-r-0 rounded-none bg-white/50 text-[#1a1a1a] placeholder:text-[#1a1a1a]/50 outline-none focus:bg-white/80 disabled:opacity-50"
+              type="text"
+              name={NEWSLETTER_HONEYPOT_FIELD}
+              value={honeypot}
+              onChange={(e) => setHoneypot(e.target.value)}
+              tabIndex={-1}
+              autoComplete="off"
+              aria-hidden="true"
+              className="absolute -left-[9999px] w-px h-px overflow-hidden"
             />
-            <button
-              type="submit"
-              disabled={status === 'loading' || status === 'success'}
-              className="w-full sm:w-auto sm:shrink-0 px-6 py-4 text-sm font-medium tracking-wider uppercase whitespace-nowrap bg-[#722F37] text-[#F5F0E8] border border-[#722F37] rounded-none cursor-pointer transition-all duration-300 hover:bg-[#5a252b] hover:border-[#5a252b] disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {status === 'loading' ? 'Joining...' : 'Join Waitlist'}
-            </button>
-          </div>
 
-          {status === 'error' && (
-            <motion.p
-              className="mt-4 text-sm text-center text-red-700"
-              initial={{opacity: 0}}
-              animate={{opacity: 1}}
-            >
-              {message}
-            </motion.p>
-          )}
-        </motion.form>
+            {status === 'error' && (
+              <motion.p
+                id="newsletter-error"
+                role="alert"
+                className="mt-4 text-sm text-center text-red-700"
+                initial={{opacity: 0}}
+                animate={{opacity: 1}}
+              >
+                {message}
+              </motion.p>
+            )}
+
+            {drop?.earlyAccessAt && (
+              <p className="mt-4 text-sm text-center text-(--landing-text)/70">
+                Subscribers get early access to the drop.
+              </p>
+            )}
+          </motion.form>
+        )}
 
         {/* Success Box */}
         <AnimatePresence>
-          {status === 'success' && (
+          {(status === 'success' || status === 'pending') && (
             <motion.div
-              className="mt-6 w-full max-w-[480px] border border-[#722F37] bg-white p-6"
+              className="mt-6 w-full max-w-[480px] border border-(--landing-accent) bg-white p-6"
               initial={{opacity: 0, y: 10}}
               animate={{opacity: 1, y: 0}}
               transition={{duration: 0.4}}
@@ -309,7 +632,7 @@ function HeroSection() {
                     cx="12"
                     cy="12"
                     r="11"
-                    fill="#722F37"
+                    fill="var(--landing-accent)"
                     initial={{scale: 0}}
                     animate={{scale: 1}}
                     transition={{duration: 0.3, delay: 0.2}}
@@ -329,17 +652,19 @@ function HeroSection() {
 
                 {/* Success Message */}
                 <motion.p
-                  className="text-lg font-medium text-[#1a1a1a] mb-3"
+                  className="text-lg font-medium text-(--landing-text) mb-3"
                   initial={{opacity: 0}}
                   animate={{opacity: 1}}
                   transition={{delay: 0.5}}
                 >
-                  You're on the list!
+                  {status === 'pending'
+                    ? signup.pendingTitle
+                    : signup.successTitle}
                 </motion.p>
 
                 {/* Submitted Email */}
                 <motion.p
-                  className="text-sm font-medium text-[#1a1a1a] mb-2"
+                  className="text-sm font-medium text-(--landing-text) mb-2"
                   initial={{opacity: 0}}
                   animate={{opacity: 1}}
                   transition={{delay: 0.6}}
@@ -349,13 +674,14 @@ function HeroSection() {
 
                 {/* Thank You Message */}
                 <motion.p
-                  className="text-sm text-[#1a1a1a]/70 leading-relaxed"
+                  className="text-sm text-(--landing-text)/70 leading-relaxed"
                   initial={{opacity: 0}}
                   animate={{opacity: 1}}
                   transition={{delay: 0.8}}
                 >
-                  Thank you for joining us early on this journey. We'll keep you
-                  updated with exciting news and offers.
+                  {status === 'pending'
+                    ? signup.pendingMessage
+                    : signup.successMessage}
                 </motion.p>
               </div>
             </motion.div>
@@ -365,3 +691,13 @@ function HeroSection() {
     </motion.section>
   );
 }
+
+/**
+ * @typedef {import('~/lib/launchMode').LaunchSchedule & {
+ *   hasAccess: boolean;
+ * }} Drop
+ */
+/** @typedef {typeof PHASE_CONFIG.desktop} PhaseConfig */
+/** @typedef {import('~/lib/attribution').SignupAttribution} SignupAttribution */
+/** @typedef {import('~/lib/landingContent').LandingContent} LandingContent */
+/** @typedef {import('~/lib/experiments').ExperimentAssignment} ExperimentAssignment */
@@ -0,0 +1,101 @@
+import {useId, useState} from 'react';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {NEWSLETTER_HONEYPOT_FIELD} from '~/lib/newsletter';
+
+/**
+ * Shown in place of the add to cart button when the selected variant is
+ * sold out. Subscribes the shopper to the variant's back-in-stock waitlist.
+ * @param {{variantId: string}}
+ */
+export function NotifyMeForm({variantId}) {
+  const locale = useSelectedLocale();
+  const id = useId();
+  const [email, setEmail] = useState('');
+  const [honeypot, setHoneypot] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setStatus('loading');
+    setError(null);
+
+    try {
+      const response = await fetch(localizePath('/api/waitlist', locale), {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify({
+          email,
+          variantId,
+          [NEWSLETTER_HONEYPOT_FIELD]: honeypot,
+        }),
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (response.ok) {
+        setStatus('success');
+      } else {
+        setStatus('error');
+        setError(
+          result.error ?? {message: 'Something went wrong. Please try again.'},
+        );
+      }
+    } catch {
+      setStatus('error');
+      setError({message: 'Something went wrong. Please try again.'});
+    }
+  }
+
+  if (status === 'success') {
+    return (
+      <p className="notify-me-success" role="status">
+        You&rsquo;re on the waitlist. We&rsquo;ll email you as soon as
+        it&rsquo;s back in stock.
+      </p>
+    );
+  }
+
+  return (
+    <form className="notify-me-form" onSubmit={handleSubmit}>
+      <p>
+        <strong>Sold out</strong>
+      </p>
+      <label htmlFor={`${id}-email`}>
+        Get an email when this size is back in stock
+      </label>
+      <div className="notify-me-fields">
+        <input
+          id={`${id}-email`}
+          type="email"
+          name="email"
+          autoComplete="email"
+          placeholder="Email address"
+          required
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          aria-invalid={error?.field === 'email'}
+          aria-describedby={error ? `${id}-error` : undefined}
+        />
+        <button type="submit" disabled={status === 'loading'}>
+          {status === 'loading' ? 'Sending…' : 'Notify me'}
+        </button>
+      </div>
+      {/* Honeypot - hidden from people, bots fill it in */}
+      <input
+        type="text"
+        name={NEWSLETTER_HONEYPOT_FIELD}
+        value={honeypot}
+        onChange={(event) => setHoneypot(event.target.value)}
+        tabIndex={-1}
+        autoComplete="off"
+        aria-hidden="true"
+        className="notify-me-honeypot"
+      />
+      {error && (
+        <p id={`${id}-error`} className="notify-me-error" role="alert">
+          {error.message}
+        </p>
+      )}
+    </form>
+  );
+}
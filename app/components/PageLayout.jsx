@@ -9,6 +9,8 @@ import {
   SearchFormPredictive,
 } from '~/components/SearchFormPredictive';
 import {SearchResultsPredictive} from '~/components/SearchResultsPredictive';
+import {Toast} from '~/components/Toast';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @param {PageLayoutProps}
@@ -20,6 +22,7 @@ export function PageLayout({
   header,
   isLoggedIn,
   publicStoreDomain,
+  toast,
 }) {
   return (
     <Aside.Provider>
@@ -35,6 +38,7 @@ export function PageLayout({
         />
       )}
       <main>{children}</main>
+      {toast && <Toast key={toast.message} toast={toast} />}
       <Footer
         footer={footer}
         header={header}
@@ -62,6 +66,7 @@ function CartAside({cart}) {
 }
 
 function SearchAside() {
+  const locale = useSelectedLocale();
   const queriesDatalistId = useId();
   return (
     <Aside type="search" heading="SEARCH">
@@ -126,7 +131,10 @@ function SearchAside() {
                 {term.current && total ? (
                   <Link
                     onClick={closeSearch}
-                    to={`${SEARCH_ENDPOINT}?q=${term.current}`}
+                    to={localizePath(
+                      `${SEARCH_ENDPOINT}?q=${term.current}`,
+                      locale,
+                    )}
                   >
                     <p>
                       View all results for <q>{term.current}</q>
@@ -172,9 +180,11 @@ function MobileMenuAside({header, publicStoreDomain}) {
  * @property {HeaderQuery} header
  * @property {Promise<boolean>} isLoggedIn
  * @property {string} publicStoreDomain
+ * @property {FlashToast | null} [toast]
  * @property {React.ReactNode} [children]
  */
 
 /** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
 /** @typedef {import('storefrontapi.generated').FooterQuery} FooterQuery */
 /** @typedef {import('storefrontapi.generated').HeaderQuery} HeaderQuery */
+/** @typedef {import('~/lib/toast').FlashToast} FlashToast */
@@ -1,38 +1,135 @@
 import * as React from 'react';
+import {Link, useNavigate, useNavigation} from 'react-router';
 import {Pagination} from '@shopify/hydrogen';
 
 /**
  * <PaginatedResourceSection > is a component that encapsulate how the previous and next behaviors throughout your application.
+ *
+ * - `loadMore` (default): "Load more" and "Load previous" links append the
+ *   next page to the list.
+ * - `infinite`: like `loadMore`, but the next page loads when the "Load
+ *   more" link scrolls into view. The link stays as a fallback.
+ * - `pages`: only the current page is shown, with Previous/Next links.
+ *
+ * The cursor is always kept in the URL so links stay shareable. Loaded
+ * pages are kept in the history state, so going back to the list renders
+ * them all again and `<ScrollRestoration>` can restore the scroll position.
  * @param {Class<Pagination<NodesType>>['connection']>}
  */
 export function PaginatedResourceSection({
   connection,
   children,
   resourcesClassName,
+  mode = 'loadMore',
 }) {
   return (
     <Pagination connection={connection}>
-      {({nodes, isLoading, PreviousLink, NextLink}) => {
+      {({
+        nodes,
+        isLoading,
+        PreviousLink,
+        NextLink,
+        state,
+        hasNextPage,
+        hasPreviousPage,
+        nextPageUrl,
+        previousPageUrl,
+      }) => {
         const resourcesMarkup = nodes.map((node, index) =>
           children({node, index}),
         );
+        const resources = resourcesClassName ? (
+          <div className={resourcesClassName}>{resourcesMarkup}</div>
+        ) : (
+          resourcesMarkup
+        );
+
+        if (mode === 'pages') {
+          return (
+            <div>
+              {resources}
+              <nav className="pagination-pages" aria-label="Pagination">
+                {hasPreviousPage && (
+                  <Link to={previousPageUrl} rel="prev">
+                    ← Previous
+                  </Link>
+                )}
+                {hasNextPage && (
+                  <Link to={nextPageUrl} rel="next">
+                    Next →
+                  </Link>
+                )}
+              </nav>
+            </div>
+          );
+        }
 
         return (
           <div>
             <PreviousLink>
               {isLoading ? 'Loading...' : <span>↑ Load previous</span>}
             </PreviousLink>
-            {resourcesClassName ? (
-              <div className={resourcesClassName}>{resourcesMarkup}</div>
+            {resources}
+            {mode === 'infinite' ? (
+              <InfiniteScrollLink
+                // A new link per page, so the next page only loads once the
+                // new link is in view
+                key={nextPageUrl}
+                NextLink={NextLink}
+                nextPageUrl={nextPageUrl}
+                hasNextPage={hasNextPage}
+                state={state}
+              />
             ) : (
-              resourcesMarkup
+              <NextLink>
+                {isLoading ? 'Loading...' : <span>Load more ↓</span>}
+              </NextLink>
             )}
-            <NextLink>
-              {isLoading ? 'Loading...' : <span>Load more ↓</span>}
-            </NextLink>
           </div>
         );
       }}
     </Pagination>
   );
 }
+
+/**
+ * The "Load more" link, followed automatically when it comes near the
+ * viewport
+ * @param {{
+ *   NextLink: React.ComponentType<any>;
+ *   nextPageUrl: string;
+ *   hasNextPage: boolean;
+ *   state: unknown;
+ * }}
+ */
+function InfiniteScrollLink({NextLink, nextPageUrl, hasNextPage, state}) {
+  // <NextLink> is recreated for every page, so observe through a callback ref
+  const [element, setElement] = React.useState(null);
+  const navigate = useNavigate();
+  const navigation = useNavigation();
+  const [inView, setInView] = React.useState(false);
+  const isLoading = navigation.state !== 'idle';
+
+  React.useEffect(() => {
+    if (!element || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => setInView(entry.isIntersecting),
+      {rootMargin: '400px 0px'},
+    );
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [element]);
+
+  React.useEffect(() => {
+    if (!inView || !hasNextPage || isLoading) return;
+    // Same navigation as <NextLink>, so the loaded pages end up in the state
+    navigate(nextPageUrl, {replace: true, preventScrollReset: true, state});
+  }, [inView, hasNextPage, isLoading, nextPageUrl, state, navigate]);
+
+  return (
+    <NextLink ref={setElement}>
+      {isLoading ? 'Loading...' : <span>Load more ↓</span>}
+    </NextLink>
+  );
+}
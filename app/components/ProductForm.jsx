@@ -1,16 +1,46 @@
+import {useState} from 'react';
 import {Link, useNavigate} from 'react-router';
+import {Money} from '@shopify/hydrogen';
 import {AddToCartButton} from './AddToCartButton';
 import {useAside} from './Aside';
+import {NotifyMeForm} from './NotifyMeForm';
+import {isSizeOption} from '~/lib/sizeGuide';
+import {getLocaleTag, localizePath, useSelectedLocale} from '~/lib/i18n';
+import {
+  formatShipDate,
+  getExpectedShipDate,
+  getSellingPlanAllocation,
+  getSellingPlans,
+  isPreorderPlan,
+} from '~/lib/sellingPlans';
 
 /**
  * @param {{
  *   productOptions: MappedProductOptions[];
  *   selectedVariant: ProductFragment['selectedOrFirstAvailableVariant'];
+ *   hasSizeGuide?: boolean;
+ *   sellingPlanGroups?: ProductFragment['sellingPlanGroups'];
+ *   requiresSellingPlan?: boolean;
  * }}
  */
-export function ProductForm({productOptions, selectedVariant}) {
+export function ProductForm({
+  productOptions,
+  selectedVariant,
+  hasSizeGuide,
+  sellingPlanGroups,
+  requiresSellingPlan,
+}) {
   const navigate = useNavigate();
   const {open} = useAside();
+  const locale = useSelectedLocale();
+  const sellingPlans = getSellingPlans(sellingPlanGroups);
+  // Products that can only be bought with a plan (e.g. pre-orders) start
+  // with the first plan selected
+  const [sellingPlanId, setSellingPlanId] = useState(
+    requiresSellingPlan ? (sellingPlans[0]?.id ?? null) : null,
+  );
+  const sellingPlan = sellingPlans.find(({id}) => id === sellingPlanId);
+
   return (
     <div className="product-form">
       {productOptions.map((option) => {
@@ -19,7 +49,18 @@ export function ProductForm({productOptions, selectedVariant}) {
 
         return (
           <div className="product-options" key={option.name}>
-            <h5>{option.name}</h5>
+            <h5>
+              {option.name}
+              {hasSizeGuide && isSizeOption(option.name) && (
+                <button
+                  type="button"
+                  className="size-guide-toggle link reset"
+                  onClick={() => open('size-guide')}
+                >
+                  Size guide
+                </button>
+              )}
+            </h5>
             <div className="product-options-grid">
               {option.optionValues.map((value) => {
                 const {
@@ -45,7 +86,10 @@ export function ProductForm({productOptions, selectedVariant}) {
                       prefetch="intent"
                       preventScrollReset
                       replace
-                      to={`/products/${handle}?${variantUriQuery}`}
+                      to={localizePath(
+                        `/products/${handle}?${variantUriQuery}`,
+                        locale,
+                      )}
                       style={{
                         border: selected
                           ? '1px solid black'
@@ -95,25 +139,127 @@ export function ProductForm({productOptions, selectedVariant}) {
           </div>
         );
       })}
-      <AddToCartButton
-        disabled={!selectedVariant || !selectedVariant.availableForSale}
-        onClick={() => {
-          open('cart');
-        }}
-        lines={
-          selectedVariant
-            ? [
-                {
-                  merchandiseId: selectedVariant.id,
-                  quantity: 1,
-                  selectedVariant,
-                },
-              ]
-            : []
-        }
-      >
-        {selectedVariant?.availableForSale ? 'Add to cart' : 'Sold out'}
-      </AddToCartButton>
+      {sellingPlans.length > 0 && (
+        <SellingPlanSelector
+          sellingPlanGroups={sellingPlanGroups}
+          requiresSellingPlan={requiresSellingPlan}
+          sellingPlanId={sellingPlanId}
+          onChange={setSellingPlanId}
+        />
+      )}
+      {isPreorderPlan(sellingPlan) && (
+        <PreorderMessage
+          variant={selectedVariant}
+          sellingPlanId={sellingPlanId}
+        />
+      )}
+      {selectedVariant && !selectedVariant.availableForSale ? (
+        <NotifyMeForm key={selectedVariant.id} variantId={selectedVariant.id} />
+      ) : (
+        <AddToCartButton
+          disabled={!selectedVariant || (requiresSellingPlan && !sellingPlan)}
+          onClick={() => {
+            open('cart');
+          }}
+          lines={
+            selectedVariant
+              ? [
+                  {
+                    merchandiseId: selectedVariant.id,
+                    quantity: 1,
+                    selectedVariant,
+                    ...(sellingPlanId && {sellingPlanId}),
+                  },
+                ]
+              : []
+          }
+        >
+          {isPreorderPlan(sellingPlan) ? 'Pre-order' : 'Add to cart'}
+        </AddToCartButton>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @param {{
+ *   sellingPlanGroups: ProductFragment['sellingPlanGroups'];
+ *   requiresSellingPlan?: boolean;
+ *   sellingPlanId: string | null;
+ *   onChange: (sellingPlanId: string | null) => void;
+ * }}
+ */
+function SellingPlanSelector({
+  sellingPlanGroups,
+  requiresSellingPlan,
+  sellingPlanId,
+  onChange,
+}) {
+  return (
+    <fieldset className="selling-plans">
+      <legend>Purchase options</legend>
+      {!requiresSellingPlan && (
+        <label>
+          <input
+            type="radio"
+            name="selling_plan"
+            checked={!sellingPlanId}
+            onChange={() => onChange(null)}
+          />
+          One-time purchase
+        </label>
+      )}
+      {sellingPlanGroups.nodes.map((group) => (
+        <div key={group.name} className="selling-plan-group">
+          {sellingPlanGroups.nodes.length > 1 && <h5>{group.name}</h5>}
+          {group.sellingPlans.nodes.map((plan) => (
+            <label key={plan.id}>
+              <input
+                type="radio"
+                name="selling_plan"
+                value={plan.id}
+                checked={plan.id === sellingPlanId}
+                onChange={() => onChange(plan.id)}
+              />
+              {plan.name}
+              {plan.description && <small>{plan.description}</small>}
+            </label>
+          ))}
+        </div>
+      ))}
+    </fieldset>
+  );
+}
+
+/**
+ * Expected ship date and deposit of a pre-order
+ * @param {{
+ *   variant: ProductFragment['selectedOrFirstAvailableVariant'];
+ *   sellingPlanId: string | null;
+ * }}
+ */
+function PreorderMessage({variant, sellingPlanId}) {
+  const locale = useSelectedLocale();
+  const shipDate = getExpectedShipDate(variant);
+  const allocation = getSellingPlanAllocation(variant, sellingPlanId);
+  const hasDeposit =
+    allocation && Number(allocation.remainingBalanceChargeAmount.amount) > 0;
+
+  return (
+    <div className="preorder-message" role="status">
+      <p>
+        <strong>Pre-order.</strong>{' '}
+        {shipDate
+          ? `Expected to ship ${formatShipDate(shipDate, getLocaleTag(locale))}.`
+          : 'Ships as soon as it is available.'}
+      </p>
+      {hasDeposit && (
+        <p>
+          Pay <Money data={allocation.checkoutChargeAmount} /> today and{' '}
+          <Money data={allocation.remainingBalanceChargeAmount} /> when your
+          order ships.
+        </p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,287 @@
+import {useRef, useState} from 'react';
+import {Image, MediaFile} from '@shopify/hydrogen';
+
+const SWIPE_THRESHOLD = 50;
+const HOVER_ZOOM = 2;
+const MAX_PINCH_ZOOM = 4;
+
+/**
+ * Every product media (images, videos, external videos and 3D models) with
+ * thumbnails. Swipe on touch screens, hover or pinch images to zoom. Jumps to
+ * the variant image when the selected variant changes.
+ * @param {{
+ *   media: ProductMediaFragment[];
+ *   selectedImage?: ProductVariantFragment['image'];
+ * }}
+ */
+export function ProductGallery({media, selectedImage}) {
+  const [activeIndex, setActiveIndex] = useState(() =>
+    Math.max(getImageIndex(media, selectedImage), 0),
+  );
+  const swipeStart = useRef(
+    /** @type {{x: number; y: number} | null} */ (null),
+  );
+  const [isZoomed, setIsZoomed] = useState(false);
+
+  // Only jump when the variant image changes, not when browsing the gallery
+  // or when the loader data is revalidated
+  const selectedImageId = selectedImage?.id;
+  const [jumpedToImageId, setJumpedToImageId] = useState(selectedImageId);
+  if (selectedImageId !== jumpedToImageId) {
+    setJumpedToImageId(selectedImageId);
+    const index = getImageIndex(media, selectedImage);
+    if (index !== -1) setActiveIndex(index);
+  }
+
+  const active = media[activeIndex] ?? media[0];
+  if (!active) return <div className="product-image" />;
+
+  /** @param {number} index */
+  const goTo = (index) => {
+    setIsZoomed(false);
+    setActiveIndex((index + media.length) % media.length);
+  };
+
+  return (
+    <div className="product-gallery">
+      <div
+        className="product-gallery-stage"
+        role="region"
+        aria-roledescription="carousel"
+        aria-label="Product media"
+        onPointerDown={(event) => {
+          if (event.pointerType === 'mouse' || !event.isPrimary) return;
+          swipeStart.current = {x: event.clientX, y: event.clientY};
+        }}
+        onPointerUp={(event) => {
+          const start = swipeStart.current;
+          swipeStart.current = null;
+          if (!start || isZoomed || !event.isPrimary) return;
+
+          const deltaX = event.clientX - start.x;
+          const deltaY = event.clientY - start.y;
+          if (
+            Math.abs(deltaX) > SWIPE_THRESHOLD &&
+            Math.abs(deltaX) > Math.abs(deltaY)
+          ) {
+            goTo(activeIndex + (deltaX < 0 ? 1 : -1));
+          }
+        }}
+      >
+        {active.__typename === 'MediaImage' ? (
+          <ZoomableMedia
+            key={active.id}
+            media={active}
+            onZoomChange={setIsZoomed}
+          />
+        ) : (
+          <MediaFile
+            key={active.id}
+            data={active}
+            className="product-gallery-media"
+            mediaOptions={{
+              video: {controls: true, playsInline: true, preload: 'metadata'},
+              externalVideo: {rel: 0},
+            }}
+          />
+        )}
+        {media.length > 1 && (
+          <>
+            <button
+              type="button"
+              className="product-gallery-arrow previous"
+              aria-label="Previous media"
+              onClick={() => goTo(activeIndex - 1)}
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              className="product-gallery-arrow next"
+              aria-label="Next media"
+              onClick={() => goTo(activeIndex + 1)}
+            >
+              ›
+            </button>
+          </>
+        )}
+      </div>
+      {media.length > 1 && (
+        <ul className="product-gallery-thumbnails">
+          {media.map((item, index) => (
+            <li key={item.id}>
+              <button
+                type="button"
+                aria-label={`Show ${getMediaLabel(item)} ${index + 1} of ${
+                  media.length
+                }`}
+                aria-current={index === activeIndex ? 'true' : undefined}
+                onClick={() => goTo(index)}
+              >
+                {item.previewImage && (
+                  <Image
+                    data={item.previewImage}
+                    alt=""
+                    aspectRatio="1/1"
+                    width={80}
+                    loading="lazy"
+                  />
+                )}
+                {item.__typename !== 'MediaImage' && (
+                  <span className="product-gallery-badge" aria-hidden="true">
+                    {item.__typename === 'Model3d' ? '3D' : '▶'}
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Image zoomed towards the pointer on hover, or with a two-finger pinch on
+ * touch screens
+ * @param {{
+ *   media: ProductMediaFragment;
+ *   onZoomChange: (isZoomed: boolean) => void;
+ * }}
+ */
+function ZoomableMedia({media, onZoomChange}) {
+  const [zoom, setZoom] = useState({scale: 1, x: 50, y: 50});
+  const pointers = useRef(
+    /** @type {Map<number, PointerPosition>} */ (new Map()),
+  );
+  const pinchStart = useRef(
+    /** @type {{distance: number; scale: number} | null} */ (null),
+  );
+
+  /** @param {{scale: number; x: number; y: number}} next */
+  const updateZoom = (next) => {
+    setZoom(next);
+    onZoomChange(next.scale > 1);
+  };
+
+  /** @param {React.PointerEvent<HTMLDivElement>} event */
+  const getOrigin = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * 100,
+      y: ((event.clientY - rect.top) / rect.height) * 100,
+    };
+  };
+
+  return (
+    <div
+      className="product-gallery-zoom"
+      onPointerMove={(event) => {
+        if (event.pointerType === 'mouse') {
+          updateZoom({scale: HOVER_ZOOM, ...getOrigin(event)});
+          return;
+        }
+        if (!pointers.current.has(event.pointerId)) return;
+        pointers.current.set(event.pointerId, {
+          x: event.clientX,
+          y: event.clientY,
+        });
+
+        const [first, second] = [...pointers.current.values()];
+        if (!second || !pinchStart.current) return;
+        const scale = Math.min(
+          Math.max(
+            (pinchStart.current.scale * getDistance(first, second)) /
+              pinchStart.current.distance,
+            1,
+          ),
+          MAX_PINCH_ZOOM,
+        );
+        updateZoom({scale, x: zoom.x, y: zoom.y});
+      }}
+      onPointerLeave={(event) => {
+        if (event.pointerType === 'mouse') updateZoom({scale: 1, x: 50, y: 50});
+      }}
+      onPointerDown={(event) => {
+        if (event.pointerType === 'mouse') return;
+        pointers.current.set(event.pointerId, {
+          x: event.clientX,
+          y: event.clientY,
+        });
+        const [first, second] = [...pointers.current.values()];
+        if (second) {
+          pinchStart.current = {
+            distance: getDistance(first, second),
+            scale: zoom.scale,
+          };
+          setZoom((current) => ({...current, ...getOrigin(event)}));
+        }
+      }}
+      onPointerUp={(event) => {
+        pointers.current.delete(event.pointerId);
+        if (pointers.current.size < 2) pinchStart.current = null;
+      }}
+      onPointerCancel={(event) => {
+        pointers.current.delete(event.pointerId);
+        pinchStart.current = null;
+      }}
+      // Double tap resets a pinch zoom
+      onDoubleClick={() => updateZoom({scale: 1, x: 50, y: 50})}
+    >
+      <MediaFile
+        data={media}
+        className="product-gallery-media"
+        style={{
+          transform: `scale(${zoom.scale})`,
+          transformOrigin: `${zoom.x}% ${zoom.y}%`,
+        }}
+        mediaOptions={{
+          image: {
+            aspectRatio: '1/1',
+            sizes: '(min-width: 45em) 50vw, 100vw',
+          },
+        }}
+      />
+    </div>
+  );
+}
+
+/**
+ * @param {ProductMediaFragment[]} media
+ * @param {ProductVariantFragment['image'] | undefined} image
+ */
+function getImageIndex(media, image) {
+  if (!image) return -1;
+  return media.findIndex(
+    (item) =>
+      item.__typename === 'MediaImage' &&
+      (item.image?.id === image.id || item.image?.url === image.url),
+  );
+}
+
+/**
+ * @param {ProductMediaFragment} media
+ */
+function getMediaLabel(media) {
+  switch (media.__typename) {
+    case 'Video':
+    case 'ExternalVideo':
+      return 'video';
+    case 'Model3d':
+      return '3D model';
+    default:
+      return 'image';
+  }
+}
+
+/**
+ * @param {PointerPosition} first
+ * @param {PointerPosition} second
+ */
+function getDistance(first, second) {
+  return Math.hypot(first.x - second.x, first.y - second.y);
+}
+
+/** @typedef {{x: number; y: number}} PointerPosition */
+/** @typedef {import('storefrontapi.generated').ProductMediaFragment} ProductMediaFragment */
+/** @typedef {import('storefrontapi.generated').ProductVariantFragment} ProductVariantFragment */
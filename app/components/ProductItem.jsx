@@ -1,13 +1,16 @@
 import {Link} from 'react-router';
 import {Image, Money} from '@shopify/hydrogen';
 import {useVariantUrl} from '~/lib/variants';
+import {WishlistButton} from '~/components/Wishlist';
 
 /**
  * @param {{
  *   product:
  *     | CollectionItemFragment
  *     | ProductItemFragment
- *     | RecommendedProductFragment;
+ *     | RecommendedProductFragment
+ *     | RecommendedProductItemFragment
+ *     | WishlistProductFragment;
  *   loading?: 'eager' | 'lazy';
  * }}
  */
@@ -15,29 +18,29 @@ export function ProductItem({product, loading}) {
   const variantUrl = useVariantUrl(product.handle);
   const image = product.featuredImage;
   return (
-    <Link
-      className="product-item"
-      key={product.id}
-      prefetch="intent"
-      to={variantUrl}
-    >
-      {image && (
-        <Image
-          alt={image.altText || product.title}
-          className="w-full h-full object-fit"
-          data={image}
-          loading={loading}
-          sizes="(min-width: 45em) 400px, 100vw"
-        />
-      )}
-      <h4>{product.title}</h4>
-      <small>
-        <Money data={product.priceRange.minVariantPrice} />
-      </small>
-    </Link>
+    <div className="product-item">
+      <Link className="product-item-link" prefetch="intent" to={variantUrl}>
+        {image && (
+          <Image
+            alt={image.altText || product.title}
+            className="w-full h-full object-fit"
+            data={image}
+            loading={loading}
+            sizes="(min-width: 45em) 400px, 100vw"
+          />
+        )}
+        <h4>{product.title}</h4>
+        <small>
+          <Money data={product.priceRange.minVariantPrice} />
+        </small>
+      </Link>
+      <WishlistButton productId={product.id} />
+    </div>
   );
 }
 
 /** @typedef {import('storefrontapi.generated').ProductItemFragment} ProductItemFragment */
 /** @typedef {import('storefrontapi.generated').CollectionItemFragment} CollectionItemFragment */
 /** @typedef {import('storefrontapi.generated').RecommendedProductFragment} RecommendedProductFragment */
+/** @typedef {import('storefrontapi.generated').RecommendedProductItemFragment} RecommendedProductItemFragment */
+/** @typedef {import('storefrontapi.generated').WishlistProductFragment} WishlistProductFragment */
@@ -0,0 +1,65 @@
+import {Suspense} from 'react';
+import {Await} from 'react-router';
+import {AddToCartButton} from '~/components/AddToCartButton';
+import {useAside} from '~/components/Aside';
+import {ProductItem} from '~/components/ProductItem';
+
+/**
+ * Deferred list of product cards with a quick-add button. Renders nothing
+ * when there are no products, so it can be used on any page.
+ * @param {{
+ *   heading: string;
+ *   products: Promise<RecommendedProductItem[]>;
+ * }}
+ */
+export function ProductRecommendations({heading, products}) {
+  return (
+    <Suspense fallback={null}>
+      <Await resolve={products} errorElement={null}>
+        {(response) =>
+          response.length ? (
+            <section className="recommended-products">
+              <h2>{heading}</h2>
+              <div className="recommended-products-grid">
+                {response.map((product) => (
+                  <div key={product.id} className="recommended-product">
+                    <ProductItem product={product} loading="lazy" />
+                    <QuickAddButton product={product} />
+                  </div>
+                ))}
+              </div>
+              <br />
+            </section>
+          ) : null
+        }
+      </Await>
+    </Suspense>
+  );
+}
+
+/**
+ * @param {{product: RecommendedProductItem}}
+ */
+function QuickAddButton({product}) {
+  const {open} = useAside();
+  const variant = product.selectedOrFirstAvailableVariant;
+
+  if (!variant?.availableForSale) {
+    return (
+      <button type="button" disabled>
+        Sold out
+      </button>
+    );
+  }
+
+  return (
+    <AddToCartButton
+      lines={[{merchandiseId: variant.id, quantity: 1}]}
+      onClick={() => open('cart')}
+    >
+      Quick add
+    </AddToCartButton>
+  );
+}
+
+/** @typedef {import('storefrontapi.generated').RecommendedProductItemFragment} RecommendedProductItem */
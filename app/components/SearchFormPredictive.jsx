@@ -1,6 +1,7 @@
 import {useFetcher, useNavigate} from 'react-router';
 import React, {useRef, useEffect} from 'react';
 import {useAside} from './Aside';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 export const SEARCH_ENDPOINT = '/search';
 
@@ -13,6 +14,7 @@ export function SearchFormPredictive({
   className = 'predictive-search-form',
   ...props
 }) {
+  const locale = useSelectedLocale();
   const fetcher = useFetcher({key: 'search'});
   const inputRef = useRef(null);
   const navigate = useNavigate();
@@ -30,7 +32,9 @@ export function SearchFormPredictive({
   /** Navigate to the search page with the current input value */
   function goToSearch() {
     const term = inputRef?.current?.value;
-    void navigate(SEARCH_ENDPOINT + (term ? `?q=${term}` : ''));
+    void navigate(
+      localizePath(SEARCH_ENDPOINT + (term ? `?q=${term}` : ''), locale),
+    );
     aside.close();
   }
 
@@ -38,7 +42,7 @@ export function SearchFormPredictive({
   function fetchResults(event) {
     void fetcher.submit(
       {q: event.target.value || '', limit: 5, predictive: true},
-      {method: 'GET', action: SEARCH_ENDPOINT},
+      {method: 'GET', action: localizePath(SEARCH_ENDPOINT, locale)},
     );
   }
 
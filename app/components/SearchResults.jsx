@@ -1,6 +1,8 @@
 import {Link} from 'react-router';
-import {Image, Money, Pagination} from '@shopify/hydrogen';
+import {Image, Money} from '@shopify/hydrogen';
+import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
 import {urlWithTrackingParams} from '~/lib/search';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @param {Omit<SearchResultsProps, 'error' | 'type'>}
@@ -22,6 +24,7 @@ SearchResults.Empty = SearchResultsEmpty;
  * @param {PartialSearchResult<'articles'>}
  */
 function SearchResultsArticles({term, articles}) {
+  const locale = useSelectedLocale();
   if (!articles?.nodes.length) {
     return null;
   }
@@ -32,7 +35,7 @@ function SearchResultsArticles({term, articles}) {
       <div>
         {articles?.nodes?.map((article) => {
           const articleUrl = urlWithTrackingParams({
-            baseUrl: `/blogs/${article.handle}`,
+            baseUrl: localizePath(`/blogs/${article.handle}`, locale),
             trackingParams: article.trackingParameters,
             term,
           });
@@ -55,6 +58,7 @@ function SearchResultsArticles({term, articles}) {
  * @param {PartialSearchResult<'pages'>}
  */
 function SearchResultsPages({term, pages}) {
+  const locale = useSelectedLocale();
   if (!pages?.nodes.length) {
     return null;
   }
@@ -65,7 +69,7 @@ function SearchResultsPages({term, pages}) {
       <div>
         {pages?.nodes?.map((page) => {
           const pageUrl = urlWithTrackingParams({
-            baseUrl: `/pages/${page.handle}`,
+            baseUrl: localizePath(`/pages/${page.handle}`, locale),
             trackingParams: page.trackingParameters,
             term,
           });
@@ -85,9 +89,12 @@ function SearchResultsPages({term, pages}) {
 }
 
 /**
- * @param {PartialSearchResult<'products'>}
+ * @param {PartialSearchResult<'products'> & {
+ *   mode?: 'loadMore' | 'infinite' | 'pages';
+ * }}
  */
-function SearchResultsProducts({term, products}) {
+function SearchResultsProducts({term, products, mode}) {
+  const locale = useSelectedLocale();
   if (!products?.nodes.length) {
     return null;
   }
@@ -95,53 +102,30 @@ function SearchResultsProducts({term, products}) {
   return (
     <div className="search-result">
       <h2>Products</h2>
-      <Pagination connection={products}>
-        {({nodes, isLoading, NextLink, PreviousLink}) => {
-          const ItemsMarkup = nodes.map((product) => {
-            const productUrl = urlWithTrackingParams({
-              baseUrl: `/products/${product.handle}`,
-              trackingParams: product.trackingParameters,
-              term,
-            });
-
-            const price = product?.selectedOrFirstAvailableVariant?.price;
-            const image = product?.selectedOrFirstAvailableVariant?.image;
-
-            return (
-              <div className="search-results-item" key={product.id}>
-                <Link prefetch="intent" to={productUrl}>
-                  {image && (
-                    <Image data={image} alt={product.title} width={50} />
-                  )}
-                  <div>
-                    <p>{product.title}</p>
-                    <small>{price && <Money data={price} />}</small>
-                  </div>
-                </Link>
-              </div>
-            );
+      <PaginatedResourceSection connection={products} mode={mode}>
+        {({node: product}) => {
+          const productUrl = urlWithTrackingParams({
+            baseUrl: localizePath(`/products/${product.handle}`, locale),
+            trackingParams: product.trackingParameters,
+            term,
           });
 
+          const price = product?.selectedOrFirstAvailableVariant?.price;
+          const image = product?.selectedOrFirstAvailableVariant?.image;
+
           return (
-            <div>
-              <div>
-                <PreviousLink>
-                  {isLoading ? 'Loading...' : <span>↑ Load previous</span>}
-                </PreviousLink>
-              </div>
-              <div>
-                {ItemsMarkup}
-                <br />
-              </div>
-              <div>
-                <NextLink>
-                  {isLoading ? 'Loading...' : <span>Load more ↓</span>}
-                </NextLink>
-              </div>
+            <div className="search-results-item" key={product.id}>
+              <Link prefetch="intent" to={productUrl}>
+                {image && <Image data={image} alt={product.title} width={50} />}
+                <div>
+                  <p>{product.title}</p>
+                  <small>{price && <Money data={price} />}</small>
+                </div>
+              </Link>
             </div>
           );
         }}
-      </Pagination>
+      </PaginatedResourceSection>
       <br />
     </div>
   );
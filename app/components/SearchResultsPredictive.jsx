@@ -6,6 +6,7 @@ import {
   urlWithTrackingParams,
 } from '~/lib/search';
 import {useAside} from './Aside';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * Component that renders predictive search results
@@ -55,6 +56,7 @@ SearchResultsPredictive.Empty = SearchResultsPredictiveEmpty;
  * @param {PartialPredictiveSearchResult<'articles'>}
  */
 function SearchResultsPredictiveArticles({term, articles, closeSearch}) {
+  const locale = useSelectedLocale();
   if (!articles.length) return null;
 
   return (
@@ -63,7 +65,10 @@ function SearchResultsPredictiveArticles({term, articles, closeSearch}) {
       <ul>
         {articles.map((article) => {
           const articleUrl = urlWithTrackingParams({
-            baseUrl: `/blogs/${article.blog.handle}/${article.handle}`,
+            baseUrl: localizePath(
+              `/blogs/${article.blog.handle}/${article.handle}`,
+              locale,
+            ),
             trackingParams: article.trackingParameters,
             term: term.current ?? '',
           });
@@ -95,6 +100,7 @@ function SearchResultsPredictiveArticles({term, articles, closeSearch}) {
  * @param {PartialPredictiveSearchResult<'collections'>}
  */
 function SearchResultsPredictiveCollections({term, collections, closeSearch}) {
+  const locale = useSelectedLocale();
   if (!collections.length) return null;
 
   return (
@@ -103,7 +109,7 @@ function SearchResultsPredictiveCollections({term, collections, closeSearch}) {
       <ul>
         {collections.map((collection) => {
           const collectionUrl = urlWithTrackingParams({
-            baseUrl: `/collections/${collection.handle}`,
+            baseUrl: localizePath(`/collections/${collection.handle}`, locale),
             trackingParams: collection.trackingParameters,
             term: term.current,
           });
@@ -135,6 +141,7 @@ function SearchResultsPredictiveCollections({term, collections, closeSearch}) {
  * @param {PartialPredictiveSearchResult<'pages'>}
  */
 function SearchResultsPredictivePages({term, pages, closeSearch}) {
+  const locale = useSelectedLocale();
   if (!pages.length) return null;
 
   return (
@@ -143,7 +150,7 @@ function SearchResultsPredictivePages({term, pages, closeSearch}) {
       <ul>
         {pages.map((page) => {
           const pageUrl = urlWithTrackingParams({
-            baseUrl: `/pages/${page.handle}`,
+            baseUrl: localizePath(`/pages/${page.handle}`, locale),
             trackingParams: page.trackingParameters,
             term: term.current,
           });
@@ -167,6 +174,7 @@ function SearchResultsPredictivePages({term, pages, closeSearch}) {
  * @param {PartialPredictiveSearchResult<'products'>}
  */
 function SearchResultsPredictiveProducts({term, products, closeSearch}) {
+  const locale = useSelectedLocale();
   if (!products.length) return null;
 
   return (
@@ -175,7 +183,7 @@ function SearchResultsPredictiveProducts({term, products, closeSearch}) {
       <ul>
         {products.map((product) => {
           const productUrl = urlWithTrackingParams({
-            baseUrl: `/products/${product.handle}`,
+            baseUrl: localizePath(`/products/${product.handle}`, locale),
             trackingParams: product.trackingParameters,
             term: term.current,
           });
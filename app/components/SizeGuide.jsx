@@ -0,0 +1,151 @@
+import {useState} from 'react';
+import {useNavigate} from 'react-router';
+import {Aside} from '~/components/Aside';
+import {
+  DEFAULT_LAYERING,
+  isSizeOption,
+  LAYERINGS,
+  recommendSize,
+} from '~/lib/sizeGuide';
+
+/**
+ * Size chart and fit finder drawer, opened with `open('size-guide')`. The
+ * recommended size is selected on the product form.
+ * @param {{
+ *   sizeChart: SizeChart;
+ *   productOptions: MappedProductOptions[];
+ * }}
+ */
+export function SizeGuideAside({sizeChart, productOptions}) {
+  return (
+    <Aside type="size-guide" heading={sizeChart.name.toUpperCase()}>
+      <div className="size-guide">
+        <SizeChartTable sizeChart={sizeChart} />
+        {sizeChart.notes && (
+          <p className="size-guide-notes">{sizeChart.notes}</p>
+        )}
+        <FitFinder sizeChart={sizeChart} productOptions={productOptions} />
+      </div>
+    </Aside>
+  );
+}
+
+/**
+ * @param {{sizeChart: SizeChart}}
+ */
+function SizeChartTable({sizeChart}) {
+  const {rows, unit} = sizeChart;
+  const hasHeight = rows.some((row) => row.height);
+  const hasLength = rows.some((row) => row.length);
+
+  return (
+    <table className="size-guide-table">
+      <caption>Body measurements in {unit}</caption>
+      <thead>
+        <tr>
+          <th scope="col">Size</th>
+          <th scope="col">Chest</th>
+          {hasHeight && <th scope="col">Height</th>}
+          {hasLength && <th scope="col">Coat length</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.size}>
+            <th scope="row">{row.size}</th>
+            <td>{row.chest.join('–')}</td>
+            {hasHeight && <td>{row.height?.join('–') ?? '—'}</td>}
+            {hasLength && <td>{row.length ?? '—'}</td>}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * @param {{
+ *   sizeChart: SizeChart;
+ *   productOptions: MappedProductOptions[];
+ * }}
+ */
+function FitFinder({sizeChart, productOptions}) {
+  const navigate = useNavigate();
+  /** @type {[FitRecommendation | null, Function]} */
+  const [recommendation, setRecommendation] = useState(null);
+  const {unit} = sizeChart;
+
+  const sizeOption = productOptions.find((option) => isSizeOption(option.name));
+  const recommendedValue = sizeOption?.optionValues.find(
+    ({name}) => name.toLowerCase() === recommendation?.size.toLowerCase(),
+  );
+
+  /** @param {React.FormEvent<HTMLFormElement>} event */
+  function handleSubmit(event) {
+    event.preventDefault();
+    const formData = new FormData(event.currentTarget);
+    const height = Number(formData.get('height')) || undefined;
+    const chest = Number(formData.get('chest'));
+    const layering = String(formData.get('layering'));
+    if (!chest) return;
+
+    const result = recommendSize(sizeChart, {height, chest, layering});
+    setRecommendation(result);
+
+    const value = sizeOption?.optionValues.find(
+      ({name}) => name.toLowerCase() === result.size.toLowerCase(),
+    );
+    if (value?.exists && !value.selected) {
+      void navigate(`?${value.variantUriQuery}`, {
+        replace: true,
+        preventScrollReset: true,
+      });
+    }
+  }
+
+  return (
+    <form className="fit-finder" onSubmit={handleSubmit}>
+      <h4>Find your size</h4>
+      <label>
+        Height ({unit})
+        <input type="number" name="height" min={0} step="any" />
+      </label>
+      <label>
+        Chest ({unit})
+        <input type="number" name="chest" min={0} step="any" required />
+      </label>
+      <label>
+        Worn over
+        <select name="layering" defaultValue={DEFAULT_LAYERING}>
+          {Object.entries(LAYERINGS).map(([value, {label}]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button type="submit">Recommend a size</button>
+      <div aria-live="polite">
+        {recommendation && (
+          <div className="fit-finder-result">
+            <p>
+              We recommend size <strong>{recommendation.size}</strong>
+              {recommendedValue?.exists
+                ? recommendedValue.available
+                  ? ', now selected.'
+                  : ', selected but currently sold out.'
+                : '.'}
+            </p>
+            {recommendation.notes.map((note) => (
+              <p key={note}>{note}</p>
+            ))}
+          </div>
+        )}
+      </div>
+    </form>
+  );
+}
+
+/** @typedef {import('@shopify/hydrogen').MappedProductOptions} MappedProductOptions */
+/** @typedef {import('~/lib/sizeGuide').SizeChart} SizeChart */
+/** @typedef {import('~/lib/sizeGuide').FitRecommendation} FitRecommendation */
@@ -0,0 +1,43 @@
+import {useEffect, useState} from 'react';
+
+const TOAST_DURATION = 8000;
+
+/**
+ * Short-lived message after a redirect, e.g. the outcome of a discount link.
+ * Dismisses itself unless hovered or focused.
+ * @param {{toast: FlashToast}}
+ */
+export function Toast({toast}) {
+  const [isOpen, setIsOpen] = useState(true);
+  const [isPaused, setIsPaused] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || isPaused) return;
+    const timeout = setTimeout(() => setIsOpen(false), TOAST_DURATION);
+    return () => clearTimeout(timeout);
+  }, [isOpen, isPaused]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className={`toast toast-${toast.tone}`}
+      role={toast.tone === 'error' ? 'alert' : 'status'}
+      onMouseEnter={() => setIsPaused(true)}
+      onMouseLeave={() => setIsPaused(false)}
+      onFocus={() => setIsPaused(true)}
+      onBlur={() => setIsPaused(false)}
+    >
+      <p>{toast.message}</p>
+      <button
+        type="button"
+        aria-label="Dismiss"
+        onClick={() => setIsOpen(false)}
+      >
+        &times;
+      </button>
+    </div>
+  );
+}
+
+/** @typedef {import('~/lib/toast').FlashToast} FlashToast */
@@ -0,0 +1,173 @@
+import {Suspense} from 'react';
+import {Await, useFetcher, useRouteLoaderData} from 'react-router';
+import {useAside} from '~/components/Aside';
+import {ProductItem} from '~/components/ProductItem';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {WISHLIST_PATH, isInWishlist} from '~/lib/wishlist';
+
+/**
+ * Heart toggling a product in the wishlist. The saved state comes from the
+ * wishlist deferred by the root loader, and is optimistic while saving.
+ * @param {{productId: string; variantId?: string | null}}
+ */
+export function WishlistButton({productId, variantId}) {
+  /** @type {RootLoader | undefined} */
+  const data = useRouteLoaderData('root');
+  const toggle = (/** @type {boolean} */ isSaved) => (
+    <WishlistToggle
+      productId={productId}
+      variantId={variantId}
+      isSaved={isSaved}
+    />
+  );
+
+  return (
+    <Suspense fallback={toggle(false)}>
+      <Await resolve={data?.wishlist} errorElement={toggle(false)}>
+        {(items) => toggle(isInWishlist(items, productId))}
+      </Await>
+    </Suspense>
+  );
+}
+
+/**
+ * @param {{
+ *   productId: string;
+ *   variantId?: string | null;
+ *   isSaved: boolean;
+ * }}
+ */
+function WishlistToggle({productId, variantId, isSaved}) {
+  const locale = useSelectedLocale();
+  const fetcher = useWishlistFetcher(productId);
+  const pendingIntent = fetcher.formData?.get('intent');
+  const isSavedOptimistic = pendingIntent
+    ? pendingIntent !== 'remove'
+    : isSaved;
+
+  return (
+    <fetcher.Form
+      method="post"
+      action={localizePath(WISHLIST_PATH, locale)}
+      className="wishlist-button"
+    >
+      <input type="hidden" name="productId" value={productId} />
+      {variantId && <input type="hidden" name="variantId" value={variantId} />}
+      <button
+        type="submit"
+        name="intent"
+        value={isSavedOptimistic ? 'remove' : 'add'}
+        aria-label={
+          isSavedOptimistic ? 'Remove from wishlist' : 'Save to wishlist'
+        }
+        aria-pressed={isSavedOptimistic}
+      >
+        {isSavedOptimistic ? '♥' : '♡'}
+      </button>
+    </fetcher.Form>
+  );
+}
+
+/**
+ * Moves a cart line to the wishlist
+ * @param {{line: CartLine}}
+ */
+export function SaveForLaterButton({line}) {
+  const locale = useSelectedLocale();
+  const {merchandise} = line;
+  const fetcher = useWishlistFetcher(merchandise.product.id);
+
+  return (
+    <fetcher.Form method="post" action={localizePath(WISHLIST_PATH, locale)}>
+      <input type="hidden" name="lineId" value={line.id} />
+      <input type="hidden" name="productId" value={merchandise.product.id} />
+      <input type="hidden" name="variantId" value={merchandise.id} />
+      <button
+        type="submit"
+        name="intent"
+        value="saveForLater"
+        disabled={!!line.isOptimistic || fetcher.state !== 'idle'}
+      >
+        Save for later
+      </button>
+    </fetcher.Form>
+  );
+}
+
+/**
+ * Wishlist page content, for the guest and account wishlists
+ * @param {{products: WishlistProduct[]}}
+ */
+export function WishlistProducts({products}) {
+  if (!products.length) {
+    return <p>Tap the heart on a product to save it here.</p>;
+  }
+
+  return (
+    <div className="wishlist-grid">
+      {products.map(({product, variant, isSavedVariant}) => (
+        <div key={product.id} className="wishlist-item">
+          <ProductItem product={product} loading="lazy" />
+          {isSavedVariant && variant && <small>{variant.title}</small>}
+          <MoveToCartButton productId={product.id} variant={variant} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * @param {{
+ *   productId: string;
+ *   variant: WishlistProduct['variant'];
+ * }}
+ */
+function MoveToCartButton({productId, variant}) {
+  const locale = useSelectedLocale();
+  const {open} = useAside();
+  const fetcher = useWishlistFetcher(productId);
+
+  if (!variant?.availableForSale) {
+    return (
+      <button type="button" disabled>
+        Sold out
+      </button>
+    );
+  }
+
+  return (
+    <fetcher.Form method="post" action={localizePath(WISHLIST_PATH, locale)}>
+      <input type="hidden" name="productId" value={productId} />
+      <input type="hidden" name="variantId" value={variant.id} />
+      <button
+        type="submit"
+        name="intent"
+        value="moveToCart"
+        disabled={fetcher.state !== 'idle'}
+        onClick={() => open('cart')}
+      >
+        Move to cart
+      </button>
+      {fetcher.data?.error && <p role="alert">{fetcher.data.error}</p>}
+      {fetcher.data?.warnings?.map((warning) => (
+        <p key={warning} role="status">
+          {warning}
+        </p>
+      ))}
+    </fetcher.Form>
+  );
+}
+
+/**
+ * Shared by every wishlist form of a product, so the hearts of the same
+ * product stay in sync
+ * @param {string} productId
+ */
+function useWishlistFetcher(productId) {
+  return useFetcher({key: `wishlist:${productId}`});
+}
+
+/** @typedef {import('~/lib/wishlist').WishlistProduct} WishlistProduct */
+/** @typedef {import('@shopify/hydrogen').OptimisticCartLine<CartApiQueryFragment>} CartLine */
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
+/** @typedef {import('~/root').RootLoader} RootLoader */
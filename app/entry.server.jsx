@@ -25,9 +25,28 @@ export default async function handleRequest(
     imgSrc: [
       "'self'",
       'data:',
+      'blob:',
       'https://cdn.shopify.com',
       'https://images.unsplash.com',
+      'https://*.google-analytics.com',
+      'https://*.googletagmanager.com',
     ],
+    // Product media: `Model3d` loads model-viewer from unpkg and decodes the
+    // model textures to blob URLs, `ExternalVideo` embeds YouTube and Vimeo.
+    // Google Tag Manager, see `components/GoogleTagManager`.
+    scriptSrc: [
+      "'self'",
+      'https://cdn.shopify.com',
+      'https://unpkg.com',
+      'https://www.googletagmanager.com',
+    ],
+    connectSrc: [
+      'blob:',
+      'https://*.google-analytics.com',
+      'https://*.analytics.google.com',
+      'https://*.googletagmanager.com',
+    ],
+    frameSrc: ['https://www.youtube.com', 'https://player.vimeo.com'],
   });
 
   const body = await renderToReadableStream(
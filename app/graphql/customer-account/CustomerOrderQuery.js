@@ -41,6 +41,9 @@ export const CUSTOMER_ORDER_QUERY = `#graphql
       width
     }
     variantTitle
+    sellingPlan {
+      name
+    }
   }
   fragment Order on Order {
     id
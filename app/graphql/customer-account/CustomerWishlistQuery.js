@@ -0,0 +1,31 @@
+// NOTE: https://shopify.dev/docs/api/customer/latest/objects/Customer#field-metafield
+export const CUSTOMER_WISHLIST_QUERY = `#graphql
+  query CustomerWishlist($language: LanguageCode)
+  @inContext(language: $language) {
+    customer {
+      id
+      wishlist: metafield(namespace: "custom", key: "wishlist") {
+        value
+      }
+    }
+  }
+`;
+
+// NOTE: https://shopify.dev/docs/api/customer/latest/mutations/metafieldsSet
+export const CUSTOMER_WISHLIST_SET_MUTATION = `#graphql
+  mutation customerWishlistSet(
+    $metafields: [MetafieldsSetInput!]!
+    $language: LanguageCode
+  ) @inContext(language: $language) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        key
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
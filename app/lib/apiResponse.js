@@ -0,0 +1,67 @@
+/**
+ * JSON helpers for the /api/* resource routes called with `fetch` from the
+ * browser. Errors use the shape `{error: {code, message, field?}}` so forms
+ * can show them inline next to the offending field.
+ */
+
+/**
+ * @param {unknown} body
+ * @param {number} [status]
+ * @param {Record<string, string>} [headers]
+ */
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {'Content-Type': 'application/json', ...headers},
+  });
+}
+
+/**
+ * @param {ApiError} error
+ * @param {number} status
+ * @param {Record<string, string>} [headers]
+ */
+export function errorResponse(error, status, headers) {
+  return jsonResponse({error}, status, headers);
+}
+
+/**
+ * @param {number} retryAfter - Seconds until the next request is allowed
+ */
+export function rateLimitedResponse(retryAfter) {
+  return errorResponse(
+    {
+      code: 'rate_limited',
+      message: 'Too many attempts. Please try again in a few minutes.',
+    },
+    429,
+    {'Retry-After': String(retryAfter)},
+  );
+}
+
+/**
+ * Returns a 403 error response when the request was sent from another
+ * origin, e.g. a form on a third-party site or a cross-site script.
+ * @returns {Response | null}
+ * @param {Request} request
+ */
+export function rejectCrossOrigin(request) {
+  const origin = request.headers.get('Origin');
+
+  if (origin && origin !== new URL(request.url).origin) {
+    return errorResponse(
+      {code: 'forbidden_origin', message: 'Request not allowed.'},
+      403,
+    );
+  }
+
+  return null;
+}
+
+/**
+ * @typedef {{
+ *   code: string;
+ *   message: string;
+ *   field?: string;
+ * }} ApiError
+ */
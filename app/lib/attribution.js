@@ -0,0 +1,135 @@
+import {useEffect, useState} from 'react';
+
+/**
+ * Campaign query parameters captured with newsletter signups
+ */
+export const UTM_PARAMS = [
+  'utm_source',
+  'utm_medium',
+  'utm_campaign',
+  'utm_term',
+  'utm_content',
+];
+
+/**
+ * Every attribution field accepted by /api/newsletter
+ */
+export const ATTRIBUTION_FIELDS = [
+  ...UTM_PARAMS,
+  'referrer',
+  'landing_page',
+  'landing_variant',
+];
+
+const ATTRIBUTION_STORAGE_KEY = 'rani-mode:attribution';
+const MAX_ATTRIBUTION_VALUE_LENGTH = 255;
+
+/**
+ * Captures the visit's UTM parameters, referrer and landing variant.
+ * The first touch of the browsing session is kept in `sessionStorage`, so
+ * the attribution survives reloads and in-site navigation.
+ * @returns {SignupAttribution}
+ * @param {string} [variant] - The landing page variant shown to the visitor
+ */
+export function useSignupAttribution(variant = 'default') {
+  const [attribution, setAttribution] = useState({landing_variant: variant});
+
+  useEffect(() => {
+    let stored = null;
+    try {
+      stored = JSON.parse(
+        window.sessionStorage.getItem(ATTRIBUTION_STORAGE_KEY) ?? 'null',
+      );
+    } catch {
+      // sessionStorage is unavailable (e.g. privacy mode)
+    }
+
+    const firstTouch = stored ?? getVisitAttribution(window.location);
+
+    try {
+      window.sessionStorage.setItem(
+        ATTRIBUTION_STORAGE_KEY,
+        JSON.stringify(firstTouch),
+      );
+    } catch {
+      // sessionStorage is unavailable (e.g. privacy mode)
+    }
+
+    setAttribution({...firstTouch, landing_variant: variant});
+  }, [variant]);
+
+  return attribution;
+}
+
+/**
+ * @param {Location} location
+ * @returns {SignupAttribution}
+ */
+function getVisitAttribution(location) {
+  const searchParams = new URLSearchParams(location.search);
+  const attribution = {landing_page: location.pathname};
+
+  UTM_PARAMS.forEach((param) => {
+    const value = searchParams.get(param);
+    if (value) attribution[param] = value;
+  });
+
+  // Ignore internal navigation
+  if (document.referrer && !document.referrer.startsWith(location.origin)) {
+    attribution.referrer = document.referrer;
+  }
+
+  return attribution;
+}
+
+/**
+ * Keeps only known attribution fields with non-empty string values.
+ * Used server-side on the untrusted signup payload.
+ * @returns {SignupAttribution}
+ * @param {unknown} value
+ */
+export function sanitizeAttribution(value) {
+  if (!value || typeof value !== 'object') return {};
+
+  return ATTRIBUTION_FIELDS.reduce((attribution, field) => {
+    const fieldValue = value[field];
+    if (typeof fieldValue === 'string' && fieldValue.trim()) {
+      attribution[field] = fieldValue
+        .trim()
+        .slice(0, MAX_ATTRIBUTION_VALUE_LENGTH);
+    }
+    return attribution;
+  }, {});
+}
+
+/**
+ * Builds the "custom source" reported to the email-marketing provider
+ * @example
+ * getSignupSource({utm_source: 'instagram', utm_campaign: 'coat-drop'})
+ * // returns "Landing Page (instagram / coat-drop)"
+ * @param {SignupAttribution} attribution
+ */
+export function getSignupSource(attribution) {
+  const campaign = [
+    attribution.utm_source,
+    attribution.utm_medium,
+    attribution.utm_campaign,
+  ]
+    .filter(Boolean)
+    .join(' / ');
+
+  return campaign ? `Landing Page (${campaign})` : 'Landing Page';
+}
+
+/**
+ * @typedef {{
+ *   utm_source?: string;
+ *   utm_medium?: string;
+ *   utm_campaign?: string;
+ *   utm_term?: string;
+ *   utm_content?: string;
+ *   referrer?: string;
+ *   landing_page?: string;
+ *   landing_variant?: string;
+ * }} SignupAttribution
+ */
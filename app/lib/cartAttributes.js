@@ -0,0 +1,139 @@
+/**
+ * Cart attributes set from the cart summary: gift wrapping, a gift message
+ * and the date of the occasion the order is for. Attributes and the cart
+ * note are copied to the order at checkout.
+ *
+ * Set `GIFT_WRAP_VARIANT_ID` (numeric id or gid) to also add a gift-wrap
+ * product line, so wrapping can be charged for. Without it gift wrapping is
+ * only an attribute.
+ */
+
+export const GIFT_WRAP_ATTRIBUTE = 'Gift wrap';
+export const GIFT_MESSAGE_ATTRIBUTE = 'Gift message';
+export const OCCASION_DATE_ATTRIBUTE = 'Occasion date';
+
+/**
+ * Cart line attribute marking the gift-wrap line managed by
+ * `syncGiftWrapLine`. It starts with an underscore so it is hidden at
+ * checkout.
+ */
+export const GIFT_WRAP_LINE_ATTRIBUTE = '_gift_wrap';
+
+export const MAX_NOTE_LENGTH = 500;
+export const MAX_GIFT_MESSAGE_LENGTH = 200;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @param {Array<{key: string; value?: string | null}> | null | undefined} attributes
+ * @param {string} key
+ */
+export function getAttribute(attributes, key) {
+  return attributes?.find((attribute) => attribute.key === key)?.value ?? '';
+}
+
+/**
+ * `cartAttributesUpdate` replaces every attribute, so existing ones are kept
+ * unless overridden. Updates with an empty value remove the attribute.
+ * @param {Array<{key: string; value?: string | null}>} attributes
+ * @param {AttributeInput[]} updates
+ * @returns {AttributeInput[]}
+ */
+export function mergeAttributes(attributes, updates) {
+  const keys = new Set(updates.map(({key}) => key));
+  return [
+    ...attributes
+      .filter(({key}) => !keys.has(key))
+      .map(({key, value}) => ({key, value: value ?? ''})),
+    ...updates.filter(({value}) => value),
+  ];
+}
+
+/**
+ * Gift options submitted from the cart summary, as attribute updates
+ * @param {Record<string, unknown>} inputs - `CartForm` inputs
+ * @param {Date} [today]
+ * @returns {AttributeInput[]}
+ */
+export function getGiftOptionsAttributes(inputs, today = new Date()) {
+  const giftWrap = inputs.giftWrap === 'on';
+  const giftMessage = giftWrap
+    ? String(inputs.giftMessage ?? '')
+        .trim()
+        .slice(0, MAX_GIFT_MESSAGE_LENGTH)
+    : '';
+
+  return [
+    {key: GIFT_WRAP_ATTRIBUTE, value: giftWrap ? 'Yes' : ''},
+    {key: GIFT_MESSAGE_ATTRIBUTE, value: giftMessage},
+    {
+      key: OCCASION_DATE_ATTRIBUTE,
+      value: parseOccasionDate(inputs.occasionDate, today) ?? '',
+    },
+  ];
+}
+
+/**
+ * A `YYYY-MM-DD` date from today on, or null
+ * @param {unknown} value
+ * @param {Date} [today]
+ */
+export function parseOccasionDate(value, today = new Date()) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return value >= getMinOccasionDate(today) ? value : null;
+}
+
+/**
+ * Earliest occasion date, for the date picker and validation
+ * @param {Date} [today]
+ */
+export function getMinOccasionDate(today = new Date()) {
+  return today.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {{attributes?: Array<{key: string}> | null}} line
+ */
+export function isGiftWrapLine(line) {
+  return !!line.attributes?.some(({key}) => key === GIFT_WRAP_LINE_ATTRIBUTE);
+}
+
+/**
+ * Adds the gift-wrap line when gift wrapping is on, and removes it when off.
+ * Does nothing without `GIFT_WRAP_VARIANT_ID`.
+ * @param {CartHandler} cart
+ * @param {{
+ *   lines: Array<{id: string; attributes?: Array<{key: string}> | null}>;
+ *   giftWrap: boolean;
+ *   variantId: string | undefined;
+ * }} options
+ * @returns {Promise<CartMutationResult | null>} The mutation, if any
+ */
+export async function syncGiftWrapLine(cart, {lines, giftWrap, variantId}) {
+  if (!variantId) return null;
+
+  const giftWrapLines = lines.filter(isGiftWrapLine);
+  if (giftWrap && !giftWrapLines.length) {
+    return cart.addLines([
+      {
+        merchandiseId: variantId.startsWith('gid://')
+          ? variantId
+          : `gid://shopify/ProductVariant/${variantId}`,
+        quantity: 1,
+        attributes: [{key: GIFT_WRAP_LINE_ATTRIBUTE, value: 'true'}],
+      },
+    ]);
+  }
+  if (!giftWrap && giftWrapLines.length) {
+    return cart.removeLines(giftWrapLines.map((line) => line.id));
+  }
+  return null;
+}
+
+/** @typedef {import('@shopify/hydrogen').HydrogenCart} CartHandler */
+/** @typedef {import('@shopify/hydrogen').CartQueryDataReturn} CartMutationResult */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
@@ -0,0 +1,247 @@
+/**
+ * Cart mutation errors and warnings, as messages for shoppers. The /cart
+ * action maps the Storefront API `CartUserError`s and `CartWarning`s to a
+ * message in the storefront language, attached to the line or summary field
+ * it is about. Components read them from the fetcher of the form that was
+ * submitted, see `components/CartFeedback`.
+ *
+ * Codes without a message here fall back to the API message, which is
+ * already in the storefront language.
+ */
+
+/**
+ * Fetcher keys of the cart forms outside of the cart lines. The same key is
+ * used in the aside and on the cart page, so both show the feedback.
+ * `linesAdd` is the prefix of the add to cart fetchers, one per button.
+ */
+export const CART_FEEDBACK_KEYS = {
+  linesAdd: 'cart-lines-add',
+  discountCodes: 'cart-discount-codes',
+  giftCardCodes: 'gift-card-add',
+  giftOptions: 'cart-gift-options',
+  note: 'cart-note',
+};
+
+/** Not a Storefront API code, a code that was saved but doesn't apply */
+export const DISCOUNT_NOT_APPLICABLE = 'DISCOUNT_NOT_APPLICABLE';
+
+const CART_LINE_GID_PREFIX = 'gid://shopify/CartLine/';
+
+/** @type {Record<string, Partial<Record<string, string>>>} */
+const CART_FEEDBACK_MESSAGES = {
+  EN: {
+    MERCHANDISE_NOT_ENOUGH_STOCK:
+      "We don't have enough in stock, the quantity was lowered to what's available.",
+    MERCHANDISE_OUT_OF_STOCK: 'This item is out of stock.',
+    INVALID_MERCHANDISE_LINE: "This item isn't available in your country.",
+    MAXIMUM_EXCEEDED: "You've reached the maximum quantity for this item.",
+    MINIMUM_NOT_MET: 'This item has a minimum quantity.',
+    INVALID_INCREMENT: 'This item is sold in packs, choose another quantity.',
+    SELLING_PLAN_NOT_APPLICABLE:
+      "This purchase option isn't available for this item.",
+    VARIANT_REQUIRES_SELLING_PLAN:
+      'This item can only be bought with a purchase option.',
+    CART_TOO_LARGE: 'Your cart is full, remove an item to add another.',
+    NOTE_TOO_LONG: 'Your note is too long.',
+    DISCOUNT_NOT_FOUND: "This discount code isn't valid.",
+    DISCOUNT_CURRENTLY_INACTIVE: "This discount code isn't active right now.",
+    DISCOUNT_USAGE_LIMIT_REACHED:
+      'This discount code has reached its usage limit.',
+    DISCOUNT_CUSTOMER_USAGE_LIMIT_REACHED:
+      "You've already used this discount code.",
+    DISCOUNT_CUSTOMER_NOT_ELIGIBLE:
+      "Your account isn't eligible for this code.",
+    DISCOUNT_ELIGIBLE_CUSTOMER_MISSING: 'Sign in to use this discount code.',
+    DISCOUNT_NO_ENTITLED_LINE_ITEMS:
+      "This discount code doesn't apply to the items in your cart.",
+    DISCOUNT_PURCHASE_NOT_IN_RANGE:
+      "Your cart total doesn't qualify for this discount code yet.",
+    DISCOUNT_QUANTITY_NOT_IN_RANGE:
+      "The number of items in your cart doesn't qualify for this discount code.",
+    [DISCOUNT_NOT_APPLICABLE]:
+      'This discount code is saved, it will apply once your cart is eligible.',
+    PAYMENTS_GIFT_CARDS_UNAVAILABLE: "Gift cards can't be used on this cart.",
+    SERVICE_UNAVAILABLE: "Your cart couldn't be updated, please try again.",
+  },
+  FR: {
+    MERCHANDISE_NOT_ENOUGH_STOCK:
+      'Le stock est insuffisant, la quantité a été ajustée au stock disponible.',
+    MERCHANDISE_OUT_OF_STOCK: 'Cet article est épuisé.',
+    INVALID_MERCHANDISE_LINE:
+      "Cet article n'est pas disponible dans votre pays.",
+    MAXIMUM_EXCEEDED:
+      'Vous avez atteint la quantité maximale pour cet article.',
+    MINIMUM_NOT_MET: 'Cet article a une quantité minimale.',
+    INVALID_INCREMENT:
+      'Cet article est vendu par lots, choisissez une autre quantité.',
+    SELLING_PLAN_NOT_APPLICABLE:
+      "Cette option d'achat n'est pas disponible pour cet article.",
+    VARIANT_REQUIRES_SELLING_PLAN:
+      "Cet article est uniquement disponible avec une option d'achat.",
+    CART_TOO_LARGE:
+      'Votre panier est plein, retirez un article pour en ajouter un autre.',
+    NOTE_TOO_LONG: 'Votre note est trop longue.',
+    DISCOUNT_NOT_FOUND: "Ce code de réduction n'est pas valide.",
+    DISCOUNT_CURRENTLY_INACTIVE: "Ce code de réduction n'est pas actif.",
+    DISCOUNT_USAGE_LIMIT_REACHED:
+      "Ce code de réduction a atteint sa limite d'utilisation.",
+    DISCOUNT_CUSTOMER_USAGE_LIMIT_REACHED:
+      'Vous avez déjà utilisé ce code de réduction.',
+    DISCOUNT_CUSTOMER_NOT_ELIGIBLE:
+      "Votre compte n'est pas éligible à ce code de réduction.",
+    DISCOUNT_ELIGIBLE_CUSTOMER_MISSING:
+      'Connectez-vous pour utiliser ce code de réduction.',
+    DISCOUNT_NO_ENTITLED_LINE_ITEMS:
+      "Ce code de réduction ne s'applique pas aux articles de votre panier.",
+    DISCOUNT_PURCHASE_NOT_IN_RANGE:
+      "Le total de votre panier ne permet pas encore d'utiliser ce code.",
+    DISCOUNT_QUANTITY_NOT_IN_RANGE:
+      "Le nombre d'articles de votre panier ne permet pas d'utiliser ce code.",
+    [DISCOUNT_NOT_APPLICABLE]:
+      "Ce code de réduction est enregistré, il s'appliquera dès que votre panier sera éligible.",
+    PAYMENTS_GIFT_CARDS_UNAVAILABLE:
+      'Les cartes cadeaux ne peuvent pas être utilisées sur ce panier.',
+    SERVICE_UNAVAILABLE:
+      "Votre panier n'a pas pu être mis à jour, veuillez réessayer.",
+  },
+};
+
+/**
+ * Feedback of a cart mutation, for the submitted `CartForm` action
+ * @param {CartMutationResult} result
+ * @param {{
+ *   action: string;
+ *   inputs: Record<string, any>;
+ *   language: string;
+ * }} options
+ * @returns {CartFeedback[]}
+ */
+export function getCartFeedback(result, {action, inputs, language}) {
+  /** @type {CartFeedback[]} */
+  const feedback = [];
+
+  for (const warning of result.warnings ?? []) {
+    feedback.push({
+      tone: 'warning',
+      code: warning.code,
+      message: getCartFeedbackMessage(warning, language),
+      lineId: warning.target?.startsWith(CART_LINE_GID_PREFIX)
+        ? warning.target
+        : null,
+      field: getWarningField(warning.code),
+    });
+  }
+
+  for (const userError of result.userErrors ?? []) {
+    const path = userError.field ?? [];
+    feedback.push({
+      tone: 'error',
+      code: userError.code ?? null,
+      message: getCartFeedbackMessage(userError, language),
+      lineId: getErrorLineId(path, {action, inputs}),
+      field: getErrorField(path),
+    });
+  }
+
+  // Network or GraphQL errors, nothing the shopper can fix
+  if (result.errors?.length && !feedback.length) {
+    feedback.push({
+      tone: 'error',
+      code: 'SERVICE_UNAVAILABLE',
+      message: getCartFeedbackMessage({code: 'SERVICE_UNAVAILABLE'}, language),
+      lineId: null,
+      field: null,
+    });
+  }
+
+  return feedback;
+}
+
+/**
+ * Feedback for a discount code entered in the cart, when the API didn't
+ * return a warning saying why it doesn't apply
+ * @param {DiscountStatus} status - See `getDiscountStatus`
+ * @param {string} language
+ * @returns {CartFeedback | null}
+ */
+export function getDiscountStatusFeedback(status, language) {
+  if (status === 'applied') return null;
+
+  const code =
+    status === 'expired' ? 'DISCOUNT_NOT_FOUND' : DISCOUNT_NOT_APPLICABLE;
+  return {
+    tone: 'warning',
+    code,
+    message: getCartFeedbackMessage({code}, language),
+    lineId: null,
+    field: 'discountCodes',
+  };
+}
+
+/**
+ * @param {{code?: string | null; message?: string}} error
+ * @param {string} language
+ */
+function getCartFeedbackMessage({code, message}, language) {
+  const messages =
+    CART_FEEDBACK_MESSAGES[language] ?? CART_FEEDBACK_MESSAGES.EN;
+  return (code && messages[code]) || message || '';
+}
+
+/**
+ * @param {string} code
+ * @returns {CartFeedbackField | null}
+ */
+function getWarningField(code) {
+  if (code.startsWith('DISCOUNT_')) return 'discountCodes';
+  if (code === 'PAYMENTS_GIFT_CARDS_UNAVAILABLE') return 'giftCardCodes';
+  return null;
+}
+
+/**
+ * Error paths are relative to the mutation input, e.g.
+ * `["lines", "0", "quantity"]` or `["input", "discountCodes", "0"]`
+ * @param {string[]} path
+ * @returns {CartFeedbackField | null}
+ */
+function getErrorField(path) {
+  if (path.includes('lines') || path.includes('lineIds')) return 'lines';
+  if (path.includes('discountCodes')) return 'discountCodes';
+  if (path.includes('giftCardCodes')) return 'giftCardCodes';
+  if (path.includes('note')) return 'note';
+  if (path.includes('attributes')) return 'attributes';
+  return null;
+}
+
+/**
+ * The cart line an error is about. Added lines don't have an id yet, their
+ * errors are shown with the cart.
+ * @param {string[]} path
+ * @param {{action: string; inputs: Record<string, any>}} options
+ * @returns {string | null}
+ */
+function getErrorLineId(path, {action, inputs}) {
+  const linesIndex = path.findIndex(
+    (segment) => segment === 'lines' || segment === 'lineIds',
+  );
+  const index = Number(path[linesIndex + 1]);
+  if (linesIndex === -1 || !Number.isInteger(index)) return null;
+
+  if (action === 'LinesUpdate') return inputs.lines?.[index]?.id ?? null;
+  if (action === 'LinesRemove') return inputs.lineIds?.[index] ?? null;
+  return null;
+}
+
+/**
+ * @typedef {'lines' | 'discountCodes' | 'giftCardCodes' | 'note' | 'attributes'} CartFeedbackField
+ * @typedef {{
+ *   tone: 'warning' | 'error';
+ *   code: string | null;
+ *   message: string;
+ *   lineId: string | null;
+ *   field: CartFeedbackField | null;
+ * }} CartFeedback
+ */
+
+/** @typedef {import('~/lib/discounts').DiscountStatus} DiscountStatus */
+/** @typedef {import('@shopify/hydrogen').CartQueryDataReturn} CartMutationResult */
@@ -0,0 +1,264 @@
+import {isGiftWrapLine} from '~/lib/cartAttributes';
+
+/**
+ * Cart incentives: free shipping or a gift with purchase once the cart
+ * subtotal reaches a threshold. Merchandisers add one `cart_incentive`
+ * metaobject entry per tier.
+ *
+ * Metaobject definition `cart_incentive`:
+ *   - kind: single line text, `free_shipping` or `gift`
+ *   - label: single line text, what the shopper gets, e.g. "free shipping"
+ *     or "a free tote bag"
+ *   - thresholds: JSON, the minimum subtotal per currency, e.g.
+ *     `{"USD": 150, "CAD": 200}`. Tiers without a threshold in the cart
+ *     currency are not shown.
+ *   - gift_variant: product variant reference, the gift of `gift` tiers
+ *
+ * The incentives only show progress and manage the gift line. Free shipping
+ * and the gift price (an automatic 100% discount on the gift product) are
+ * configured in the admin, so checkout applies them.
+ */
+
+export const INCENTIVE_KINDS = ['free_shipping', 'gift'];
+
+/**
+ * Cart line attribute marking the gift lines managed by `syncGiftLines`.
+ * It starts with an underscore so it is hidden at checkout.
+ */
+export const GIFT_LINE_ATTRIBUTE = '_gift_with_purchase';
+
+/**
+ * Loads the incentive tiers. Never throws, the cart works without them.
+ * @param {Storefront} storefront
+ * @returns {Promise<CartIncentive[]>}
+ */
+export async function getCartIncentives(storefront) {
+  try {
+    const {metaobjects} = await storefront.query(CART_INCENTIVES_QUERY, {
+      cache: storefront.CacheLong(),
+    });
+    return metaobjects.nodes.flatMap((metaobject) => {
+      const incentive = parseCartIncentive(metaobject);
+      return incentive ? [incentive] : [];
+    });
+  } catch (error) {
+    console.error('Cart incentives query error:', error);
+    return [];
+  }
+}
+
+/**
+ * @param {CartIncentivesQuery['metaobjects']['nodes'][number]} metaobject
+ * @returns {CartIncentive | null}
+ */
+function parseCartIncentive(metaobject) {
+  const fields = new Map(metaobject.fields.map((field) => [field.key, field]));
+  const kind = fields.get('kind')?.value?.trim();
+  const label = fields.get('label')?.value?.trim();
+  const thresholds = parseThresholds(fields.get('thresholds')?.value);
+
+  if (!kind || !INCENTIVE_KINDS.includes(kind) || !label || !thresholds) {
+    return null;
+  }
+
+  const reference = fields.get('gift_variant')?.reference;
+  const giftVariant =
+    reference && 'availableForSale' in reference ? reference : null;
+  if (kind === 'gift' && !giftVariant) return null;
+
+  return {
+    id: metaobject.id,
+    kind: /** @type {CartIncentive['kind']} */ (kind),
+    label,
+    thresholds,
+    giftVariant,
+  };
+}
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {Record<string, number> | null}
+ */
+function parseThresholds(value) {
+  try {
+    const json = JSON.parse(value ?? '');
+    if (!json || typeof json !== 'object') return null;
+
+    const thresholds = Object.fromEntries(
+      Object.entries(json)
+        .map(([currencyCode, amount]) => [
+          currencyCode.toUpperCase(),
+          Number(amount),
+        ])
+        .filter(([, amount]) => Number.isFinite(amount) && amount > 0),
+    );
+    return Object.keys(thresholds).length ? thresholds : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {CartLineLike} line
+ */
+export function isGiftLine(line) {
+  return !!line.attributes?.some(({key}) => key === GIFT_LINE_ATTRIBUTE);
+}
+
+/**
+ * Subtotal counted towards the thresholds, in the cart currency. Gift lines
+ * are left out so a gift can't keep itself in the cart, and so is the gift
+ * wrapping, which is a service rather than merchandise.
+ * @param {CartLike | null | undefined} cart
+ * @returns {MoneyV2 | null}
+ */
+export function getIncentiveSubtotal(cart) {
+  const subtotal = cart?.cost?.subtotalAmount;
+  if (!subtotal) return null;
+
+  const excludedAmount = (cart.lines?.nodes ?? [])
+    .filter((line) => isGiftLine(line) || isGiftWrapLine(line))
+    .reduce((total, line) => total + Number(line.cost.totalAmount.amount), 0);
+
+  return {
+    amount: Math.max(Number(subtotal.amount) - excludedAmount, 0).toFixed(2),
+    currencyCode: subtotal.currencyCode,
+  };
+}
+
+/**
+ * Tiers in the cart currency, by threshold, with what is left to spend
+ * @param {CartIncentive[]} incentives
+ * @param {CartLike | null | undefined} cart
+ * @returns {IncentiveProgress | null}
+ */
+export function getIncentiveProgress(incentives, cart) {
+  const subtotal = getIncentiveSubtotal(cart);
+  if (!subtotal) return null;
+
+  const amount = Number(subtotal.amount);
+  const tiers = incentives
+    .filter((incentive) => incentive.thresholds[subtotal.currencyCode])
+    .map((incentive) => {
+      const threshold = incentive.thresholds[subtotal.currencyCode];
+      return {
+        incentive,
+        threshold,
+        remaining: Math.max(threshold - amount, 0),
+        reached: amount >= threshold,
+      };
+    })
+    .sort((a, b) => a.threshold - b.threshold);
+
+  return tiers.length
+    ? {currencyCode: subtotal.currencyCode, subtotal: amount, tiers}
+    : null;
+}
+
+/**
+ * Adds the gift of every reached gift tier and removes the gifts of tiers no
+ * longer reached. Call it after the cart lines or discount codes change, as
+ * line discounts lower the subtotal.
+ * @param {CartHandler} cart
+ * @param {CartIncentive[]} incentives
+ * @returns {Promise<CartMutationResult | null>} The last mutation, if any
+ */
+export async function syncGiftLines(cart, incentives) {
+  if (!incentives.some((incentive) => incentive.kind === 'gift')) return null;
+
+  const cartData = await cart.get();
+  const progress = getIncentiveProgress(incentives, cartData);
+  if (!cartData || !progress) return null;
+
+  const gifts = new Map(
+    progress.tiers
+      .filter(
+        ({incentive, reached}) =>
+          reached &&
+          incentive.kind === 'gift' &&
+          incentive.giftVariant?.availableForSale,
+      )
+      .map(({incentive}) => [incentive.id, incentive]),
+  );
+
+  const giftLines = cartData.lines.nodes.filter(isGiftLine);
+  /** @param {CartLineLike} line */
+  const getGiftId = (line) =>
+    line.attributes?.find(({key}) => key === GIFT_LINE_ATTRIBUTE)?.value ?? '';
+  const giftsInCart = new Set(giftLines.map(getGiftId));
+
+  const linesToRemove = giftLines
+    .filter((line) => !gifts.has(getGiftId(line)))
+    .map((line) => line.id);
+
+  const linesToAdd = [...gifts.values()]
+    .filter((incentive) => !giftsInCart.has(incentive.id))
+    .map((incentive) => ({
+      merchandiseId: /** @type {string} */ (incentive.giftVariant?.id),
+      quantity: 1,
+      attributes: [{key: GIFT_LINE_ATTRIBUTE, value: incentive.id}],
+    }));
+
+  let result = null;
+  if (linesToRemove.length) result = await cart.removeLines(linesToRemove);
+  if (linesToAdd.length) result = await cart.addLines(linesToAdd);
+  return result;
+}
+
+const CART_INCENTIVES_QUERY = `#graphql
+  query CartIncentives($country: CountryCode, $language: LanguageCode)
+  @inContext(country: $country, language: $language) {
+    metaobjects(type: "cart_incentive", first: 10) {
+      nodes {
+        id
+        fields {
+          key
+          value
+          reference {
+            ... on ProductVariant {
+              id
+              availableForSale
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   kind: 'free_shipping' | 'gift';
+ *   label: string;
+ *   thresholds: Record<string, number>;
+ *   giftVariant: {id: string; availableForSale: boolean} | null;
+ * }} CartIncentive
+ * @typedef {{
+ *   incentive: CartIncentive;
+ *   threshold: number;
+ *   remaining: number;
+ *   reached: boolean;
+ * }} IncentiveTier
+ * @typedef {{
+ *   currencyCode: CurrencyCode;
+ *   subtotal: number;
+ *   tiers: IncentiveTier[];
+ * }} IncentiveProgress
+ * @typedef {{
+ *   id: string;
+ *   attributes?: Array<{key: string; value?: string | null}>;
+ *   cost: {totalAmount: MoneyV2};
+ * }} CartLineLike
+ * @typedef {{
+ *   cost?: {subtotalAmount?: MoneyV2 | null} | null;
+ *   lines?: {nodes: CartLineLike[]};
+ * }} CartLike
+ */
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').HydrogenCart} CartHandler */
+/** @typedef {import('@shopify/hydrogen').CartQueryDataReturn} CartMutationResult */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').MoneyV2} MoneyV2 */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CurrencyCode} CurrencyCode */
+/** @typedef {import('storefrontapi.generated').CartIncentivesQuery} CartIncentivesQuery */
@@ -0,0 +1,209 @@
+/**
+ * Cart permalinks: `/cart/<lines>?<options>` creates a new cart and
+ * redirects to checkout (or to `/cart` with `redirect=cart`).
+ *
+ * Lines are separated by commas. Each line is
+ * `<variant_id>:<quantity>[:<selling_plan_id>]`, optionally followed by
+ * `;<key>=<value>` line attributes. Keys and values are URL-encoded.
+ *
+ * Options:
+ *   - `discount`: discount codes, comma-separated or repeated
+ *   - `note`: cart note
+ *   - `attributes[<key>]=<value>`: cart attributes
+ *   - `redirect=cart`: go to the cart page instead of checkout
+ * @example
+ * ```
+ * /cart/41007289663544:1;Monogram=RM,41007289696312:2:691208?discount=WELCOME,COATS&note=Gift&attributes[source]=instagram&redirect=cart
+ * ```
+ */
+
+export const CART_PERMALINK_PATH = '/cart/';
+
+const NUMERIC_ID_REGEX = /^\d+$/;
+const CART_ATTRIBUTE_PARAM_REGEX = /^attributes\[(.+)\]$/;
+
+/**
+ * Parses a cart permalink. The lines are read from the raw pathname, since
+ * route params are already decoded and encoded commas or semicolons in
+ * attributes would split the line.
+ * @param {URL} url
+ * @returns {CartPermalinkResult}
+ */
+export function parseCartPermalink(url) {
+  const parsedLines = parseCartLines(
+    url.pathname.slice(
+      url.pathname.indexOf(CART_PERMALINK_PATH) + CART_PERMALINK_PATH.length,
+    ),
+  );
+  if (!parsedLines.valid) return parsedLines;
+
+  const {lines} = parsedLines;
+  const {searchParams} = url;
+
+  /** @type {AttributeInput[]} */
+  const attributes = [];
+  searchParams.forEach((value, key) => {
+    const match = key.match(CART_ATTRIBUTE_PARAM_REGEX);
+    if (match) attributes.push({key: match[1], value});
+  });
+
+  const discountCodes = searchParams
+    .getAll('discount')
+    .flatMap((value) => value.split(','))
+    .map((code) => code.trim())
+    .filter(Boolean);
+
+  return {
+    valid: true,
+    lines,
+    discountCodes: [...new Set(discountCodes)],
+    note: searchParams.get('note') ?? undefined,
+    attributes,
+    redirectTo: searchParams.get('redirect') === 'cart' ? 'cart' : 'checkout',
+  };
+}
+
+/**
+ * Parses the `<lines>` part of a cart permalink, as written in the URL
+ * @param {string} segment
+ * @returns {{valid: true; lines: CartLineInput[]} | {valid: false; message: string}}
+ */
+export function parseCartLines(segment) {
+  if (!segment) {
+    return {valid: false, message: 'The link does not contain any products.'};
+  }
+
+  /** @type {CartLineInput[]} */
+  const lines = [];
+  const rawLines = segment.split(',');
+
+  for (const [index, rawLine] of rawLines.entries()) {
+    const line = parseLine(rawLine, index + 1);
+    if ('message' in line) return {valid: false, message: line.message};
+    lines.push(line);
+  }
+
+  return {valid: true, lines};
+}
+
+/**
+ * Writes cart lines in the permalink syntax, the inverse of `parseCartLines`
+ * @example
+ * serializeCartLines([
+ *   {merchandiseId: 'gid://shopify/ProductVariant/41007289663544', quantity: 1},
+ * ]);
+ * // returns "41007289663544:1"
+ * @param {Array<{
+ *   merchandiseId: string;
+ *   quantity: number;
+ *   sellingPlanId?: string | null;
+ *   attributes?: AttributeInput[] | null;
+ * }>} lines
+ */
+export function serializeCartLines(lines) {
+  return lines
+    .map(({merchandiseId, quantity, sellingPlanId, attributes}) => {
+      const item = [getNumericId(merchandiseId), quantity];
+      if (sellingPlanId) item.push(getNumericId(sellingPlanId));
+
+      return [
+        item.join(':'),
+        ...(attributes ?? []).map(
+          ({key, value}) =>
+            `${encodeURIComponent(key)}=${encodeURIComponent(value)}`,
+        ),
+      ].join(';');
+    })
+    .join(',');
+}
+
+/**
+ * @param {string} gid
+ */
+function getNumericId(gid) {
+  return gid.slice(gid.lastIndexOf('/') + 1);
+}
+
+/**
+ * @param {string} rawLine
+ * @param {number} position - 1-based, for error messages
+ * @returns {CartLineInput | {message: string}}
+ */
+function parseLine(rawLine, position) {
+  const [item, ...rawAttributes] = rawLine.split(';');
+  const [variantId, quantity, sellingPlanId, ...rest] = item
+    .split(':')
+    .map(decode);
+
+  if (!variantId || !NUMERIC_ID_REGEX.test(variantId)) {
+    return {
+      message: `Line ${position}: the variant ID "${variantId ?? ''}" must be a number.`,
+    };
+  }
+  if (!quantity || !NUMERIC_ID_REGEX.test(quantity) || !Number(quantity)) {
+    return {
+      message: `Line ${position}: the quantity "${quantity ?? ''}" must be a whole number greater than 0.`,
+    };
+  }
+  if (sellingPlanId !== undefined && !NUMERIC_ID_REGEX.test(sellingPlanId)) {
+    return {
+      message: `Line ${position}: the selling plan ID "${sellingPlanId}" must be a number.`,
+    };
+  }
+  if (rest.length) {
+    return {
+      message: `Line ${position}: expected <variant_id>:<quantity>[:<selling_plan_id>].`,
+    };
+  }
+
+  /** @type {AttributeInput[]} */
+  const attributes = [];
+  for (const rawAttribute of rawAttributes) {
+    const separator = rawAttribute.indexOf('=');
+    const key = decode(rawAttribute.slice(0, separator)).trim();
+    if (separator === -1 || !key) {
+      return {
+        message: `Line ${position}: the attribute "${decode(rawAttribute)}" must be written as key=value.`,
+      };
+    }
+    attributes.push({key, value: decode(rawAttribute.slice(separator + 1))});
+  }
+
+  return {
+    merchandiseId: `gid://shopify/ProductVariant/${variantId}`,
+    quantity: Number(quantity),
+    ...(sellingPlanId && {
+      sellingPlanId: `gid://shopify/SellingPlan/${sellingPlanId}`,
+    }),
+    ...(attributes.length && {attributes}),
+  };
+}
+
+/**
+ * @param {string} value
+ */
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    // Keep malformed escapes as typed, validation reports them
+    return value;
+  }
+}
+
+/**
+ * @typedef {{
+ *   valid: true;
+ *   lines: CartLineInput[];
+ *   discountCodes: string[];
+ *   note?: string;
+ *   attributes: AttributeInput[];
+ *   redirectTo: 'cart' | 'checkout';
+ * } | {
+ *   valid: false;
+ *   message: string;
+ * }} CartPermalinkResult
+ */
+
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CartLineInput} CartLineInput */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
@@ -0,0 +1,187 @@
+import {
+  GIFT_MESSAGE_ATTRIBUTE,
+  GIFT_WRAP_ATTRIBUTE,
+  OCCASION_DATE_ATTRIBUTE,
+  isGiftWrapLine,
+} from '~/lib/cartAttributes';
+import {isGiftLine} from '~/lib/cartIncentives';
+import {parseCartLines, serializeCartLines} from '~/lib/cartPermalink';
+import {createSignedToken, readSignedToken} from '~/lib/signedToken';
+
+/**
+ * Shareable carts, for gift lists and stylist recommendations. The lines
+ * (in the cart permalink syntax, see `~/lib/cartPermalink`), discount codes
+ * and attributes are signed into the link, so it can't be edited to add
+ * other products. Opening it merges the shared cart into the recipient's
+ * cart or replaces it.
+ *
+ * Gift lines, the gift options and note (e.g. the sender's gift message)
+ * and private attributes (starting with an underscore, e.g. UTM params)
+ * belong to the sender's order and are not shared.
+ */
+
+export const CART_SHARE_PATH = '/cart/share';
+export const CART_RESTORE_PATH = '/cart/restore/';
+
+/** Shared carts expire after 30 days */
+const CART_SHARE_EXPIRES_IN = 60 * 60 * 24 * 30;
+
+/** Cart attributes of the sender's gift options, see `~/lib/cartAttributes` */
+const GIFT_OPTIONS_ATTRIBUTES = [
+  GIFT_WRAP_ATTRIBUTE,
+  GIFT_MESSAGE_ATTRIBUTE,
+  OCCASION_DATE_ATTRIBUTE,
+];
+
+/**
+ * @param {CartApiQueryFragment} cart
+ * @param {string} secret - `SESSION_SECRET`
+ */
+export function createCartShareToken(cart, secret) {
+  const lines = cart.lines.nodes
+    .filter((line) => !isGiftLine(line) && !isGiftWrapLine(line))
+    .map((line) => ({
+      merchandiseId: line.merchandise.id,
+      quantity: line.quantity,
+      sellingPlanId:
+        'sellingPlanAllocation' in line
+          ? line.sellingPlanAllocation?.sellingPlan.id
+          : null,
+      attributes: getPublicAttributes(line.attributes),
+    }));
+
+  return createSignedToken(
+    {
+      l: serializeCartLines(lines),
+      d: cart.discountCodes.map(({code}) => code),
+      a: getSharedAttributes(cart.attributes).map(({key, value}) => [
+        key,
+        value,
+      ]),
+    },
+    secret,
+    {expiresIn: CART_SHARE_EXPIRES_IN},
+  );
+}
+
+/**
+ * Returns null when the link is invalid or expired
+ * @param {string | undefined} token
+ * @param {string} secret - `SESSION_SECRET`
+ * @returns {Promise<SharedCart | null>}
+ */
+export async function readCartShareToken(token, secret) {
+  const payload = await readSignedToken(token, secret);
+  if (!payload || typeof payload.l !== 'string') return null;
+
+  const parsedLines = parseCartLines(payload.l);
+  if (!parsedLines.valid) return null;
+
+  return {
+    lines: parsedLines.lines,
+    discountCodes: Array.isArray(payload.d)
+      ? payload.d.filter((code) => typeof code === 'string')
+      : [],
+    // Links created before the gift options were left out may have them
+    attributes: getSharedAttributes(
+      Array.isArray(payload.a)
+        ? payload.a.flatMap((attribute) =>
+            Array.isArray(attribute) &&
+            typeof attribute[0] === 'string' &&
+            typeof attribute[1] === 'string'
+              ? [{key: attribute[0], value: attribute[1]}]
+              : [],
+          )
+        : [],
+    ),
+  };
+}
+
+/**
+ * What changed in the recipient's cart, as a toast
+ * @param {{
+ *   mode: CartRestoreMode;
+ *   sharedCart: SharedCart;
+ *   cart: CartApiQueryFragment | null;
+ * }} options
+ * @returns {FlashToast}
+ */
+export function getCartRestoreToast({mode, sharedCart, cart}) {
+  const cartVariantIds = new Set(
+    cart?.lines.nodes.map((line) => line.merchandise.id),
+  );
+  const added = sharedCart.lines.filter((line) =>
+    cartVariantIds.has(line.merchandiseId),
+  ).length;
+  const missing = sharedCart.lines.length - added;
+
+  const messages = [
+    mode === 'replace'
+      ? `Your cart now has the ${pluralize(added, 'item')} of the shared cart.`
+      : `${pluralize(added, 'item')} of the shared cart added to your cart.`,
+  ];
+  if (missing) {
+    messages.push(`${pluralize(missing, 'item')} no longer available.`);
+  }
+
+  const applied = cart?.discountCodes.filter(
+    (discount) =>
+      discount.applicable &&
+      sharedCart.discountCodes.some(
+        (code) => code.toLowerCase() === discount.code.toLowerCase(),
+      ),
+  );
+  if (applied?.length) {
+    messages.push(
+      `Discount ${applied.map(({code}) => code).join(', ')} applied.`,
+    );
+  }
+
+  return {
+    tone: missing ? 'warning' : 'success',
+    message: messages.join(' '),
+  };
+}
+
+/**
+ * Cart attributes other than the private ones and the gift options
+ * @param {Array<{key: string; value?: string | null}>} attributes
+ * @returns {AttributeInput[]}
+ */
+function getSharedAttributes(attributes) {
+  return getPublicAttributes(attributes).filter(
+    ({key}) => !GIFT_OPTIONS_ATTRIBUTES.includes(key),
+  );
+}
+
+/**
+ * @param {Array<{key: string; value?: string | null}>} attributes
+ * @returns {AttributeInput[]}
+ */
+function getPublicAttributes(attributes) {
+  return attributes
+    .filter(({key, value}) => !key.startsWith('_') && value)
+    .map(({key, value}) => ({key, value: value ?? ''}));
+}
+
+/**
+ * @param {number} count
+ * @param {string} noun
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * @typedef {{
+ *   lines: CartLineInput[];
+ *   discountCodes: string[];
+ *   attributes: AttributeInput[];
+ * }} SharedCart
+ * @typedef {'merge' | 'replace'} CartRestoreMode
+ */
+
+/** @typedef {import('~/lib/toast').FlashToast} FlashToast */
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CartLineInput} CartLineInput */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
@@ -0,0 +1,326 @@
+/**
+ * URL-driven collection filtering and sorting.
+ *
+ * Filters are kept in search params prefixed with `filter.`, one param per
+ * selected value: the key is the `ProductFilter` field and the value its JSON
+ * input, as returned by the Storefront API in `filters.values.input`.
+ * Prices use two plain number params so they can be submitted with a form.
+ * @example
+ * ```
+ * ?filter.available=true
+ * &filter.variantOption={"name":"size","value":"M"}
+ * &filter.price.min=50&filter.price.max=200
+ * &sort_by=price-ascending
+ * ```
+ */
+
+export const FILTER_URL_PREFIX = 'filter.';
+export const PRICE_MIN_PARAM = `${FILTER_URL_PREFIX}price.min`;
+export const PRICE_MAX_PARAM = `${FILTER_URL_PREFIX}price.max`;
+export const SORT_PARAM = 'sort_by';
+
+/**
+ * Sort options, keyed by their `sort_by` value (same as Shopify themes)
+ * @type {Record<string, SortOption>}
+ */
+export const SORT_OPTIONS = {
+  featured: {label: 'Featured', sortKey: 'COLLECTION_DEFAULT', reverse: false},
+  'best-selling': {
+    label: 'Best selling',
+    sortKey: 'BEST_SELLING',
+    reverse: false,
+  },
+  'created-descending': {label: 'Newest', sortKey: 'CREATED', reverse: true},
+  'price-ascending': {
+    label: 'Price, low to high',
+    sortKey: 'PRICE',
+    reverse: false,
+  },
+  'price-descending': {
+    label: 'Price, high to low',
+    sortKey: 'PRICE',
+    reverse: true,
+  },
+  'title-ascending': {
+    label: 'Alphabetically, A-Z',
+    sortKey: 'TITLE',
+    reverse: false,
+  },
+  'title-descending': {
+    label: 'Alphabetically, Z-A',
+    sortKey: 'TITLE',
+    reverse: true,
+  },
+};
+
+export const DEFAULT_SORT = 'featured';
+
+/** Search params that page through results, reset when filters change */
+const PAGINATION_PARAMS = ['cursor', 'direction'];
+
+/**
+ * `ProductFilter` fields that can be set from the URL, with a check of their
+ * input shape. Anything else would fail the whole collection query.
+ * @type {Record<string, (input: unknown) => boolean>}
+ */
+const FILTER_INPUT_VALIDATORS = {
+  available: (input) => typeof input === 'boolean',
+  variantOption: (input) => hasStringFields(input, ['name', 'value']),
+  productType: (input) => typeof input === 'string',
+  productVendor: (input) => typeof input === 'string',
+  tag: (input) => typeof input === 'string',
+  productMetafield: (input) =>
+    hasStringFields(input, ['namespace', 'key', 'value']),
+  variantMetafield: (input) =>
+    hasStringFields(input, ['namespace', 'key', 'value']),
+  price: (input) =>
+    isPlainObject(input) &&
+    Object.keys(input).length > 0 &&
+    Object.entries(input).every(
+      ([bound, value]) =>
+        (bound === 'min' || bound === 'max') &&
+        typeof value === 'number' &&
+        Number.isFinite(value) &&
+        value >= 0,
+    ),
+};
+
+/**
+ * Reads the `products(filters:, sortKey:, reverse:)` arguments from the URL.
+ * Malformed filters are ignored rather than failing the whole page.
+ * @param {URLSearchParams} searchParams
+ * @returns {{filters: ProductFilter[]; sortKey: string; reverse: boolean}}
+ */
+export function getCollectionFilterVariables(searchParams) {
+  /** @type {ProductFilter[]} */
+  const filters = [];
+
+  searchParams.forEach((value, key) => {
+    if (!key.startsWith(FILTER_URL_PREFIX)) return;
+    if (key === PRICE_MIN_PARAM || key === PRICE_MAX_PARAM) return;
+
+    const field = key.slice(FILTER_URL_PREFIX.length);
+    const input = parseFilterValue(value);
+    if (isValidFilterInput(field, input)) filters.push({[field]: input});
+  });
+
+  const price = getPriceRange(searchParams);
+  if (price) filters.push({price});
+
+  const {sortKey, reverse} = SORT_OPTIONS[getSortBy(searchParams)];
+
+  return {filters, sortKey, reverse};
+}
+
+/**
+ * @param {URLSearchParams} searchParams
+ */
+export function getSortBy(searchParams) {
+  const sortBy = searchParams.get(SORT_PARAM);
+  return sortBy && sortBy in SORT_OPTIONS ? sortBy : DEFAULT_SORT;
+}
+
+/**
+ * @param {URLSearchParams} searchParams
+ * @returns {{min?: number; max?: number} | null}
+ */
+export function getPriceRange(searchParams) {
+  const min = parsePrice(searchParams.get(PRICE_MIN_PARAM));
+  const max = parsePrice(searchParams.get(PRICE_MAX_PARAM));
+  if (min === null && max === null) return null;
+
+  return {
+    ...(min !== null && {min}),
+    ...(max !== null && {max}),
+  };
+}
+
+/**
+ * Converts a filter value `input` from the Storefront API to its search param
+ * @param {string} input - JSON `ProductFilter`, e.g. `{"available":true}`
+ * @returns {{key: string; value: string} | null}
+ */
+export function getFilterParam(input) {
+  try {
+    const [[field, value]] = Object.entries(JSON.parse(input));
+    return {key: `${FILTER_URL_PREFIX}${field}`, value: JSON.stringify(value)};
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {URLSearchParams} searchParams
+ * @param {string} input - JSON `ProductFilter` of a filter value
+ */
+export function isFilterActive(searchParams, input) {
+  const param = getFilterParam(input);
+  if (!param) return false;
+
+  return searchParams
+    .getAll(param.key)
+    .some((value) => normalizeFilterValue(value) === param.value);
+}
+
+/**
+ * Returns the search params with a filter value added or removed. Pagination
+ * is reset since the cursor belongs to the previous results.
+ * @param {URLSearchParams} searchParams
+ * @param {string} input - JSON `ProductFilter` of a filter value
+ */
+export function toggleFilter(searchParams, input) {
+  const params = withoutPagination(searchParams);
+  const param = getFilterParam(input);
+  if (!param) return params;
+
+  if (isFilterActive(params, input)) {
+    const others = params
+      .getAll(param.key)
+      .filter((value) => normalizeFilterValue(value) !== param.value);
+    params.delete(param.key);
+    others.forEach((value) => params.append(param.key, value));
+  } else {
+    params.append(param.key, param.value);
+  }
+
+  return params;
+}
+
+/**
+ * @param {URLSearchParams} searchParams
+ * @param {string[]} keys - Search params to remove
+ */
+export function removeParams(searchParams, keys) {
+  const params = withoutPagination(searchParams);
+  keys.forEach((key) => params.delete(key));
+  return params;
+}
+
+/**
+ * Removes every filter but keeps the sort order
+ * @param {URLSearchParams} searchParams
+ */
+export function clearFilters(searchParams) {
+  const params = withoutPagination(searchParams);
+  [...params.keys()]
+    .filter((key) => key.startsWith(FILTER_URL_PREFIX))
+    .forEach((key) => params.delete(key));
+  return params;
+}
+
+/**
+ * Active filters to show as removable chips, labelled from the collection
+ * filters when possible
+ * @param {URLSearchParams} searchParams
+ * @param {CollectionFilter[]} collectionFilters
+ * @returns {Array<{label: string; params: URLSearchParams}>}
+ */
+export function getActiveFilters(searchParams, collectionFilters) {
+  const values = collectionFilters.flatMap((filter) =>
+    filter.values.map((value) => ({filter, value})),
+  );
+
+  const chips = values
+    .filter(({value}) => isFilterActive(searchParams, value.input))
+    .map(({filter, value}) => ({
+      label:
+        filter.type === 'BOOLEAN' || filter.label === value.label
+          ? value.label
+          : `${filter.label}: ${value.label}`,
+      params: toggleFilter(searchParams, value.input),
+    }));
+
+  const price = getPriceRange(searchParams);
+  if (price) {
+    chips.push({
+      label: `Price: ${price.min ?? 0} – ${price.max ?? '∞'}`,
+      params: removeParams(searchParams, [PRICE_MIN_PARAM, PRICE_MAX_PARAM]),
+    });
+  }
+
+  return chips;
+}
+
+/**
+ * @param {URLSearchParams} searchParams
+ */
+function withoutPagination(searchParams) {
+  const params = new URLSearchParams(searchParams);
+  PAGINATION_PARAMS.forEach((key) => params.delete(key));
+  return params;
+}
+
+/**
+ * @param {string} value
+ */
+function parseFilterValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @param {string} field - `ProductFilter` field
+ * @param {unknown} input
+ */
+function isValidFilterInput(field, input) {
+  return Object.hasOwn(FILTER_INPUT_VALIDATORS, field)
+    ? FILTER_INPUT_VALIDATORS[field](input)
+    : false;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Whether the value is an object with exactly these string fields
+ * @param {unknown} value
+ * @param {string[]} fields
+ */
+function hasStringFields(value, fields) {
+  return (
+    isPlainObject(value) &&
+    Object.keys(value).length === fields.length &&
+    fields.every((field) => typeof value[field] === 'string')
+  );
+}
+
+/**
+ * Hand-edited URLs may contain spaces or escapes, compare parsed values
+ * @param {string} value
+ */
+function normalizeFilterValue(value) {
+  const parsed = parseFilterValue(value);
+  return parsed === undefined ? value : JSON.stringify(parsed);
+}
+
+/**
+ * @param {string | null} value
+ */
+function parsePrice(value) {
+  if (!value) return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * @typedef {{
+ *   label: string;
+ *   sortKey: string;
+ *   reverse: boolean;
+ * }} SortOption
+ * @typedef {Record<string, unknown>} ProductFilter
+ * @typedef {{
+ *   id: string;
+ *   label: string;
+ *   type: string;
+ *   values: Array<{id: string; label: string; count: number; input: string}>;
+ * }} CollectionFilter
+ */
@@ -1,15 +1,41 @@
 import {createHydrogenContext} from '@shopify/hydrogen';
+import {redirect} from 'react-router';
 import {AppSession} from '~/lib/session';
 import {CART_QUERY_FRAGMENT} from '~/lib/fragments';
+import {createExperiments} from '~/lib/experiments';
+import {getLocaleFromRequest, localizePath} from '~/lib/i18n';
+import {createNewsletterProvider} from '~/lib/newsletterProviders';
+import {createRateLimiter} from '~/lib/rateLimit';
+import {createRestockTracker} from '~/lib/restocks';
+import {createWishlist} from '~/lib/wishlist';
 
-// Define the additional context object
-const additionalContext = {
-  // Additional context for custom properties, CMS clients, 3P SDKs, etc.
-  // These will be available as both context.propertyName and context.get(propertyContext)
-  // Example of complex objects that could be added:
-  // cms: await createCMSClient(env),
-  // reviews: await createReviewsClient(env),
-};
+/**
+ * Define the additional context object
+ * @param {Env} env
+ * @param {{
+ *   cache: Cache;
+ *   session: AppSession;
+ *   getStorefront: () => Storefront;
+ *   getCustomerAccount: () => CustomerAccount;
+ * }} options
+ */
+function createAdditionalContext(
+  env,
+  {cache, session, getStorefront, getCustomerAccount},
+) {
+  return {
+    // Additional context for custom properties, CMS clients, 3P SDKs, etc.
+    // These will be available as both context.propertyName and context.get(propertyContext)
+    // Example of complex objects that could be added:
+    // cms: await createCMSClient(env),
+    // reviews: await createReviewsClient(env),
+    newsletter: createNewsletterProvider(env, {getStorefront}),
+    rateLimiter: createRateLimiter(cache),
+    restockTracker: createRestockTracker(cache),
+    experiments: createExperiments(session),
+    wishlist: createWishlist(session, {getCustomerAccount}),
+  };
+}
 
 /**
  * Creates Hydrogen context for React Router 7.9.x
@@ -36,6 +62,9 @@ export async function createHydrogenRouterContext(
     AppSession.init(request, [env.SESSION_SECRET]),
   ]);
 
+  // From the optional `/{lang}-{country}` prefix, see `~/lib/i18n`
+  const i18n = getLocaleFromRequest(request);
+
   const hydrogenContext = createHydrogenContext(
     {
       env,
@@ -43,16 +72,45 @@ export async function createHydrogenRouterContext(
       cache,
       waitUntil,
       session,
-      // Or detect from URL path based on locale subpath, cookies, or any other strategy
-      i18n: {language: 'EN', country: 'US'},
+      i18n,
+      customerAccount: {
+        // Sign in from the page locale rather than the default one
+        customAuthStatusHandler: () => {
+          const params = new URLSearchParams({
+            return_to: getReturnToPath(request),
+          });
+          return redirect(localizePath(`/account/login?${params}`, i18n));
+        },
+      },
       cart: {
         queryFragment: CART_QUERY_FRAGMENT,
       },
     },
-    additionalContext,
+    createAdditionalContext(env, {
+      cache,
+      session,
+      getStorefront: () => hydrogenContext.storefront,
+      getCustomerAccount: () => hydrogenContext.customerAccount,
+    }),
   );
 
   return hydrogenContext;
 }
 
-/** @typedef {Class<additionalContext>} AdditionalContextType */
+/**
+ * Page to come back to after signing in, data requests (e.g. `/_root.data`)
+ * go back to the page they load
+ * @param {Request} request
+ */
+function getReturnToPath(request) {
+  const {pathname} = new URL(request.url);
+  return pathname
+    .replace(/\.data$/, '')
+    .replace(/\/_root$/, '/')
+    .replace(/(.+)\/$/, '$1');
+}
+
+/** @typedef {ReturnType<typeof createAdditionalContext>} AdditionalContextType */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').CustomerAccount} CustomerAccount */
+/** @typedef {import('~/lib/session').AppSession} AppSession */
@@ -0,0 +1,104 @@
+import {UTM_PARAMS} from '~/lib/attribution';
+
+/**
+ * Discount links (`/discount/<code>`) add the code to the codes already on
+ * the cart, then flash the outcome so the next page can show a toast.
+ */
+
+export const DISCOUNT_FLASH_KEY = 'discountResult';
+
+/**
+ * Warnings meaning the code can't be used anymore, as opposed to codes that
+ * are valid but not eligible for the current cart (yet).
+ */
+const EXPIRED_WARNING_CODES = [
+  'DISCOUNT_NOT_FOUND',
+  'DISCOUNT_CURRENTLY_INACTIVE',
+  'DISCOUNT_USAGE_LIMIT_REACHED',
+  'DISCOUNT_CUSTOMER_USAGE_LIMIT_REACHED',
+];
+
+/**
+ * Adds a code to the cart codes, ignoring case like checkout does
+ * @param {string[]} codes
+ * @param {string} code
+ */
+export function mergeDiscountCodes(codes, code) {
+  const normalized = code.trim().toLowerCase();
+  return codes.some((existing) => existing.toLowerCase() === normalized)
+    ? codes
+    : [...codes, code.trim()];
+}
+
+/**
+ * Outcome of applying `code`. Cart warnings aren't tied to a specific code,
+ * so they only decide between "expired" and "not applicable" once the cart
+ * reports the code as not applicable.
+ * @param {{
+ *   code: string;
+ *   discountCodes: Array<{code: string; applicable: boolean}>;
+ *   warnings?: Array<{code: string}>;
+ * }} options
+ * @returns {DiscountStatus}
+ */
+export function getDiscountStatus({code, discountCodes, warnings = []}) {
+  const discountCode = discountCodes.find(
+    (discount) => discount.code.toLowerCase() === code.trim().toLowerCase(),
+  );
+
+  if (discountCode?.applicable) return 'applied';
+
+  const isExpired =
+    !discountCode ||
+    warnings.some((warning) => EXPIRED_WARNING_CODES.includes(warning.code));
+
+  return isExpired ? 'expired' : 'not_applicable';
+}
+
+/**
+ * Toast shown after a discount link redirect
+ * @param {DiscountResult | undefined} result
+ * @returns {FlashToast | null}
+ */
+export function getDiscountToast(result) {
+  if (!result?.code) return null;
+
+  switch (result.status) {
+    case 'applied':
+      return {
+        tone: 'success',
+        message: `Discount code ${result.code} has been applied to your cart.`,
+      };
+    case 'not_applicable':
+      return {
+        tone: 'warning',
+        message: `Discount code ${result.code} is saved but doesn't apply to your cart yet. It will be applied at checkout once your cart is eligible.`,
+      };
+    default:
+      return {
+        tone: 'error',
+        message: `Discount code ${result.code} has expired or isn't valid.`,
+      };
+  }
+}
+
+/**
+ * UTM params of the discount link as cart attributes. Keys start with an
+ * underscore so they stay hidden from shoppers at checkout.
+ * @param {URLSearchParams} searchParams
+ * @returns {AttributeInput[]}
+ */
+export function getUtmAttributes(searchParams) {
+  return UTM_PARAMS.flatMap((param) => {
+    const value = searchParams.get(param)?.trim();
+    return value ? [{key: `_${param}`, value}] : [];
+  });
+}
+
+/**
+ * @typedef {'applied' | 'not_applicable' | 'expired'} DiscountStatus
+ * @typedef {{code: string; status: DiscountStatus}} DiscountResult
+ */
+
+/** @typedef {import('~/lib/toast').FlashToast} FlashToast */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
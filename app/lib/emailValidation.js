@@ -0,0 +1,112 @@
+/**
+ * Domains of well-known disposable / temporary inbox providers.
+ * Signups from these domains are rejected.
+ */
+export const DISPOSABLE_EMAIL_DOMAINS = [
+  '10minutemail.com',
+  '20minutemail.com',
+  'discard.email',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getairmail.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'guerrillamailblock.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'moakt.com',
+  'sharklasers.com',
+  'spamgourmet.com',
+  'temp-mail.org',
+  'tempail.com',
+  'tempmail.com',
+  'tempmail.net',
+  'tempmailo.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+];
+
+// RFC 5322 dot-atom local part (unquoted)
+const LOCAL_PART_REGEX =
+  /^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+// RFC 1035 hostname label
+const DOMAIN_LABEL_REGEX = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+
+/**
+ * Validates an email address against the RFC 5321 length limits and the
+ * RFC 5322 dot-atom syntax, and rejects disposable email domains.
+ * Quoted local parts and IP address literals are not accepted.
+ * @example
+ * validateEmail(' Jane@Example.com ') // returns {valid: true, email: 'Jane@example.com'}
+ * validateEmail('jane@mailinator.com') // returns {valid: false, code: 'disposable_email', ...}
+ * @returns {EmailValidationResult}
+ * @param {unknown} value - The submitted email
+ */
+export function validateEmail(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return {
+      valid: false,
+      code: 'email_required',
+      message: 'Please enter your email address.',
+    };
+  }
+
+  const email = value.trim();
+  const atIndex = email.lastIndexOf('@');
+  const localPart = email.slice(0, atIndex);
+  const domain = email.slice(atIndex + 1).toLowerCase();
+  const labels = domain.split('.');
+
+  const isValid =
+    atIndex > 0 &&
+    email.length <= 254 &&
+    localPart.length <= 64 &&
+    domain.length <= 253 &&
+    LOCAL_PART_REGEX.test(localPart) &&
+    labels.length > 1 &&
+    labels.every((label) => DOMAIN_LABEL_REGEX.test(label)) &&
+    /^([a-z]{2,}|xn--[a-z0-9-]+)$/.test(labels[labels.length - 1]);
+
+  if (!isValid) {
+    return {
+      valid: false,
+      code: 'invalid_email',
+      message: 'Please enter a valid email address.',
+    };
+  }
+
+  if (isDisposableDomain(domain)) {
+    return {
+      valid: false,
+      code: 'disposable_email',
+      message: 'Please use a permanent email address.',
+    };
+  }
+
+  return {valid: true, email: `${localPart}@${domain}`};
+}
+
+/**
+ * Matches the domain and any of its parent domains against the blocklist
+ * @param {string} domain - Lowercase email domain
+ */
+function isDisposableDomain(domain) {
+  const labels = domain.split('.');
+  return labels.some((_, index) =>
+    DISPOSABLE_EMAIL_DOMAINS.includes(labels.slice(index).join('.')),
+  );
+}
+
+/**
+ * @typedef {{valid: true; email: string} | {
+ *   valid: false;
+ *   code: 'email_required' | 'invalid_email' | 'disposable_email';
+ *   message: string;
+ * }} EmailValidationResult
+ */
@@ -0,0 +1,175 @@
+import {useEffect} from 'react';
+import {useAnalytics} from '@shopify/hydrogen';
+
+/**
+ * Running experiments. Each variant gets a share of the visitors
+ * proportional to its `weight`. Changing the weights only affects new
+ * visitors, assignments are kept in the session.
+ *
+ * `landing_hero` variants can override the landing page copy with another
+ * `landing_page` metaobject (`landingPageHandle`) and the intro animation
+ * timings (`timing`, see `PHASE_CONFIG` in `LandingPage`).
+ * @type {Record<string, Experiment>}
+ */
+export const EXPERIMENTS = {
+  landing_hero: {
+    variants: [
+      {name: 'control', weight: 50},
+      {
+        name: 'quick_intro',
+        weight: 50,
+        landingPageHandle: 'quick-intro',
+        timing: {loaderDuration: 500, animationDuration: 1.4},
+      },
+    ],
+  },
+};
+
+/**
+ * Analytics custom events, recorded by `components/GoogleTagManager` to
+ * compare the variants. Hydrogen requires custom event names to start with
+ * `custom_`.
+ */
+export const EXPERIMENT_EXPOSURE_EVENT = 'custom_experiment_exposure';
+export const EXPERIMENT_CONVERSION_EVENT = 'custom_experiment_conversion';
+
+const VISITOR_ID_SESSION_KEY = 'experimentVisitorId';
+const ASSIGNMENTS_SESSION_KEY = 'experimentAssignments';
+const BUCKET_COUNT = 10000;
+
+/**
+ * Deterministically maps a key to a bucket in [0, 10000), using the 32-bit
+ * FNV-1a hash so the same key lands in the same bucket on every runtime.
+ * @example
+ * getBucket('landing_hero:visitor-1') // returns 6847
+ * getBucket('landing_hero:visitor-2') // returns 4466
+ * @param {string} key
+ */
+export function getBucket(key) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < key.length; index++) {
+    hash ^= key.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % BUCKET_COUNT;
+}
+
+/**
+ * Picks the variant of an experiment for a visitor. Pure: the same
+ * experiment and visitor always get the same variant.
+ * @example
+ * // Bucket 6847 of 10000, past the 50% control weight
+ * assignVariant('landing_hero', EXPERIMENTS.landing_hero, 'visitor-1').name
+ * // returns "quick_intro"
+ * assignVariant('landing_hero', EXPERIMENTS.landing_hero, 'visitor-2').name
+ * // returns "control"
+ * @param {string} experimentId
+ * @param {Experiment} experiment
+ * @param {string} visitorId
+ * @returns {ExperimentVariant}
+ */
+export function assignVariant(experimentId, experiment, visitorId) {
+  const {variants} = experiment;
+  const totalWeight = variants.reduce((total, {weight}) => total + weight, 0);
+  // Salt with the experiment id so experiments bucket independently
+  const point =
+    (getBucket(`${experimentId}:${visitorId}`) / BUCKET_COUNT) * totalWeight;
+
+  let upperBound = 0;
+  return (
+    variants.find(({weight}) => {
+      upperBound += weight;
+      return point < upperBound;
+    }) ?? variants[0]
+  );
+}
+
+/**
+ * Assigns visitors to experiment variants, and keeps the visitor id and the
+ * assignments in the session so they are sticky across visits. Available in
+ * loaders as `context.experiments`.
+ * @param {AppSession} session
+ * @param {Record<string, Experiment>} [experiments]
+ */
+export function createExperiments(session, experiments = EXPERIMENTS) {
+  return {
+    /**
+     * @param {string} experimentId
+     * @returns {ExperimentAssignment | null}
+     */
+    get(experimentId) {
+      const experiment = experiments[experimentId];
+      if (!experiment?.variants.length) return null;
+
+      const assignments = session.get(ASSIGNMENTS_SESSION_KEY) ?? {};
+      let variant = experiment.variants.find(
+        ({name}) => name === assignments[experimentId],
+      );
+
+      // New visitor, or the assigned variant was removed
+      if (!variant) {
+        variant = assignVariant(experimentId, experiment, getVisitorId());
+        session.set(ASSIGNMENTS_SESSION_KEY, {
+          ...assignments,
+          [experimentId]: variant.name,
+        });
+      }
+
+      return {
+        experimentId,
+        variant: variant.name,
+        landingPageHandle: variant.landingPageHandle,
+        timing: variant.timing,
+      };
+    },
+  };
+
+  function getVisitorId() {
+    let visitorId = session.get(VISITOR_ID_SESSION_KEY);
+    if (!visitorId) {
+      visitorId = crypto.randomUUID();
+      session.set(VISITOR_ID_SESSION_KEY, visitorId);
+    }
+    return visitorId;
+  }
+}
+
+/**
+ * Publishes an exposure event once the visitor actually sees the variant
+ * @param {ExperimentAssignment | null | undefined} assignment
+ */
+export function useExperimentExposure(assignment) {
+  const {publish} = useAnalytics();
+  const experimentId = assignment?.experimentId;
+  const variant = assignment?.variant;
+
+  useEffect(() => {
+    if (!experimentId) return;
+    publish(EXPERIMENT_EXPOSURE_EVENT, {
+      experiment_id: experimentId,
+      variant,
+    });
+    // `publish` is a no-op until the visitor consents to analytics, then it
+    // changes and the exposure is published
+  }, [publish, experimentId, variant]);
+}
+
+/**
+ * @typedef {{
+ *   name: string;
+ *   weight: number;
+ *   landingPageHandle?: string;
+ *   timing?: Partial<{
+ *     loaderDuration: number;
+ *     animationDuration: number;
+ *     translateDistance: number;
+ *   }>;
+ * }} ExperimentVariant
+ * @typedef {{variants: ExperimentVariant[]}} Experiment
+ * @typedef {Omit<ExperimentVariant, 'name' | 'weight'> & {
+ *   experimentId: string;
+ *   variant: string;
+ * }} ExperimentAssignment
+ */
+
+/** @typedef {import('~/lib/session').AppSession} AppSession */
@@ -11,6 +11,19 @@ export const CART_QUERY_FRAGMENT = `#graphql
       key
       value
     }
+    sellingPlanAllocation {
+      sellingPlan {
+        id
+        name
+        recurringDeliveries
+      }
+      checkoutChargeAmount {
+        ...Money
+      }
+      remainingBalanceChargeAmount {
+        ...Money
+      }
+    }
     cost {
       totalAmount {
         ...Money
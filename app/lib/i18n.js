@@ -0,0 +1,141 @@
+import {useRouteLoaderData} from 'react-router';
+
+/**
+ * Locale routing. Every storefront route has an optional `/{lang}-{country}`
+ * prefix (the `($locale)` segment, e.g. `/fr-ca/products/scarf`), setting the
+ * language and country of the Storefront and Customer Account API queries.
+ * URLs without a prefix use the default locale.
+ *
+ * The prefix is parsed from the URL when the context is created, then the
+ * `($locale)` layout route checks it against the shop's
+ * `localization.availableCountries` and returns a 404 for other locales.
+ * Links and redirects keep the shopper's prefix with `localizePath`.
+ */
+
+/** @type {I18nLocale} */
+export const DEFAULT_LOCALE = {language: 'EN', country: 'US', pathPrefix: ''};
+
+const LOCALE_SEGMENT_REGEX = /^([a-z]{2})-([a-z]{2})$/i;
+
+/**
+ * Locale of the URL prefix, or the default locale. The prefix is not
+ * validated yet, see `isLocaleAvailable`.
+ * @param {Request} request
+ * @returns {I18nLocale}
+ */
+export function getLocaleFromRequest(request) {
+  return getLocaleFromUrl(new URL(request.url));
+}
+
+/**
+ * @param {URL} url
+ * @returns {I18nLocale}
+ */
+export function getLocaleFromUrl(url) {
+  const [, firstSegment = ''] = url.pathname.split('/');
+  const match = LOCALE_SEGMENT_REGEX.exec(firstSegment);
+  if (!match) return DEFAULT_LOCALE;
+
+  return {
+    language: /** @type {LanguageCode} */ (match[1].toUpperCase()),
+    country: /** @type {CountryCode} */ (match[2].toUpperCase()),
+    pathPrefix: `/${firstSegment.toLowerCase()}`,
+  };
+}
+
+/**
+ * Whether the shop sells to the locale country in the locale language
+ * @param {Storefront} storefront
+ * @param {I18nBase} locale
+ */
+export async function isLocaleAvailable(storefront, {language, country}) {
+  const {localization} = await storefront.query(AVAILABLE_LOCALES_QUERY, {
+    cache: storefront.CacheLong(),
+  });
+
+  return localization.availableCountries.some(
+    (availableCountry) =>
+      availableCountry.isoCode === country &&
+      availableCountry.availableLanguages.some(
+        (availableLanguage) => availableLanguage.isoCode === language,
+      ),
+  );
+}
+
+/**
+ * Path of a storefront page in a locale, e.g. `/cart` to `/fr-ca/cart`.
+ * Paths that already have the prefix and external URLs are kept as is.
+ * @param {string} path - Absolute path, with its search and hash if any
+ * @param {{pathPrefix: string}} locale
+ */
+export function localizePath(path, {pathPrefix}) {
+  if (!pathPrefix || !path.startsWith('/') || path.startsWith('//')) {
+    return path;
+  }
+  if (stripLocalePrefix(path, {pathPrefix}) !== path) return path;
+
+  // `/fr-ca` rather than `/fr-ca/` for the homepage
+  return /^\/(?=$|[?#])/.test(path)
+    ? `${pathPrefix}${path.slice(1)}`
+    : `${pathPrefix}${path}`;
+}
+
+/**
+ * Path of a storefront page without its locale prefix, e.g. `/fr-ca/cart`
+ * to `/cart`, to compare it with unlocalized paths
+ * @param {string} path
+ * @param {{pathPrefix: string}} locale
+ */
+export function stripLocalePrefix(path, {pathPrefix}) {
+  if (!pathPrefix) return path;
+
+  const prefixLength = pathPrefix.length;
+  const isPrefixed =
+    path.toLowerCase().startsWith(pathPrefix) &&
+    /^($|[/?#])/.test(path.slice(prefixLength));
+  if (!isPrefixed) return path;
+
+  const rest = path.slice(prefixLength);
+  return rest.startsWith('/') ? rest : `/${rest}`;
+}
+
+/**
+ * Locale of the current page, from the root loader
+ * @returns {I18nLocale}
+ */
+export function useSelectedLocale() {
+  /** @type {RootLoader | undefined} */
+  const data = useRouteLoaderData('root');
+  return data?.selectedLocale ?? DEFAULT_LOCALE;
+}
+
+/**
+ * BCP 47 tag of a locale, for `Intl` formatters and the `lang` attribute
+ * @param {I18nBase} locale
+ */
+export function getLocaleTag({language, country}) {
+  return `${language.toLowerCase()}-${country}`;
+}
+
+const AVAILABLE_LOCALES_QUERY = `#graphql
+  query AvailableLocales {
+    localization {
+      availableCountries {
+        isoCode
+        availableLanguages {
+          isoCode
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {I18nBase & {pathPrefix: string}} I18nLocale
+ */
+
+/** @typedef {import('@shopify/hydrogen').I18nBase} I18nBase */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CountryCode} CountryCode */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').LanguageCode} LanguageCode */
+/** @typedef {import('~/root').RootLoader} RootLoader */
@@ -0,0 +1,216 @@
+/**
+ * Landing page copy, colors and loader image. Merchandisers edit them in the
+ * admin through the `landing_page` metaobject with the handle `main`. Every
+ * field is optional and falls back to the defaults below.
+ *
+ * Metaobject definition `landing_page`:
+ *   - title: single line text, the logo text
+ *   - headline_words: list of single line text, the split text animation
+ *   - body: multi-line text, typed out in the hero, blank lines separate
+ *     paragraphs
+ *   - background_color, text_color, accent_color, accent_hover_color: color
+ *   - loader_image: file, the rotating loader image
+ *   - signup_badge, signup_placeholder, signup_button_label: single line text
+ *   - success_title, pending_title: single line text
+ *   - success_message, pending_message: multi-line text
+ */
+
+export const LANDING_PAGE_HANDLE = 'main';
+
+/** @type {LandingContent} */
+export const DEFAULT_LANDING_CONTENT = {
+  title: 'Rani Mode',
+  headlineWords: ['Rani', 'Mode'],
+  paragraphs: [
+    "We're creating a new style of coat, purposefully designed to complement your cultural clothes and keep you warm and stylish.",
+  ],
+  colors: {
+    background: '#F5F0E8', // creamy beige
+    text: '#1a1a1a',
+    accent: '#722F37', // dark burgundy
+    accentHover: '#5a252b',
+  },
+  loaderImageUrl: '/rani-mode-loader.svg',
+  signup: {
+    badge: 'Coming Soon',
+    placeholder: 'Enter your email',
+    buttonLabel: 'Join Waitlist',
+    successTitle: "You're on the list!",
+    successMessage:
+      "Thank you for joining us early on this journey. We'll keep you updated with exciting news and offers.",
+    pendingTitle: 'Almost there!',
+    pendingMessage:
+      'We’ve sent you an email. Please click the link inside to confirm your subscription.',
+  },
+};
+
+const COLOR_REGEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Loads the landing page content, merged over the defaults. Never throws so
+ * the landing page still renders when the metaobject is missing.
+ * @param {Storefront} storefront
+ * @param {{handle?: string}} [options] - Metaobject handle, `main` by default
+ * @returns {Promise<LandingContent>}
+ */
+export async function getLandingContent(
+  storefront,
+  {handle = LANDING_PAGE_HANDLE} = {},
+) {
+  try {
+    const {metaobject} = await storefront.query(LANDING_PAGE_QUERY, {
+      variables: {handle},
+    });
+
+    // Experiment variants without their own metaobject use the main one
+    if (!metaobject && handle !== LANDING_PAGE_HANDLE) {
+      return getLandingContent(storefront);
+    }
+
+    return parseLandingContent(metaobject);
+  } catch (error) {
+    console.error('Landing page content query error:', error);
+    return DEFAULT_LANDING_CONTENT;
+  }
+}
+
+/**
+ * @param {LandingPageQuery['metaobject'] | undefined} metaobject
+ * @returns {LandingContent}
+ */
+function parseLandingContent(metaobject) {
+  if (!metaobject) return DEFAULT_LANDING_CONTENT;
+
+  const fields = new Map(metaobject.fields.map((field) => [field.key, field]));
+  /** @param {string} key */
+  const text = (key) => fields.get(key)?.value?.trim() || null;
+  /** @param {string} key */
+  const color = (key) => {
+    const value = text(key);
+    return value && COLOR_REGEX.test(value) ? value : null;
+  };
+
+  const defaults = DEFAULT_LANDING_CONTENT;
+  const accent = color('accent_color');
+
+  return {
+    title: text('title') ?? defaults.title,
+    headlineWords: parseList(text('headline_words')) ?? defaults.headlineWords,
+    paragraphs: parseParagraphs(text('body')) ?? defaults.paragraphs,
+    colors: {
+      background: color('background_color') ?? defaults.colors.background,
+      text: color('text_color') ?? defaults.colors.text,
+      accent: accent ?? defaults.colors.accent,
+      // Darken a custom accent unless a hover color is set too
+      accentHover:
+        color('accent_hover_color') ??
+        (accent
+          ? `color-mix(in srgb, ${accent} 80%, black)`
+          : defaults.colors.accentHover),
+    },
+    loaderImageUrl:
+      getFileUrl(fields.get('loader_image')?.reference) ??
+      defaults.loaderImageUrl,
+    signup: {
+      badge: text('signup_badge') ?? defaults.signup.badge,
+      placeholder: text('signup_placeholder') ?? defaults.signup.placeholder,
+      buttonLabel: text('signup_button_label') ?? defaults.signup.buttonLabel,
+      successTitle: text('success_title') ?? defaults.signup.successTitle,
+      successMessage: text('success_message') ?? defaults.signup.successMessage,
+      pendingTitle: text('pending_title') ?? defaults.signup.pendingTitle,
+      pendingMessage: text('pending_message') ?? defaults.signup.pendingMessage,
+    },
+  };
+}
+
+/**
+ * List metafields are stored as a JSON array
+ * @param {string | null} value
+ * @returns {string[] | null}
+ */
+function parseList(value) {
+  try {
+    const list = JSON.parse(value ?? '');
+    const items = Array.isArray(list)
+      ? list.filter((item) => typeof item === 'string' && item.trim())
+      : [];
+    return items.length ? items : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string | null} value
+ * @returns {string[] | null}
+ */
+function parseParagraphs(value) {
+  const paragraphs = (value ?? '')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return paragraphs.length ? paragraphs : null;
+}
+
+/**
+ * @param {LandingPageFieldReference | null | undefined} reference
+ */
+function getFileUrl(reference) {
+  if (!reference) return null;
+  if ('image' in reference) return reference.image?.url ?? null;
+  if ('url' in reference) return reference.url ?? null;
+  return null;
+}
+
+const LANDING_PAGE_QUERY = `#graphql
+  query LandingPage(
+    $handle: String!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    metaobject(handle: {type: "landing_page", handle: $handle}) {
+      fields {
+        key
+        value
+        reference {
+          ... on MediaImage {
+            image {
+              url
+            }
+          }
+          ... on GenericFile {
+            url
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {{
+ *   title: string;
+ *   headlineWords: string[];
+ *   paragraphs: string[];
+ *   colors: {
+ *     background: string;
+ *     text: string;
+ *     accent: string;
+ *     accentHover: string;
+ *   };
+ *   loaderImageUrl: string;
+ *   signup: {
+ *     badge: string;
+ *     placeholder: string;
+ *     buttonLabel: string;
+ *     successTitle: string;
+ *     successMessage: string;
+ *     pendingTitle: string;
+ *     pendingMessage: string;
+ *   };
+ * }} LandingContent
+ */
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('storefrontapi.generated').LandingPageQuery} LandingPageQuery */
+/** @typedef {NonNullable<LandingPageQuery['metaobject']>['fields'][number]['reference']} LandingPageFieldReference */
@@ -0,0 +1,29 @@
+/**
+ * Session cookie remembering that the landing page intro animation was
+ * already played, so repeat visits during the session go straight to the
+ * hero. A cookie rather than `sessionStorage` lets the server skip
+ * rendering the intro too.
+ */
+export const INTRO_SEEN_COOKIE = 'rani_mode_intro_seen';
+
+/**
+ * @param {Request} request
+ */
+export function hasSeenIntro(request) {
+  const cookies = request.headers.get('Cookie')?.split(/;\s*/) ?? [];
+  return cookies.includes(`${INTRO_SEEN_COOKIE}=1`);
+}
+
+/**
+ * Client only
+ */
+export function markIntroSeen() {
+  document.cookie = `${INTRO_SEEN_COOKIE}=1; path=/; SameSite=Lax`;
+}
+
+/**
+ * Client only
+ */
+export function prefersReducedMotion() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
@@ -0,0 +1,378 @@
+import {createContext, redirect} from 'react-router';
+import {localizePath, stripLocalePrefix} from '~/lib/i18n';
+import {createSignedToken, readSignedToken} from '~/lib/signedToken';
+
+/**
+ * Launch mode of the storefront:
+ * - `teaser`: every storefront route redirects to the landing page
+ * - `password`: the storefront is behind a shared password
+ * - `live`: the homepage renders the full storefront
+ */
+export const LAUNCH_MODES = /** @type {const} */ ([
+  'teaser',
+  'password',
+  'live',
+]);
+
+export const DEFAULT_LAUNCH_MODE = 'teaser';
+
+/** Query parameter carrying a staff preview token */
+export const PREVIEW_PARAM = 'preview';
+
+/** Query parameter carrying a subscriber early access token */
+export const EARLY_ACCESS_PARAM = 'early_access';
+
+/** Lifetime of a staff preview link, in seconds */
+export const PREVIEW_TOKEN_TTL = 60 * 60 * 24 * 7;
+
+/** Lifetime of a subscriber early access link, in seconds */
+export const EARLY_ACCESS_TOKEN_TTL = 60 * 60 * 24 * 90;
+
+const PASSWORD_SESSION_KEY = 'storefrontPassword';
+
+/**
+ * Signed links exchanged for storefront access by `launchModeMiddleware`.
+ * The session keeps the token expiry, so access ends with the link.
+ */
+const ACCESS_TOKENS = {
+  [PREVIEW_PARAM]: {
+    purpose: 'launch-preview',
+    sessionKey: 'launchPreviewExpiresAt',
+  },
+  [EARLY_ACCESS_PARAM]: {
+    purpose: 'early-access',
+    sessionKey: 'earlyAccessExpiresAt',
+  },
+};
+
+/** Routes reachable in every launch mode, in any locale */
+const PUBLIC_PATHS = ['/', '/password', '/robots.txt'];
+const PUBLIC_PATH_PREFIXES = ['/api/', '/policies'];
+
+/**
+ * Launch state of the current request, set by `launchModeMiddleware`.
+ * Read it in loaders with `context.get(launchModeContext)`.
+ * @type {import('react-router').RouterContext<LaunchState>}
+ */
+export const launchModeContext = createContext({
+  mode: DEFAULT_LAUNCH_MODE,
+  hasAccess: false,
+  showLandingPage: true,
+  schedule: null,
+});
+
+/**
+ * Resolves the launch mode and the drop schedule from the shop metafields:
+ * - `custom.launch_mode`: `teaser`, `password` or `live`
+ * - `custom.launch_at`: date and time of the drop
+ * - `custom.early_access_at`: optional start of the subscriber early access
+ * - `custom.launch_collection`: the collection dropped at `launch_at`
+ *
+ * The `LAUNCH_MODE` environment variable wins over the metafield, so an
+ * environment can be pinned (e.g. `live` on staging) regardless of what is
+ * set in the admin.
+ * @param {{env: Env; storefront: Storefront}} options
+ * @returns {Promise<{mode: LaunchMode; schedule: LaunchSchedule | null}>}
+ */
+export async function getLaunchSettings({env, storefront}) {
+  const envMode = parseLaunchMode(env.LAUNCH_MODE);
+
+  try {
+    const {shop} = await storefront.query(LAUNCH_SETTINGS_QUERY, {
+      cache: storefront.CacheShort(),
+    });
+
+    return {
+      mode:
+        envMode ??
+        parseLaunchMode(shop?.launchMode?.value) ??
+        DEFAULT_LAUNCH_MODE,
+      schedule: parseLaunchSchedule(shop),
+    };
+  } catch (error) {
+    console.error('Launch settings query error:', error);
+    return {mode: envMode ?? DEFAULT_LAUNCH_MODE, schedule: null};
+  }
+}
+
+/**
+ * Returns where a drop stands at `now`:
+ * - `upcoming`: the drop, and its early access if any, have not started
+ * - `early_access`: only subscribers with an early access link can shop
+ * - `launched`: everybody can shop the collection
+ * @param {LaunchSchedule} schedule
+ * @param {number} [now]
+ * @returns {DropPhase}
+ */
+export function getDropPhase(schedule, now = Date.now()) {
+  if (now >= Date.parse(schedule.launchAt)) return 'launched';
+
+  if (schedule.earlyAccessAt && now >= Date.parse(schedule.earlyAccessAt)) {
+    return 'early_access';
+  }
+
+  return 'upcoming';
+}
+
+/**
+ * Creates a signed token that gives staff access to the storefront in the
+ * `teaser` and `password` modes. Append it to any storefront URL as
+ * `?preview=<token>`.
+ * @param {Env} env
+ * @param {{expiresIn?: number}} [options] - Lifetime of the token in seconds
+ */
+export function createPreviewToken(env, options = {}) {
+  const {expiresIn = PREVIEW_TOKEN_TTL} = options;
+  const payload = {purpose: ACCESS_TOKENS[PREVIEW_PARAM].purpose};
+  return createSignedToken(payload, env.SESSION_SECRET, {expiresIn});
+}
+
+/**
+ * Creates the link newsletter subscribers use to shop a drop during its
+ * early access window. It is stored on the subscriber profile so email
+ * templates can include it.
+ * @param {string} email
+ * @param {{env: Env; origin: string; i18n: I18nLocale}} options - `i18n` is
+ * the subscriber's locale, the link opens the homepage in it
+ */
+export async function createEarlyAccessUrl(email, {env, origin, i18n}) {
+  const payload = {purpose: ACCESS_TOKENS[EARLY_ACCESS_PARAM].purpose, email};
+  const token = await createSignedToken(payload, env.SESSION_SECRET, {
+    expiresIn: EARLY_ACCESS_TOKEN_TTL,
+  });
+
+  const url = new URL(localizePath('/', i18n), origin);
+  url.searchParams.set(EARLY_ACCESS_PARAM, token);
+  return url.toString();
+}
+
+/**
+ * Path and search of a URL when it is on the same origin as `baseUrl`, to
+ * redirect to URLs taken from the request without making an open redirect.
+ * Browsers read `/\evil.com` as `//evil.com`, so a `/` prefix check is not
+ * enough.
+ * @param {string} path - Path or URL, resolved against `baseUrl`
+ * @param {string} baseUrl
+ * @returns {string | null} `null` for other origins and invalid URLs
+ */
+export function getSameOriginPath(path, baseUrl) {
+  try {
+    const base = new URL(baseUrl);
+    const url = new URL(path, base);
+    if (url.origin !== base.origin) return null;
+
+    // `/.//evil.com` resolves to the `//evil.com` path
+    return `${url.pathname.replace(/^\/+/, '/')}${url.search}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks the shared storefront password and, when it matches, unlocks the
+ * storefront for the session. Only a hash of the password is kept in the
+ * session, so changing `STOREFRONT_PASSWORD` signs everybody out.
+ * @param {string} password
+ * @param {{env: Env; session: AppSession}} options
+ * @returns {Promise<boolean>}
+ */
+export async function unlockStorefront(password, {env, session}) {
+  if (!env.STOREFRONT_PASSWORD || password !== env.STOREFRONT_PASSWORD) {
+    return false;
+  }
+
+  session.set(PASSWORD_SESSION_KEY, await hashPassword(password));
+  return true;
+}
+
+/**
+ * Gates the storefront according to the launch mode and the drop schedule.
+ * Preview and early access tokens are exchanged for a session flag on the
+ * first request, then stripped from the URL so they don't end up in
+ * analytics or shared links.
+ * @type {import('react-router').MiddlewareFunction<Response>}
+ */
+export async function launchModeMiddleware({request, context}, next) {
+  const {env, session, storefront} = context;
+  const url = new URL(request.url);
+
+  const accessParam = Object.keys(ACCESS_TOKENS).find((param) =>
+    url.searchParams.has(param),
+  );
+  if (accessParam) {
+    const {purpose, sessionKey} = ACCESS_TOKENS[accessParam];
+    const token = url.searchParams.get(accessParam);
+    const payload = await readSignedToken(token, env.SESSION_SECRET);
+    if (payload?.purpose === purpose) {
+      session.set(sessionKey, payload.exp);
+    }
+
+    url.searchParams.delete(accessParam);
+    throw redirect(getSameOriginPath(url.href, url.origin) ?? '/');
+  }
+
+  const {mode, schedule} = await getLaunchSettings({env, storefront});
+  const dropPhase = schedule ? getDropPhase(schedule) : null;
+
+  // Full storefront, including the regular homepage
+  const hasStorefrontAccess =
+    mode === 'live' ||
+    hasSessionAccess(session, ACCESS_TOKENS[PREVIEW_PARAM].sessionKey) ||
+    (mode === 'password' && (await hasPasswordAccess({env, session})));
+
+  // Shopping a drop, while the homepage stays the landing page
+  const hasDropAccess =
+    dropPhase === 'launched' ||
+    (dropPhase === 'early_access' &&
+      hasSessionAccess(session, ACCESS_TOKENS[EARLY_ACCESS_PARAM].sessionKey));
+
+  const hasAccess = hasStorefrontAccess || hasDropAccess;
+
+  context.set(launchModeContext, {
+    mode,
+    hasAccess,
+    showLandingPage: !hasStorefrontAccess,
+    schedule,
+  });
+
+  const {i18n} = storefront;
+  if (!hasAccess && !isPublicPath(stripLocalePrefix(url.pathname, i18n))) {
+    if (mode === 'password') {
+      const params = new URLSearchParams({
+        redirect: `${url.pathname}${url.search}`,
+      });
+      throw redirect(localizePath(`/password?${params}`, i18n));
+    }
+
+    throw redirect(localizePath('/', i18n));
+  }
+
+  return next();
+}
+
+/**
+ * @param {unknown} value
+ * @returns {LaunchMode | null}
+ */
+function parseLaunchMode(value) {
+  const mode = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return LAUNCH_MODES.includes(mode) ? mode : null;
+}
+
+/**
+ * @param {LaunchSettingsQuery['shop'] | undefined} shop
+ * @returns {LaunchSchedule | null}
+ */
+function parseLaunchSchedule(shop) {
+  const launchAt = parseDateTime(shop?.launchAt?.value);
+  if (!launchAt) return null;
+
+  const earlyAccessAt = parseDateTime(shop?.earlyAccessAt?.value);
+
+  return {
+    launchAt,
+    // Early access only makes sense if it opens before the drop
+    earlyAccessAt:
+      earlyAccessAt && earlyAccessAt < launchAt ? earlyAccessAt : null,
+    collectionHandle: shop?.launchCollection?.reference?.handle ?? 'all',
+  };
+}
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {string | null} ISO 8601 date, or null when `value` isn't a date
+ */
+function parseDateTime(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * @param {string} pathname - Without the locale prefix
+ */
+function isPublicPath(pathname) {
+  return (
+    PUBLIC_PATHS.includes(pathname) ||
+    PUBLIC_PATH_PREFIXES.some((prefix) => pathname.startsWith(prefix))
+  );
+}
+
+/**
+ * @param {AppSession} session
+ * @param {string} sessionKey - Where the access token expiry is kept
+ */
+function hasSessionAccess(session, sessionKey) {
+  const expiresAt = session.get(sessionKey);
+  return typeof expiresAt === 'number' && expiresAt * 1000 > Date.now();
+}
+
+/**
+ * @param {{env: Env; session: AppSession}} options
+ */
+async function hasPasswordAccess({env, session}) {
+  const storedHash = session.get(PASSWORD_SESSION_KEY);
+  if (!env.STOREFRONT_PASSWORD || !storedHash) return false;
+
+  return storedHash === (await hashPassword(env.STOREFRONT_PASSWORD));
+}
+
+/**
+ * @param {string} password
+ */
+async function hashPassword(password) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(password),
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('');
+}
+
+const LAUNCH_SETTINGS_QUERY = `#graphql
+  query LaunchSettings($country: CountryCode, $language: LanguageCode)
+  @inContext(country: $country, language: $language) {
+    shop {
+      launchMode: metafield(namespace: "custom", key: "launch_mode") {
+        value
+      }
+      launchAt: metafield(namespace: "custom", key: "launch_at") {
+        value
+      }
+      earlyAccessAt: metafield(namespace: "custom", key: "early_access_at") {
+        value
+      }
+      launchCollection: metafield(
+        namespace: "custom"
+        key: "launch_collection"
+      ) {
+        reference {
+          ... on Collection {
+            handle
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {typeof LAUNCH_MODES[number]} LaunchMode
+ * @typedef {'upcoming' | 'early_access' | 'launched'} DropPhase
+ * @typedef {{
+ *   launchAt: string;
+ *   earlyAccessAt: string | null;
+ *   collectionHandle: string;
+ * }} LaunchSchedule
+ * @typedef {{
+ *   mode: LaunchMode;
+ *   hasAccess: boolean;
+ *   showLandingPage: boolean;
+ *   schedule: LaunchSchedule | null;
+ * }} LaunchState
+ */
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
+/** @typedef {import('~/lib/session').AppSession} AppSession */
+/** @typedef {import('storefrontapi.generated').LaunchSettingsQuery} LaunchSettingsQuery */
@@ -0,0 +1,143 @@
+import {createEarlyAccessUrl} from '~/lib/launchMode';
+import {createSignedToken, readSignedToken} from '~/lib/signedToken';
+
+/**
+ * Countries where marketing consent must be confirmed by the subscriber
+ * (EU/EEA, United Kingdom and Switzerland). Override with the
+ * `NEWSLETTER_DOUBLE_OPT_IN_COUNTRIES` env var, e.g. `DE,FR,GB` or `*`.
+ */
+export const DOUBLE_OPT_IN_COUNTRIES = [
+  'AT',
+  'BE',
+  'BG',
+  'CH',
+  'CY',
+  'CZ',
+  'DE',
+  'DK',
+  'EE',
+  'ES',
+  'FI',
+  'FR',
+  'GB',
+  'GR',
+  'HR',
+  'HU',
+  'IE',
+  'IS',
+  'IT',
+  'LI',
+  'LT',
+  'LU',
+  'LV',
+  'MT',
+  'NL',
+  'NO',
+  'PL',
+  'PT',
+  'RO',
+  'SE',
+  'SI',
+  'SK',
+];
+
+/**
+ * Hidden signup form field that only bots fill in
+ */
+export const NEWSLETTER_HONEYPOT_FIELD = 'company';
+
+/**
+ * Analytics custom event published when a visitor signs up, recorded by
+ * `components/GoogleTagManager`. Hydrogen requires custom event names to
+ * start with `custom_`.
+ */
+export const NEWSLETTER_SIGNUP_EVENT = 'custom_newsletter_signup';
+
+/**
+ * Search param carrying the outcome of a signup submitted without
+ * JavaScript: `success`, `pending` or the error code
+ */
+export const NEWSLETTER_OUTCOME_PARAM = 'newsletter';
+
+/** Confirmation links stay valid for 7 days */
+const CONFIRMATION_TOKEN_TTL = 60 * 60 * 24 * 7;
+const CONFIRMATION_TOKEN_PURPOSE = 'newsletter-confirm';
+
+/**
+ * Returns the opt-in mode required for the visitor's country
+ * @returns {NewsletterOptInMode}
+ * @param {{i18n: I18nBase; env: Env}}
+ */
+export function getNewsletterOptInMode({i18n, env}) {
+  const configured = env.NEWSLETTER_DOUBLE_OPT_IN_COUNTRIES;
+  const countries = configured
+    ? configured.split(',').map((country) => country.trim().toUpperCase())
+    : DOUBLE_OPT_IN_COUNTRIES;
+
+  return countries.includes('*') || countries.includes(i18n.country)
+    ? 'double'
+    : 'single';
+}
+
+/**
+ * Creates the signed token embedded in the confirmation link. The token
+ * carries the whole subscriber, so the signup attribution is forwarded to
+ * the provider once the subscription is confirmed.
+ * @param {NewsletterSubscriber} subscriber
+ * @param {Env} env
+ */
+export function createConfirmationToken({email, properties, source}, env) {
+  return createSignedToken(
+    {purpose: CONFIRMATION_TOKEN_PURPOSE, email, properties, source},
+    env.SESSION_SECRET,
+    {expiresIn: CONFIRMATION_TOKEN_TTL},
+  );
+}
+
+/**
+ * Returns the subscriber confirmed by a token, or null if the token is invalid
+ * @returns {Promise<NewsletterSubscriber | null>}
+ * @param {string | undefined} token
+ * @param {Env} env
+ */
+export async function readConfirmationToken(token, env) {
+  const payload = await readSignedToken(token, env.SESSION_SECRET);
+
+  if (
+    payload?.purpose !== CONFIRMATION_TOKEN_PURPOSE ||
+    typeof payload.email !== 'string'
+  ) {
+    return null;
+  }
+
+  const {email, properties, source} = payload;
+
+  return {email, properties, source};
+}
+
+/**
+ * Adds the subscriber's drop early access link to their profile properties,
+ * as `early_access_url`, so launch emails can include it
+ * @returns {Promise<NewsletterSubscriber>}
+ * @param {NewsletterSubscriber} subscriber
+ * @param {{env: Env; origin: string; i18n: I18nLocale}} options
+ */
+export async function withEarlyAccessUrl(subscriber, {env, origin, i18n}) {
+  return {
+    ...subscriber,
+    properties: {
+      ...subscriber.properties,
+      early_access_url: await createEarlyAccessUrl(subscriber.email, {
+        env,
+        origin,
+        i18n,
+      }),
+    },
+  };
+}
+
+/** @typedef {'single' | 'double'} NewsletterOptInMode */
+
+/** @typedef {import('@shopify/hydrogen').I18nBase} I18nBase */
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
+/** @typedef {import('~/lib/newsletterProviders').NewsletterSubscriber} NewsletterSubscriber */
@@ -0,0 +1,503 @@
+/**
+ * Email-marketing provider adapters used by the /api/newsletter routes.
+ *
+ * Every adapter implements the same `NewsletterProvider` interface, so the
+ * routes never talk to a provider API directly. The back-in-stock waitlist
+ * methods are optional: /api/waitlist is unavailable without `joinWaitlist`,
+ * and providers without `notifyWaitlist` send restock emails themselves.
+ * The adapter is chosen with the `NEWSLETTER_PROVIDER` env var and exposed
+ * as `context.newsletter`.
+ *
+ * Set up in .env:
+ *   - NEWSLETTER_PROVIDER=klaviyo | shopify | mailchimp | log
+ *     (defaults to klaviyo when it is configured, log otherwise). The log
+ *     provider only works in development, signups fail in production.
+ *   - klaviyo: KLAVIYO_PRIVATE_API_KEY, KLAVIYO_LIST_ID
+ *   - mailchimp: MAILCHIMP_API_KEY (e.g. abc123-us21), MAILCHIMP_LIST_ID
+ *   - shopify: no extra settings, uses the Storefront API
+ */
+
+export const NEWSLETTER_PROVIDERS = ['klaviyo', 'shopify', 'mailchimp', 'log'];
+
+const KLAVIYO_API_URL = 'https://a.klaviyo.com/api';
+const KLAVIYO_REVISION = '2025-01-15';
+
+/**
+ * Name of the Klaviyo metric tracked when a confirmation is requested.
+ * Create a Klaviyo flow triggered by this metric that emails the
+ * `confirmation_url` event property to the subscriber.
+ */
+export const KLAVIYO_CONFIRMATION_METRIC = 'Newsletter Confirmation Requested';
+
+/**
+ * Creates the provider selected by `NEWSLETTER_PROVIDER`. The log-only
+ * provider, which logs subscriber emails, is only used in development: in
+ * production a missing or unconfigured provider fails every signup with an
+ * error saying what to set.
+ * @returns {NewsletterProvider}
+ * @param {Env} env
+ * @param {{getStorefront: () => Storefront}} options - Lazily resolves the
+ * Storefront client, which is created together with the Hydrogen context
+ */
+export function createNewsletterProvider(env, {getStorefront}) {
+  const name =
+    env.NEWSLETTER_PROVIDER?.toLowerCase() ||
+    (env.KLAVIYO_PRIVATE_API_KEY ? 'klaviyo' : 'log');
+
+  let notConfigured = `Newsletter provider "${name}" credentials not configured`;
+
+  switch (name) {
+    case 'klaviyo': {
+      const apiKey = env.KLAVIYO_PRIVATE_API_KEY;
+      const listId = env.KLAVIYO_LIST_ID;
+      if (apiKey && listId) {
+        return createKlaviyoNewsletterProvider({apiKey, listId});
+      }
+      break;
+    }
+    case 'mailchimp': {
+      const apiKey = env.MAILCHIMP_API_KEY;
+      const listId = env.MAILCHIMP_LIST_ID;
+      if (apiKey && listId) {
+        return createMailchimpNewsletterProvider({apiKey, listId});
+      }
+      break;
+    }
+    case 'shopify':
+      return createShopifyNewsletterProvider({getStorefront});
+    case 'log':
+      notConfigured =
+        'The log newsletter provider is for development, set NEWSLETTER_PROVIDER and its credentials';
+      break;
+    default:
+      notConfigured = `Unknown newsletter provider "${name}"`;
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    if (name !== 'log') console.error(notConfigured);
+    return createLogNewsletterProvider();
+  }
+
+  return createUnconfiguredNewsletterProvider(notConfigured);
+}
+
+/**
+ * Klaviyo: subscribes profiles to a list. Subscriber properties are saved as
+ * profile properties and the source as the subscription's custom source.
+ * Pending (double opt-in) subscriptions are tracked as
+ * `KLAVIYO_CONFIRMATION_METRIC` events.
+ * @returns {NewsletterProvider}
+ * @param {{apiKey: string; listId: string}}
+ */
+export function createKlaviyoNewsletterProvider({apiKey, listId}) {
+  async function klaviyoRequest(path, body) {
+    const response = await fetch(`${KLAVIYO_API_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        accept: 'application/vnd.api+json',
+        revision: KLAVIYO_REVISION,
+        'content-type': 'application/vnd.api+json',
+        Authorization: `Klaviyo-API-Key ${apiKey}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Klaviyo API error:', response.status, errorText);
+      throw new Error('Failed to subscribe');
+    }
+  }
+
+  async function importProfile(email, properties) {
+    if (!properties || !Object.keys(properties).length) return;
+
+    await klaviyoRequest('/profile-import', {
+      data: {
+        type: 'profile',
+        attributes: {email, properties},
+      },
+    });
+  }
+
+  return {
+    name: 'klaviyo',
+    async subscribe({email, properties, source}) {
+      await importProfile(email, properties);
+
+      await klaviyoRequest('/profile-subscription-bulk-create-jobs', {
+        data: {
+          type: 'profile-subscription-bulk-create-job',
+          attributes: {
+            ...(source && {custom_source: source}),
+            profiles: {
+              data: [
+                {
+                  type: 'profile',
+                  attributes: {
+                    email,
+                    subscriptions: {
+                      email: {
+                        marketing: {
+                          consent: 'SUBSCRIBED',
+                        },
+                      },
+                    },
+                  },
+                },
+              ],
+            },
+          },
+          relationships: {
+            list: {
+              data: {
+                type: 'list',
+                id: listId,
+              },
+            },
+          },
+        },
+      });
+    },
+    async requestConfirmation({email, properties, source}, confirmationUrl) {
+      await klaviyoRequest('/events', {
+        data: {
+          type: 'event',
+          attributes: {
+            properties: {
+              ...properties,
+              custom_source: source,
+              confirmation_url: confirmationUrl,
+              newsletter_status: 'pending',
+            },
+            metric: {
+              data: {
+                type: 'metric',
+                attributes: {name: KLAVIYO_CONFIRMATION_METRIC},
+              },
+            },
+            profile: {
+              data: {
+                type: 'profile',
+                attributes: {email, properties},
+              },
+            },
+          },
+        },
+      });
+    },
+    // Klaviyo's Shopify integration sends the restock emails from its
+    // own inventory sync, so there is no `notifyWaitlist`.
+    async joinWaitlist({email, properties}, {variantId, market}) {
+      await importProfile(email, {...properties, waitlist_market: market});
+
+      await klaviyoRequest('/back-in-stock-subscriptions', {
+        data: {
+          type: 'back-in-stock-subscription',
+          attributes: {
+            channels: ['EMAIL'],
+            profile: {
+              data: {
+                type: 'profile',
+                attributes: {email},
+              },
+            },
+          },
+          relationships: {
+            variant: {
+              data: {
+                type: 'catalog-variant',
+                id: `$shopify:::$default:::${parseGid(variantId)}`,
+              },
+            },
+          },
+        },
+      });
+    },
+  };
+}
+
+/**
+ * Mailchimp: adds members to an audience. Pending members receive
+ * Mailchimp's own confirmation email instead of our signed link.
+ * The source and UTM campaign are saved as member tags.
+ *
+ * Waitlisted members are tagged `waitlist:<variant id>:<market>`. On restock
+ * that tag is swapped for `back-in-stock:<variant id>:<market>`, which should
+ * trigger a Mailchimp customer journey sending the restock email.
+ * @returns {NewsletterProvider}
+ * @param {{apiKey: string; listId: string}}
+ */
+export function createMailchimpNewsletterProvider({apiKey, listId}) {
+  const dataCenter = apiKey.split('-')[1] || 'us1';
+  const listUrl = `https://${dataCenter}.api.mailchimp.com/3.0/lists/${listId}`;
+  const headers = {
+    'content-type': 'application/json',
+    Authorization: `Basic ${btoa(`anystring:${apiKey}`)}`,
+  };
+
+  async function mailchimpRequest(path, {method = 'GET', body} = {}) {
+    const response = await fetch(`${listUrl}${path}`, {
+      method,
+      headers,
+      body: body && JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      console.error('Mailchimp API error:', response.status, error);
+      throw new Error('Mailchimp request failed');
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  // Mailchimp accepts the email address in place of the MD5 subscriber hash
+  function memberPath(email) {
+    return `/members/${encodeURIComponent(email.toLowerCase())}`;
+  }
+
+  async function addMember({email, properties, source}, status) {
+    const tags = [source, properties?.utm_campaign].filter(Boolean);
+
+    const response = await fetch(`${listUrl}/members`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({email_address: email, status, tags}),
+    });
+
+    if (response.ok) return;
+
+    const error = await response.json().catch(() => null);
+    // Existing members keep their current status
+    if (error?.title === 'Member Exists') return;
+
+    console.error('Mailchimp API error:', response.status, error);
+    throw new Error('Failed to subscribe');
+  }
+
+  return {
+    name: 'mailchimp',
+    async subscribe(subscriber) {
+      await addMember(subscriber, 'subscribed');
+    },
+    async requestConfirmation(subscriber) {
+      await addMember(subscriber, 'pending');
+    },
+    async joinWaitlist({email}, {variantId, market}) {
+      // Waitlist members are transactional contacts unless already subscribed
+      await mailchimpRequest(memberPath(email), {
+        method: 'PUT',
+        body: {email_address: email, status_if_new: 'transactional'},
+      });
+      await mailchimpRequest(`${memberPath(email)}/tags`, {
+        method: 'POST',
+        body: {
+          tags: [
+            {
+              name: `waitlist:${parseGid(variantId)}:${market}`,
+              status: 'active',
+            },
+          ],
+        },
+      });
+    },
+    async notifyWaitlist({variantId}) {
+      const prefix = `waitlist:${parseGid(variantId)}:`;
+      const {tags = []} = await mailchimpRequest(
+        `/tag-search?name=${encodeURIComponent(prefix)}`,
+      );
+      let notified = 0;
+
+      for (const tag of tags.filter(({name}) => name.startsWith(prefix))) {
+        const market = tag.name.slice(prefix.length);
+        const {members = []} = await mailchimpRequest(
+          `/segments/${tag.id}/members?count=1000`,
+        );
+
+        for (const member of members) {
+          await mailchimpRequest(`${memberPath(member.email_address)}/tags`, {
+            method: 'POST',
+            body: {
+              tags: [
+                {name: tag.name, status: 'inactive'},
+                {
+                  name: `back-in-stock:${parseGid(variantId)}:${market}`,
+                  status: 'active',
+                },
+              ],
+            },
+          });
+          notified += 1;
+        }
+      }
+
+      return notified;
+    },
+  };
+}
+
+/**
+ * Shopify: creates a customer with marketing consent through the Storefront
+ * API `customerCreate` mutation. When double opt-in is enabled in the
+ * Shopify admin, Shopify sends its own confirmation email. Subscriber
+ * properties are not supported by `customerCreate` and are dropped.
+ * @returns {NewsletterProvider}
+ * @param {{getStorefront: () => Storefront}}
+ */
+export function createShopifyNewsletterProvider({getStorefront}) {
+  async function createCustomer(email) {
+    const {customerCreate} = await getStorefront().mutate(
+      NEWSLETTER_CUSTOMER_CREATE_MUTATION,
+      {
+        variables: {
+          input: {
+            email,
+            // Newsletter-only customers never sign in with this password
+            password: `${crypto.randomUUID()}${crypto.randomUUID()}`,
+            acceptsMarketing: true,
+          },
+        },
+      },
+    );
+
+    const errors = customerCreate?.customerUserErrors ?? [];
+
+    // Existing customers manage their consent from their account
+    if (!errors.length || errors.every(({code}) => code === 'TAKEN')) return;
+
+    console.error('Shopify customerCreate error:', errors);
+    throw new Error('Failed to subscribe');
+  }
+
+  return {
+    name: 'shopify',
+    subscribe({email}) {
+      return createCustomer(email);
+    },
+    requestConfirmation({email}) {
+      return createCustomer(email);
+    },
+  };
+}
+
+/**
+ * Log-only: logs subscriptions instead of calling a live API. Nothing is
+ * stored, the context and its provider are created for every request, so
+ * the waitlist is not kept and restock webhooks can't notify anyone.
+ * @returns {NewsletterProvider}
+ */
+export function createLogNewsletterProvider() {
+  return {
+    name: 'log',
+    async subscribe(subscriber) {
+      console.warn('[newsletter:log] subscribe', subscriber);
+    },
+    async requestConfirmation(subscriber, confirmationUrl) {
+      console.warn(
+        '[newsletter:log] confirmation link',
+        subscriber,
+        confirmationUrl,
+      );
+    },
+    async joinWaitlist(subscriber, waitlistEntry) {
+      console.warn('[newsletter:log] join waitlist', subscriber, waitlistEntry);
+    },
+    async notifyWaitlist(restock) {
+      console.warn('[newsletter:log] back in stock, no waitlist kept', restock);
+      return 0;
+    },
+  };
+}
+
+/**
+ * Production stand-in when no provider is configured: signups fail with the
+ * configuration error and the waitlist is unavailable. Subscriber emails are
+ * never logged.
+ * @returns {NewsletterProvider}
+ * @param {string} message - What is missing from the configuration
+ */
+function createUnconfiguredNewsletterProvider(message) {
+  function fail() {
+    return Promise.reject(new Error(message));
+  }
+
+  return {
+    name: 'none',
+    subscribe: fail,
+    requestConfirmation: fail,
+  };
+}
+
+/**
+ * Returns the numeric id of a Shopify GID
+ * @example
+ * parseGid('gid://shopify/ProductVariant/123') // returns "123"
+ * @param {string} gid
+ */
+function parseGid(gid) {
+  return gid.split('/').pop();
+}
+
+// NOTE: https://shopify.dev/docs/api/storefront/latest/mutations/customerCreate
+const NEWSLETTER_CUSTOMER_CREATE_MUTATION = `#graphql
+  mutation NewsletterCustomerCreate(
+    $input: CustomerCreateInput!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    customerCreate(input: $input) {
+      customer {
+        id
+      }
+      customerUserErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {Object} NewsletterSubscriber
+ * @property {string} email
+ * @property {Record<string, string>} [properties] Signup attribution and
+ * locale, saved as profile properties where the provider supports it
+ * @property {string} [source] Where the subscriber signed up
+ */
+
+/**
+ * @typedef {Object} NewsletterProvider
+ * @property {NewsletterProviderName} name
+ * @property {(subscriber: NewsletterSubscriber) => Promise<void>} subscribe
+ * Subscribes with marketing consent
+ * @property {(subscriber: NewsletterSubscriber, confirmationUrl: string) => Promise<void>} requestConfirmation
+ * Records a pending subscription and sends the confirmation link. Providers
+ * with their own double opt-in email (Mailchimp, Shopify) ignore the link.
+ * @property {(subscriber: NewsletterSubscriber, waitlistEntry: WaitlistEntry) => Promise<void>} [joinWaitlist]
+ * Adds the subscriber to a sold-out variant's back-in-stock waitlist
+ * @property {(restock: WaitlistRestock) => Promise<number>} [notifyWaitlist]
+ * Notifies and clears the waitlist of a restocked variant, returns the
+ * number of notified shoppers
+ */
+
+/**
+ * @typedef {Object} WaitlistEntry
+ * @property {string} variantId The ProductVariant GID
+ * @property {string} market The country code of the shopper's market
+ * @property {string} productHandle
+ * @property {string} productTitle
+ * @property {string} variantTitle
+ */
+
+/**
+ * @typedef {Object} WaitlistRestock
+ * @property {string} variantId The ProductVariant GID
+ * @property {string} productHandle
+ * @property {string} productTitle
+ * @property {string} variantTitle
+ */
+
+/** @typedef {'klaviyo' | 'shopify' | 'mailchimp' | 'log' | 'none'} NewsletterProviderName */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
@@ -0,0 +1,113 @@
+// Cache keys must be URLs, this host is never requested
+const RATE_LIMIT_ORIGIN = 'https://rate-limit.internal';
+
+/**
+ * Token-bucket rate limiter backed by the worker's Cache API instance.
+ *
+ * Each key owns a bucket of `capacity` tokens that refills by one token every
+ * `refillInterval` seconds. The Cache API is local to each data center and is
+ * not transactional, so limits are best effort: they stop bursts and scripted
+ * abuse, not a distributed attacker.
+ * @example
+ * const limit = await rateLimiter.consume(`newsletter:ip:${ip}`, {
+ *   capacity: 5,
+ *   refillInterval: 60,
+ * });
+ * if (!limit.allowed) return new Response(null, {status: 429});
+ * @param {Cache} cache - The cache opened in `createHydrogenRouterContext`
+ */
+export function createRateLimiter(cache) {
+  return {
+    /**
+     * Takes one token from the bucket identified by `key`
+     * @returns {Promise<RateLimitResult>}
+     * @param {string} key - Identifies the bucket, e.g. `newsletter:ip:1.2.3.4`
+     * @param {RateLimit} limit
+     */
+    async consume(key, {capacity, refillInterval}) {
+      try {
+        const cacheKey = new Request(
+          `${RATE_LIMIT_ORIGIN}/${encodeURIComponent(key)}`,
+        );
+        const now = Date.now();
+        const cached = await cache.match(cacheKey);
+        const bucket = cached ? await cached.json() : null;
+
+        const elapsed = bucket ? (now - bucket.updatedAt) / 1000 : 0;
+        const tokens = bucket
+          ? Math.min(capacity, bucket.tokens + elapsed / refillInterval)
+          : capacity;
+
+        if (tokens < 1) {
+          return {
+            allowed: false,
+            remaining: 0,
+            retryAfter: Math.ceil((1 - tokens) * refillInterval),
+          };
+        }
+
+        const remaining = tokens - 1;
+        // Drop the bucket once it would be full again
+        const ttl = Math.ceil((capacity - remaining) * refillInterval);
+
+        await cache.put(
+          cacheKey,
+          new Response(JSON.stringify({tokens: remaining, updatedAt: now}), {
+            headers: {
+              'Content-Type': 'application/json',
+              'Cache-Control': `public, max-age=${ttl}`,
+            },
+          }),
+        );
+
+        return {allowed: true, remaining: Math.floor(remaining), retryAfter: 0};
+      } catch (error) {
+        // Never block shoppers because the cache is unavailable
+        console.error('Rate limiter error:', error);
+        return {allowed: true, remaining: capacity, retryAfter: 0};
+      }
+    },
+  };
+}
+
+/**
+ * Returns the shopper's IP address from the Oxygen request headers
+ * @param {Request} request
+ */
+export function getClientIp(request) {
+  return (
+    request.headers.get('oxygen-buyer-ip') ??
+    request.headers.get('cf-connecting-ip') ??
+    request.headers.get('x-forwarded-for')?.split(',')[0].trim() ??
+    'unknown'
+  );
+}
+
+/**
+ * Hashes a value (e.g. an email) so it is not stored in clear in cache keys
+ * @param {string} value
+ */
+export async function hashRateLimitKey(value) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(value.toLowerCase()),
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('');
+}
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} capacity Maximum burst of requests
+ * @property {number} refillInterval Seconds needed to regain one request
+ */
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed
+ * @property {number} remaining Requests left in the bucket
+ * @property {number} retryAfter Seconds to wait before retrying when not allowed
+ */
+
+/** @typedef {ReturnType<typeof createRateLimiter>} RateLimiter */
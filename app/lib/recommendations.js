@@ -0,0 +1,152 @@
+/**
+ * Product recommendations for the product, cart and search pages. Everything
+ * here is meant to be deferred: the promises never reject, so a failing
+ * query only hides the section instead of failing the page.
+ *
+ * "Complete the look" products are picked by merchandisers with the
+ * `custom.complete_the_look` metafield (list of product references).
+ */
+
+const DEFAULT_LIMIT = 4;
+
+/**
+ * Shopify's related (similar) or complementary (bought together) products
+ * @param {Storefront} storefront
+ * @param {{
+ *   productHandle: string;
+ *   intent?: 'RELATED' | 'COMPLEMENTARY';
+ *   limit?: number;
+ * }} options
+ * @returns {Promise<RecommendedProductItem[]>}
+ */
+export async function getProductRecommendations(
+  storefront,
+  {productHandle, intent = 'RELATED', limit = DEFAULT_LIMIT},
+) {
+  try {
+    const {productRecommendations} = await storefront.query(
+      PRODUCT_RECOMMENDATIONS_QUERY,
+      {variables: {productHandle, intent}},
+    );
+    return (productRecommendations ?? []).slice(0, limit);
+  } catch (error) {
+    console.error('Product recommendations query error:', error);
+    return [];
+  }
+}
+
+/**
+ * @param {Storefront} storefront
+ * @param {{productHandle: string; limit?: number}} options
+ * @returns {Promise<RecommendedProductItem[]>}
+ */
+export async function getCompleteTheLook(
+  storefront,
+  {productHandle, limit = DEFAULT_LIMIT},
+) {
+  try {
+    const {product} = await storefront.query(COMPLETE_THE_LOOK_QUERY, {
+      variables: {productHandle, first: limit},
+    });
+    return (product?.completeTheLook?.references?.nodes ?? []).filter(
+      (node) => 'handle' in node,
+    );
+  } catch (error) {
+    console.error('Complete the look query error:', error);
+    return [];
+  }
+}
+
+/**
+ * "You may also like" for a set of products, e.g. the cart lines or the top
+ * search results. Products already in the set are left out.
+ * @param {Storefront} storefront
+ * @param {{productHandles: string[]; limit?: number}} options
+ * @returns {Promise<RecommendedProductItem[]>}
+ */
+export async function getYouMayAlsoLike(
+  storefront,
+  {productHandles, limit = DEFAULT_LIMIT},
+) {
+  const handles = [...new Set(productHandles)];
+  // Two seed products are enough to get variety without extra queries
+  const recommendations = await Promise.all(
+    handles
+      .slice(0, 2)
+      .map((productHandle) =>
+        getProductRecommendations(storefront, {productHandle, limit}),
+      ),
+  );
+
+  const seen = new Set(handles);
+  return recommendations
+    .flat()
+    .filter((product) => {
+      if (seen.has(product.handle)) return false;
+      seen.add(product.handle);
+      return true;
+    })
+    .slice(0, limit);
+}
+
+const RECOMMENDED_PRODUCT_ITEM_FRAGMENT = `#graphql
+  fragment RecommendedProductItem on Product {
+    id
+    handle
+    title
+    featuredImage {
+      id
+      altText
+      url
+      width
+      height
+    }
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    selectedOrFirstAvailableVariant {
+      id
+      availableForSale
+    }
+  }
+`;
+
+const PRODUCT_RECOMMENDATIONS_QUERY = `#graphql
+  query ProductRecommendations(
+    $productHandle: String!
+    $intent: ProductRecommendationIntent
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    productRecommendations(productHandle: $productHandle, intent: $intent) {
+      ...RecommendedProductItem
+    }
+  }
+  ${RECOMMENDED_PRODUCT_ITEM_FRAGMENT}
+`;
+
+const COMPLETE_THE_LOOK_QUERY = `#graphql
+  query CompleteTheLook(
+    $productHandle: String!
+    $first: Int!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    product(handle: $productHandle) {
+      completeTheLook: metafield(namespace: "custom", key: "complete_the_look") {
+        references(first: $first) {
+          nodes {
+            ...RecommendedProductItem
+          }
+        }
+      }
+    }
+  }
+  ${RECOMMENDED_PRODUCT_ITEM_FRAGMENT}
+`;
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('storefrontapi.generated').RecommendedProductItemFragment} RecommendedProductItem */
@@ -0,0 +1,71 @@
+// Cache keys must be URLs, this host is never requested
+const RESTOCK_ORIGIN = 'https://restock.internal';
+
+/** Quantities are kept for 90 days after the last product update */
+const QUANTITY_TTL = 60 * 60 * 24 * 90;
+
+/**
+ * Remembers the inventory quantity of each variant from the
+ * `products/update` webhooks, to tell a restock (sold out to in stock) apart
+ * from other product updates, e.g. a title or price edit.
+ *
+ * Backed by the worker's Cache API instance, like the rate limiter: it is
+ * local to each data center and entries can be evicted. A variant without a
+ * known quantity counts as restocked when it is in stock, which is safe
+ * because providers clear a waitlist once it is notified.
+ * @example
+ * const restocked = await restockTracker.update(product.variants);
+ * @param {Cache} cache - The cache opened in `createHydrogenRouterContext`
+ */
+export function createRestockTracker(cache) {
+  return {
+    /**
+     * Saves the quantity of each variant and returns the variants that are
+     * back in stock since the previous update
+     * @template {InventoryVariant} T
+     * @param {T[]} variants
+     * @returns {Promise<T[]>}
+     */
+    async update(variants) {
+      const restocked = await Promise.all(
+        variants.map(async (variant) => {
+          const quantity = variant.inventory_quantity ?? 0;
+          const cacheKey = new Request(
+            `${RESTOCK_ORIGIN}/${encodeURIComponent(variant.admin_graphql_api_id)}`,
+          );
+
+          try {
+            const cached = await cache.match(cacheKey);
+            const previous = cached ? await cached.json() : null;
+
+            await cache.put(
+              cacheKey,
+              new Response(JSON.stringify({quantity}), {
+                headers: {
+                  'Content-Type': 'application/json',
+                  'Cache-Control': `public, max-age=${QUANTITY_TTL}`,
+                },
+              }),
+            );
+
+            return quantity > 0 && !(previous?.quantity > 0);
+          } catch (error) {
+            // Notify anyway, the waitlist is cleared once notified
+            console.error('Restock tracker error:', error);
+            return quantity > 0;
+          }
+        }),
+      );
+
+      return variants.filter((_, index) => restocked[index]);
+    },
+  };
+}
+
+/**
+ * Variant of a `products/update` webhook payload
+ * @typedef {{
+ *   admin_graphql_api_id: string;
+ *   inventory_quantity?: number | null;
+ * }} InventoryVariant
+ */
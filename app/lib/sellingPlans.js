@@ -0,0 +1,87 @@
+/**
+ * Selling plans (pre-orders and subscriptions) for the product form and
+ * cart. Pre-order plans deliver once, subscriptions have recurring
+ * deliveries. The expected ship date of a pre-order comes from the
+ * `custom.expected_ship_date` variant metafield (date).
+ */
+
+/**
+ * @param {SellingPlanGroups | null | undefined} sellingPlanGroups
+ * @returns {SellingPlan[]}
+ */
+export function getSellingPlans(sellingPlanGroups) {
+  return (
+    sellingPlanGroups?.nodes.flatMap((group) => group.sellingPlans.nodes) ?? []
+  );
+}
+
+/**
+ * @param {Pick<SellingPlan, 'recurringDeliveries'> | null | undefined} plan
+ */
+export function isPreorderPlan(plan) {
+  return !!plan && !plan.recurringDeliveries;
+}
+
+/**
+ * Price and deposit of a variant bought with a selling plan
+ * @param {SellingPlanVariant | null | undefined} variant
+ * @param {string | null | undefined} sellingPlanId
+ */
+export function getSellingPlanAllocation(variant, sellingPlanId) {
+  if (!sellingPlanId) return null;
+  return (
+    variant?.sellingPlanAllocations?.nodes.find(
+      (allocation) => allocation.sellingPlan.id === sellingPlanId,
+    ) ?? null
+  );
+}
+
+/**
+ * @param {SellingPlanVariant | null | undefined} variant
+ * @returns {Date | null}
+ */
+export function getExpectedShipDate(variant) {
+  const value = variant?.expectedShipDate?.value;
+  if (!value) return null;
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a metafield date (stored without a time zone) in the shop language
+ * @param {Date} date
+ * @param {string} [locale]
+ */
+export function formatShipDate(date, locale = 'en') {
+  return new Intl.DateTimeFormat(locale, {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  }).format(date);
+}
+
+/**
+ * @typedef {{
+ *   id: string;
+ *   name: string;
+ *   description?: string | null;
+ *   recurringDeliveries: boolean;
+ * }} SellingPlan
+ * @typedef {{
+ *   nodes: Array<{name: string; sellingPlans: {nodes: SellingPlan[]}}>;
+ * }} SellingPlanGroups
+ * @typedef {{
+ *   sellingPlan: {id: string};
+ *   checkoutChargeAmount: MoneyV2;
+ *   remainingBalanceChargeAmount: MoneyV2;
+ *   priceAdjustments: Array<{price: MoneyV2}>;
+ * }} SellingPlanAllocation
+ * @typedef {{
+ *   sellingPlanAllocations?: {nodes: SellingPlanAllocation[]} | null;
+ *   expectedShipDate?: {value: string} | null;
+ * }} SellingPlanVariant
+ */
+
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').MoneyV2} MoneyV2 */
@@ -0,0 +1,319 @@
+import {localizePath} from '~/lib/i18n';
+
+/**
+ * Meta tags and structured data for the route `meta` exports. Search engines
+ * and social networks want absolute URLs, built from the shop origin and
+ * locale prefix the root loader returns, so each locale has its own
+ * canonical URL.
+ * @example
+ * ```js
+ * export const meta = ({data, matches}) => {
+ *   const shopUrl = getShopUrl(matches);
+ *   const path = `/pages/${data.page.handle}`;
+ *   return getSeoMeta({
+ *     title: data.page.title,
+ *     url: getAbsoluteUrl(shopUrl, path),
+ *     jsonLd: [getBreadcrumbJsonLd(shopUrl, [{name: data.page.title, path}])],
+ *   });
+ * };
+ * ```
+ */
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+const DESCRIPTION_MAX_LENGTH = 160;
+
+/**
+ * Shop origin with the locale prefix of the page, e.g.
+ * `https://shop.com/fr-ca`, from the root loader. Empty when it's unavailable
+ * (e.g. in the error boundary) so URLs stay relative.
+ * @param {Array<{id: string; data?: unknown}>} matches
+ * @returns {string}
+ */
+export function getShopUrl(matches) {
+  const root = matches.find((match) => match?.id === 'root');
+  const data = /** @type {RootSeoData | undefined} */ (root?.data);
+  if (!data?.origin) return '';
+
+  return `${data.origin}${data.selectedLocale?.pathPrefix ?? ''}`;
+}
+
+/**
+ * @param {string} shopUrl - See `getShopUrl`
+ * @param {string} path - Without the locale prefix
+ */
+export function getAbsoluteUrl(shopUrl, path) {
+  if (!shopUrl) return path;
+
+  const {origin, pathname} = new URL(shopUrl);
+  const pathPrefix = pathname === '/' ? '' : pathname;
+  return new URL(localizePath(path, {pathPrefix}), origin).toString();
+}
+
+/**
+ * Title, description, canonical link, Open Graph and Twitter card tags,
+ * followed by one `<script type="application/ld+json">` per JSON-LD block.
+ * @param {SeoInput} seo
+ * @returns {MetaDescriptor[]}
+ */
+export function getSeoMeta({
+  title,
+  description,
+  url,
+  image,
+  type = 'website',
+  jsonLd = [],
+}) {
+  const summary = truncate(description);
+
+  /** @type {MetaDescriptor[]} */
+  const meta = [
+    {title},
+    {property: 'og:type', content: type},
+    {property: 'og:title', content: title},
+    {name: 'twitter:card', content: image ? 'summary_large_image' : 'summary'},
+    {name: 'twitter:title', content: title},
+  ];
+
+  if (summary) {
+    meta.push(
+      {name: 'description', content: summary},
+      {property: 'og:description', content: summary},
+      {name: 'twitter:description', content: summary},
+    );
+  }
+
+  if (url) {
+    meta.push(
+      {tagName: 'link', rel: 'canonical', href: url},
+      {property: 'og:url', content: url},
+    );
+  }
+
+  if (image?.url) {
+    meta.push(
+      {property: 'og:image', content: image.url},
+      {name: 'twitter:image', content: image.url},
+    );
+    if (image.width) {
+      meta.push({property: 'og:image:width', content: String(image.width)});
+    }
+    if (image.height) {
+      meta.push({property: 'og:image:height', content: String(image.height)});
+    }
+    if (image.altText) {
+      meta.push(
+        {property: 'og:image:alt', content: image.altText},
+        {name: 'twitter:image:alt', content: image.altText},
+      );
+    }
+  }
+
+  jsonLd.filter(Boolean).forEach((block) => {
+    meta.push({'script:ld+json': block});
+  });
+
+  return meta;
+}
+
+/**
+ * `Product` with one `Offer` per variant, and an `AggregateRating` when the
+ * product has reviews (the standard `reviews.rating` and
+ * `reviews.rating_count` metafields).
+ * @param {SeoProduct} product
+ * @param {{url: string}} options - Absolute product URL
+ */
+export function getProductJsonLd(product, {url}) {
+  const variants = product.variants?.nodes ?? [];
+  const selectedVariant = product.selectedOrFirstAvailableVariant;
+  const images = [
+    selectedVariant?.image?.url,
+    ...variants.map((variant) => variant.image?.url),
+  ].filter(Boolean);
+
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'Product',
+    name: product.title,
+    description: truncate(product.seo?.description || product.description),
+    url,
+    image: [...new Set(images)],
+    sku: selectedVariant?.sku || undefined,
+    brand: product.vendor
+      ? {'@type': 'Brand', name: product.vendor}
+      : undefined,
+    offers: variants.map((variant) => ({
+      '@type': 'Offer',
+      url: getVariantUrl(url, variant.selectedOptions),
+      sku: variant.sku || undefined,
+      price: variant.price.amount,
+      priceCurrency: variant.price.currencyCode,
+      availability: variant.availableForSale
+        ? 'https://schema.org/InStock'
+        : 'https://schema.org/OutOfStock',
+      itemCondition: 'https://schema.org/NewCondition',
+    })),
+    aggregateRating: getAggregateRating(product),
+  };
+}
+
+/**
+ * `ItemList` of the products shown on a collection page
+ * @param {{
+ *   name: string;
+ *   url: string;
+ *   products: Array<{handle: string; title: string}>;
+ * }} collection
+ * @param {string} shopUrl
+ */
+export function getItemListJsonLd({name, url, products}, shopUrl) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'ItemList',
+    name,
+    url,
+    numberOfItems: products.length,
+    itemListElement: products.map((product, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: product.title,
+      url: getAbsoluteUrl(shopUrl, `/products/${product.handle}`),
+    })),
+  };
+}
+
+/**
+ * @param {SeoArticle} article
+ * @param {{url: string}} options - Absolute article URL
+ */
+export function getBlogPostingJsonLd(article, {url}) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BlogPosting',
+    headline: article.title,
+    description: truncate(article.seo?.description) || undefined,
+    url,
+    mainEntityOfPage: url,
+    image: article.image?.url,
+    datePublished: article.publishedAt,
+    author: article.author?.name
+      ? {'@type': 'Person', name: article.author.name}
+      : undefined,
+  };
+}
+
+/**
+ * `BreadcrumbList` from the home page down to the current page
+ * @param {string} shopUrl
+ * @param {Array<{name: string; path: string}>} crumbs - Without the home page
+ */
+export function getBreadcrumbJsonLd(shopUrl, crumbs) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: [{name: 'Home', path: '/'}, ...crumbs].map(
+      (crumb, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: crumb.name,
+        item: getAbsoluteUrl(shopUrl, crumb.path),
+      }),
+    ),
+  };
+}
+
+/**
+ * @param {string} productUrl
+ * @param {Array<{name: string; value: string}>} selectedOptions
+ */
+function getVariantUrl(productUrl, selectedOptions) {
+  const params = new URLSearchParams(
+    selectedOptions.map(({name, value}) => [name, value]),
+  );
+  return `${productUrl}?${params}`;
+}
+
+/**
+ * @param {SeoProduct} product
+ */
+function getAggregateRating(product) {
+  const ratingCount = Number(product.ratingCount?.value);
+  if (!product.rating?.value || !(ratingCount > 0)) return undefined;
+
+  try {
+    // Rating metafields are stored as {"value": "4.5", "scale_max": "5.0", ...}
+    const rating = JSON.parse(product.rating.value);
+    return {
+      '@type': 'AggregateRating',
+      ratingValue: Number(rating.value),
+      bestRating: Number(rating.scale_max ?? 5),
+      worstRating: Number(rating.scale_min ?? 1),
+      ratingCount,
+    };
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Search results show about 160 characters, cut on a word boundary
+ * @param {string | null | undefined} text
+ */
+function truncate(text) {
+  const value = text?.replace(/\s+/g, ' ').trim();
+  if (!value || value.length <= DESCRIPTION_MAX_LENGTH) return value;
+
+  const cut = value.slice(0, DESCRIPTION_MAX_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ')) || cut}…`;
+}
+
+/**
+ * @typedef {{
+ *   title: string;
+ *   description?: string | null;
+ *   url?: string;
+ *   image?: {
+ *     url: string;
+ *     width?: number | null;
+ *     height?: number | null;
+ *     altText?: string | null;
+ *   } | null;
+ *   type?: 'website' | 'product' | 'article';
+ *   jsonLd?: Array<Record<string, unknown> | null | undefined>;
+ * }} SeoInput
+ * @typedef {{
+ *   title: string;
+ *   description: string;
+ *   vendor: string;
+ *   seo?: {description?: string | null} | null;
+ *   selectedOrFirstAvailableVariant?: {
+ *     sku?: string | null;
+ *     image?: {url: string} | null;
+ *   } | null;
+ *   variants?: {nodes: SeoProductVariant[]};
+ *   rating?: {value: string} | null;
+ *   ratingCount?: {value: string} | null;
+ * }} SeoProduct
+ * @typedef {{
+ *   availableForSale: boolean;
+ *   sku?: string | null;
+ *   price: {amount: string; currencyCode: string};
+ *   image?: {url: string} | null;
+ *   selectedOptions: Array<{name: string; value: string}>;
+ * }} SeoProductVariant
+ * @typedef {{
+ *   title: string;
+ *   publishedAt: string;
+ *   author?: {name: string} | null;
+ *   image?: {url: string} | null;
+ *   seo?: {description?: string | null} | null;
+ * }} SeoArticle
+ */
+
+/**
+ * @typedef {{
+ *   origin?: string;
+ *   selectedLocale?: {pathPrefix: string};
+ * }} RootSeoData
+ */
+
+/** @typedef {import('react-router').MetaDescriptor} MetaDescriptor */
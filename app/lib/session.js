@@ -56,9 +56,20 @@ export class AppSession {
   }
 
   get flash() {
+    this.isPending = true;
     return this.#session.flash;
   }
 
+  /**
+   * Reads a value set with `flash`. It is removed once read, so the session
+   * has to be committed again.
+   * @param {string} key
+   */
+  getFlash(key) {
+    if (this.#session.has(key)) this.isPending = true;
+    return this.#session.get(key);
+  }
+
   get unset() {
     this.isPending = true;
     return this.#session.unset;
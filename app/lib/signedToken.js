@@ -0,0 +1,99 @@
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Creates a compact, URL-safe token carrying `payload` and an HMAC-SHA256
+ * signature. Tokens are signed, not encrypted: never put secrets in them.
+ * @example
+ * const token = await createSignedToken({email}, env.SESSION_SECRET, {
+ *   expiresIn: 60 * 60,
+ * });
+ * @param {Record<string, unknown>} payload - JSON-serializable data to sign
+ * @param {string} secret - The signing secret, usually `SESSION_SECRET`
+ * @param {{expiresIn?: number}} [options] - Lifetime of the token in seconds
+ * @returns {Promise<string>}
+ */
+export async function createSignedToken(payload, secret, {expiresIn} = {}) {
+  const body = expiresIn
+    ? {...payload, exp: Math.floor(Date.now() / 1000) + expiresIn}
+    : payload;
+  const encodedBody = toBase64Url(encoder.encode(JSON.stringify(body)));
+  const key = await importSigningKey(secret);
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    key,
+    encoder.encode(encodedBody),
+  );
+
+  return `${encodedBody}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verifies a token created by `createSignedToken` and returns its payload.
+ * Returns `null` when the token is malformed, tampered with or expired.
+ * @param {string | null | undefined} token - The token to verify
+ * @param {string} secret - The secret the token was signed with
+ * @returns {Promise<Record<string, unknown> | null>}
+ */
+export async function readSignedToken(token, secret) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [encodedBody, encodedSignature, ...rest] = token.split('.');
+  if (!encodedBody || !encodedSignature || rest.length) return null;
+
+  try {
+    const key = await importSigningKey(secret);
+    const isValid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(encodedSignature),
+      encoder.encode(encodedBody),
+    );
+    if (!isValid) return null;
+
+    const payload = JSON.parse(decoder.decode(fromBase64Url(encodedBody)));
+    if (typeof payload?.exp === 'number' && payload.exp * 1000 < Date.now()) {
+      return null;
+    }
+
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} secret
+ */
+function importSigningKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    {name: 'HMAC', hash: 'SHA-256'},
+    false,
+    ['sign', 'verify'],
+  );
+}
+
+/**
+ * @param {Uint8Array} bytes
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value
+ */
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
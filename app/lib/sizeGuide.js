@@ -0,0 +1,149 @@
+/**
+ * Size charts and the fit finder. Products link a `size_chart` metaobject
+ * through the `custom.size_chart` metafield.
+ *
+ * Metaobject definition `size_chart`:
+ *   - name: single line text, the drawer heading
+ *   - unit: single line text, `cm` (default) or `in`
+ *   - measurements: JSON, one row per size, smallest first. Ranges are
+ *     inclusive body measurements, `length` is the garment length.
+ *     `[{"size": "S", "chest": [86, 91], "height": [155, 165], "length": 102}]`
+ *   - notes: multi-line text, shown under the chart
+ */
+
+/**
+ * What shoppers wear under the coat, with the extra chest room (in cm) it
+ * needs to sit comfortably over the top
+ * @type {Record<string, Layering>}
+ */
+export const LAYERINGS = {
+  none: {label: 'Everyday clothes', ease: 0},
+  salwar_kameez: {label: 'Salwar kameez', ease: 2},
+  saree: {label: 'Saree', ease: 4, note: 'Leaves room for the pallu.'},
+  abaya: {label: 'Abaya', ease: 4},
+  lehenga: {
+    label: 'Lehenga',
+    ease: 6,
+    note: 'Leaves room for the dupatta; the flare of the skirt is not restricted.',
+  },
+  anarkali: {
+    label: 'Anarkali',
+    ease: 6,
+    note: 'Choose a longer length if you want the coat to cover the flare.',
+  },
+};
+
+export const DEFAULT_LAYERING = 'none';
+
+const CM_PER_INCH = 2.54;
+
+/**
+ * @param {string} name - Product option name
+ */
+export function isSizeOption(name) {
+  return /^size$/i.test(name.trim());
+}
+
+/**
+ * @param {SizeChartReference | null | undefined} reference
+ * @returns {SizeChart | null}
+ */
+export function parseSizeChart(reference) {
+  if (!reference?.fields) return null;
+
+  const fields = new Map(
+    reference.fields.map((field) => [field.key, field.value?.trim()]),
+  );
+
+  /** @type {SizeChartRow[]} */
+  let rows = [];
+  try {
+    const measurements = JSON.parse(fields.get('measurements') ?? '[]');
+    rows = Array.isArray(measurements)
+      ? measurements.filter(isSizeChartRow)
+      : [];
+  } catch {
+    // Malformed JSON in the admin, hide the size guide
+  }
+
+  if (!rows.length) return null;
+
+  return {
+    name: fields.get('name') || 'Size guide',
+    unit: fields.get('unit') === 'in' ? 'in' : 'cm',
+    rows,
+    notes: fields.get('notes') || null,
+  };
+}
+
+/**
+ * Recommends the smallest size whose chest range fits the shopper's chest
+ * plus the room needed for what they wear underneath.
+ * @param {SizeChart} chart
+ * @param {{height?: number; chest: number; layering?: string}} measurements
+ *   In the chart unit
+ * @returns {FitRecommendation}
+ */
+export function recommendSize(chart, {height, chest, layering}) {
+  const {ease, note} = LAYERINGS[layering ?? ''] ?? LAYERINGS[DEFAULT_LAYERING];
+  const targetChest = chest + (chart.unit === 'in' ? ease / CM_PER_INCH : ease);
+
+  const fitting = chart.rows.find(({chest: [, max]}) => max >= targetChest);
+  const row = fitting ?? chart.rows[chart.rows.length - 1];
+  const notes = [];
+
+  if (!fitting) {
+    notes.push('This is our largest size and may feel snug.');
+  }
+  if (height && row.height) {
+    const [minHeight, maxHeight] = row.height;
+    if (height < minHeight) notes.push('The sleeves and hem may run long.');
+    if (height > maxHeight) notes.push('The sleeves and hem may run short.');
+  }
+  if (note) notes.push(note);
+
+  return {size: row.size, notes};
+}
+
+/**
+ * @param {unknown} row
+ * @returns {row is SizeChartRow}
+ */
+function isSizeChartRow(row) {
+  if (!row || typeof row !== 'object') return false;
+  const {size, chest, height} = /** @type {Record<string, unknown>} */ (row);
+  return (
+    typeof size === 'string' &&
+    isRange(chest) &&
+    (height === undefined || isRange(height))
+  );
+}
+
+/**
+ * @param {unknown} value
+ */
+function isRange(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every((bound) => typeof bound === 'number')
+  );
+}
+
+/**
+ * @typedef {{label: string; ease: number; note?: string}} Layering
+ * @typedef {{
+ *   size: string;
+ *   chest: [number, number];
+ *   height?: [number, number];
+ *   length?: number;
+ * }} SizeChartRow
+ * @typedef {{
+ *   name: string;
+ *   unit: 'cm' | 'in';
+ *   rows: SizeChartRow[];
+ *   notes: string | null;
+ * }} SizeChart
+ * @typedef {{size: string; notes: string[]}} FitRecommendation
+ * @typedef {{fields: Array<{key: string; value?: string | null}>}} SizeChartReference
+ */
@@ -0,0 +1,23 @@
+/**
+ * Toasts shown after a redirect. Routes flash them to the session and the
+ * root loader reads them once, see `components/Toast`.
+ */
+
+export const TOAST_FLASH_KEY = 'toast';
+
+/**
+ * @param {AppSession} session
+ * @param {FlashToast} toast
+ */
+export function flashToast(session, toast) {
+  session.flash(TOAST_FLASH_KEY, toast);
+}
+
+/**
+ * @typedef {{
+ *   tone: 'success' | 'warning' | 'error';
+ *   message: string;
+ * }} FlashToast
+ */
+
+/** @typedef {import('~/lib/session').AppSession} AppSession */
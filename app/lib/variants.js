@@ -1,43 +1,38 @@
-import {useLocation} from 'react-router';
 import {useMemo} from 'react';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @param {string} handle
  * @param {SelectedOption[]} [selectedOptions]
  */
 export function useVariantUrl(handle, selectedOptions) {
-  const {pathname} = useLocation();
+  const {pathPrefix} = useSelectedLocale();
 
   return useMemo(() => {
     return getVariantUrl({
       handle,
-      pathname,
+      pathPrefix,
       searchParams: new URLSearchParams(),
       selectedOptions,
     });
-  }, [handle, selectedOptions, pathname]);
+  }, [handle, selectedOptions, pathPrefix]);
 }
 
 /**
  * @param {{
  *   handle: string;
- *   pathname: string;
+ *   pathPrefix: string;
  *   searchParams: URLSearchParams;
  *   selectedOptions?: SelectedOption[];
  * }}
  */
 export function getVariantUrl({
   handle,
-  pathname,
+  pathPrefix,
   searchParams,
   selectedOptions,
 }) {
-  const match = /(\/[a-zA-Z]{2}-[a-zA-Z]{2}\/)/g.exec(pathname);
-  const isLocalePathname = match && match.length > 0;
-
-  const path = isLocalePathname
-    ? `${match[0]}products/${handle}`
-    : `/products/${handle}`;
+  const path = localizePath(`/products/${handle}`, {pathPrefix});
 
   selectedOptions?.forEach((option) => {
     searchParams.set(option.name, option.value);
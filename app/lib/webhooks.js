@@ -0,0 +1,38 @@
+const encoder = new TextEncoder();
+
+/**
+ * Verifies the `X-Shopify-Hmac-Sha256` signature of a Shopify webhook and
+ * returns its parsed JSON body, or null when the signature does not match.
+ * The signature is the base64 HMAC-SHA256 of the raw body, keyed with the
+ * webhook signing secret of the app that created the subscription.
+ * @see https://shopify.dev/docs/apps/build/webhooks/subscribe/https#step-5-verify-the-webhook
+ * @returns {Promise<unknown | null>}
+ * @param {Request} request
+ * @param {string | undefined} secret
+ */
+export async function readShopifyWebhook(request, secret) {
+  const signature = request.headers.get('X-Shopify-Hmac-Sha256');
+  if (!secret || !signature) return null;
+
+  const body = await request.text();
+
+  try {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      {name: 'HMAC', hash: 'SHA-256'},
+      false,
+      ['verify'],
+    );
+    const isValid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      Uint8Array.from(atob(signature), (char) => char.charCodeAt(0)),
+      encoder.encode(body),
+    );
+
+    return isValid ? JSON.parse(body) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,332 @@
+import {
+  CUSTOMER_WISHLIST_QUERY,
+  CUSTOMER_WISHLIST_SET_MUTATION,
+} from '~/graphql/customer-account/CustomerWishlistQuery';
+
+/**
+ * Wishlist of products, optionally with the variant the shopper picked (e.g.
+ * a cart line saved for later). Guests' wishlists are kept in the session,
+ * customers' in the `custom.wishlist` customer metafield (JSON, with Customer
+ * Account API read and write access). Guest items are merged into the
+ * customer's wishlist on login.
+ *
+ * Items are stored as `<product id>:<variant id>` numeric ids to keep the
+ * session cookie small.
+ */
+
+export const WISHLIST_PATH = '/wishlist';
+export const WISHLIST_SESSION_KEY = 'wishlist';
+
+const WISHLIST_METAFIELD = {namespace: 'custom', key: 'wishlist'};
+const MAX_GUEST_WISHLIST_ITEMS = 30;
+const MAX_WISHLIST_ITEMS = 100;
+
+const PRODUCT_GID_PREFIX = 'gid://shopify/Product/';
+const VARIANT_GID_PREFIX = 'gid://shopify/ProductVariant/';
+
+/**
+ * Reads and updates the wishlist of the current visitor. Available in
+ * loaders and actions as `context.wishlist`.
+ * @param {AppSession} session
+ * @param {{getCustomerAccount: () => CustomerAccount}} options
+ */
+export function createWishlist(session, {getCustomerAccount}) {
+  /** @type {Promise<CustomerWishlist | null> | null} */
+  let customerWishlist = null;
+
+  return {
+    /**
+     * Never throws, the wishlist is empty when it can't be loaded
+     * @returns {Promise<WishlistItem[]>}
+     */
+    async get() {
+      try {
+        return (await getCustomerWishlist())?.items ?? getGuestItems();
+      } catch (error) {
+        console.error('Wishlist query error:', error);
+        return [];
+      }
+    },
+
+    /**
+     * Adds a product, or updates its variant when it is already saved
+     * @param {WishlistItem} item
+     */
+    async add(item) {
+      const items = await getItems();
+      await save([
+        item,
+        ...items.filter(({productId}) => productId !== item.productId),
+      ]);
+    },
+
+    /**
+     * @param {string} productId
+     */
+    async remove(productId) {
+      const items = await getItems();
+      await save(items.filter((item) => item.productId !== productId));
+    },
+
+    /**
+     * Moves the guest items to the customer wishlist, call it after login
+     */
+    async mergeGuestItems() {
+      const guestItems = getGuestItems();
+      if (!guestItems.length) return;
+
+      const wishlist = await getCustomerWishlist();
+      if (!wishlist) return;
+
+      const guestProductIds = new Set(guestItems.map((item) => item.productId));
+      await save([
+        ...guestItems,
+        ...wishlist.items.filter(
+          (item) => !guestProductIds.has(item.productId),
+        ),
+      ]);
+      session.unset(WISHLIST_SESSION_KEY);
+    },
+  };
+
+  /**
+   * Unlike `get`, throws so a failed update doesn't wipe the wishlist
+   */
+  async function getItems() {
+    return (await getCustomerWishlist())?.items ?? getGuestItems();
+  }
+
+  function getGuestItems() {
+    return parseWishlistItems(session.get(WISHLIST_SESSION_KEY));
+  }
+
+  /**
+   * The customer wishlist, once per request, or null for guests
+   */
+  function getCustomerWishlist() {
+    customerWishlist ??= queryCustomerWishlist(getCustomerAccount()).catch(
+      (error) => {
+        customerWishlist = null;
+        throw error;
+      },
+    );
+    return customerWishlist;
+  }
+
+  /**
+   * @param {WishlistItem[]} items
+   */
+  async function save(items) {
+    const wishlist = await getCustomerWishlist();
+
+    if (!wishlist) {
+      session.set(
+        WISHLIST_SESSION_KEY,
+        serializeWishlistItems(items.slice(0, MAX_GUEST_WISHLIST_ITEMS)),
+      );
+      return;
+    }
+
+    const customerAccount = getCustomerAccount();
+    const savedItems = items.slice(0, MAX_WISHLIST_ITEMS);
+    const {data, errors} = await customerAccount.mutate(
+      CUSTOMER_WISHLIST_SET_MUTATION,
+      {
+        variables: {
+          metafields: [
+            {
+              ...WISHLIST_METAFIELD,
+              ownerId: wishlist.customerId,
+              type: 'json',
+              value: JSON.stringify(serializeWishlistItems(savedItems)),
+            },
+          ],
+          language: customerAccount.i18n.language,
+        },
+      },
+    );
+
+    const error =
+      errors?.[0]?.message ?? data?.metafieldsSet?.userErrors[0]?.message;
+    if (error) throw new Error(error);
+
+    customerWishlist = Promise.resolve({...wishlist, items: savedItems});
+  }
+}
+
+/**
+ * @param {CustomerAccount} customerAccount
+ * @returns {Promise<CustomerWishlist | null>}
+ */
+async function queryCustomerWishlist(customerAccount) {
+  if (!(await customerAccount.isLoggedIn())) return null;
+
+  const {data, errors} = await customerAccount.query(CUSTOMER_WISHLIST_QUERY, {
+    variables: {language: customerAccount.i18n.language},
+  });
+
+  if (errors?.length || !data?.customer) {
+    throw new Error(errors?.[0]?.message ?? 'Customer not found');
+  }
+
+  let value = null;
+  try {
+    value = JSON.parse(data.customer.wishlist?.value ?? 'null');
+  } catch {
+    // An invalid value is an empty wishlist, it is replaced on the next save
+  }
+
+  return {customerId: data.customer.id, items: parseWishlistItems(value)};
+}
+
+/**
+ * @param {unknown} value - Stored items
+ * @returns {WishlistItem[]}
+ */
+export function parseWishlistItems(value) {
+  if (!Array.isArray(value)) return [];
+
+  return value.flatMap((stored) => {
+    if (typeof stored !== 'string') return [];
+    const [productId, variantId] = stored.split(':');
+    if (!/^\d+$/.test(productId)) return [];
+
+    return [
+      {
+        productId: `${PRODUCT_GID_PREFIX}${productId}`,
+        variantId: /^\d+$/.test(variantId ?? '')
+          ? `${VARIANT_GID_PREFIX}${variantId}`
+          : null,
+      },
+    ];
+  });
+}
+
+/**
+ * @param {WishlistItem[]} items
+ * @returns {string[]}
+ */
+function serializeWishlistItems(items) {
+  return items.map(({productId, variantId}) => {
+    const product = productId.replace(PRODUCT_GID_PREFIX, '');
+    return variantId
+      ? `${product}:${variantId.replace(VARIANT_GID_PREFIX, '')}`
+      : product;
+  });
+}
+
+/**
+ * @param {WishlistItem[] | null | undefined} items
+ * @param {string} productId
+ */
+export function isInWishlist(items, productId) {
+  return !!items?.some((item) => item.productId === productId);
+}
+
+/**
+ * Products of the wishlist, in the wishlist order, with the saved variant or
+ * the first available one. Products no longer published are left out.
+ * @param {Storefront} storefront
+ * @param {WishlistItem[]} items
+ * @returns {Promise<WishlistProduct[]>}
+ */
+export async function getWishlistProducts(storefront, items) {
+  if (!items.length) return [];
+
+  const {products, variants} = await storefront.query(WISHLIST_PRODUCTS_QUERY, {
+    variables: {
+      productIds: items.map((item) => item.productId),
+      variantIds: items.flatMap((item) =>
+        item.variantId ? [item.variantId] : [],
+      ),
+    },
+  });
+
+  const productsById = new Map(
+    products.flatMap((node) =>
+      node && 'handle' in node ? [[node.id, node]] : [],
+    ),
+  );
+  const variantsById = new Map(
+    variants.flatMap((node) =>
+      node && 'availableForSale' in node ? [[node.id, node]] : [],
+    ),
+  );
+
+  return items.flatMap(({productId, variantId}) => {
+    const product = productsById.get(productId);
+    if (!product) return [];
+
+    const savedVariant = variantId ? variantsById.get(variantId) : null;
+    return [
+      {
+        product,
+        variant: savedVariant ?? product.selectedOrFirstAvailableVariant,
+        isSavedVariant: !!savedVariant,
+      },
+    ];
+  });
+}
+
+const WISHLIST_PRODUCTS_QUERY = `#graphql
+  fragment WishlistVariant on ProductVariant {
+    id
+    title
+    availableForSale
+    price {
+      amount
+      currencyCode
+    }
+  }
+  fragment WishlistProduct on Product {
+    id
+    handle
+    title
+    featuredImage {
+      id
+      altText
+      url
+      width
+      height
+    }
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    selectedOrFirstAvailableVariant {
+      ...WishlistVariant
+    }
+  }
+  query WishlistProducts(
+    $productIds: [ID!]!
+    $variantIds: [ID!]!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    products: nodes(ids: $productIds) {
+      ...WishlistProduct
+    }
+    variants: nodes(ids: $variantIds) {
+      ...WishlistVariant
+    }
+  }
+`;
+
+/**
+ * @typedef {{productId: string; variantId: string | null}} WishlistItem
+ * @typedef {{customerId: string; items: WishlistItem[]}} CustomerWishlist
+ * @typedef {{
+ *   product: WishlistProductFragment;
+ *   variant: WishlistVariantFragment | null | undefined;
+ *   isSavedVariant: boolean;
+ * }} WishlistProduct
+ * @typedef {ReturnType<typeof createWishlist>} Wishlist
+ */
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').CustomerAccount} CustomerAccount */
+/** @typedef {import('~/lib/session').AppSession} AppSession */
+/** @typedef {import('storefrontapi.generated').WishlistProductFragment} WishlistProductFragment */
+/** @typedef {import('storefrontapi.generated').WishlistVariantFragment} WishlistVariantFragment */
@@ -11,11 +11,23 @@ import {
   useMatches,
 } from 'react-router';
 import favicon from '~/assets/favicon.svg';
+import {getCartIncentives} from '~/lib/cartIncentives';
+import {DISCOUNT_FLASH_KEY, getDiscountToast} from '~/lib/discounts';
 import {FOOTER_QUERY, HEADER_QUERY} from '~/lib/fragments';
+import {DEFAULT_LOCALE, getLocaleFromUrl, getLocaleTag} from '~/lib/i18n';
+import {TOAST_FLASH_KEY} from '~/lib/toast';
+import {launchModeMiddleware} from '~/lib/launchMode';
 import resetStyles from '~/styles/reset.css?url';
 import appStyles from '~/styles/app.css?url';
+import {GoogleTagManager} from './components/GoogleTagManager';
 import {PageLayout} from './components/PageLayout';
 
+/**
+ * Redirects visitors away from the storefront until launch, see `launchMode`
+ * @type {Route.MiddlewareFunction[]}
+ */
+export const middleware = [launchModeMiddleware];
+
 /**
  * This is important to avoid re-fetching root queries on sub-navigations
  * @type {ShouldRevalidateFunction}
@@ -27,6 +39,14 @@ export const shouldRevalidate = ({formMethod, currentUrl, nextUrl}) => {
   // revalidate when manually revalidating via useRevalidator
   if (currentUrl.toString() === nextUrl.toString()) return true;
 
+  // revalidate when switching locale, the menus and cart are localized
+  if (
+    getLocaleFromUrl(currentUrl).pathPrefix !==
+    getLocaleFromUrl(nextUrl).pathPrefix
+  ) {
+    return true;
+  }
+
   // Defaulting to no revalidation for root loader data to improve performance.
   // When using this feature, you risk your UI getting out of sync with your server.
   // Use with caution. If you are uncomfortable with this optimization, update the
@@ -75,6 +95,15 @@ export async function loader(args) {
     ...deferredData,
     ...criticalData,
     publicStoreDomain: env.PUBLIC_STORE_DOMAIN,
+    googleTagManagerId: env.PUBLIC_GOOGLE_TAG_MANAGER_ID,
+    selectedLocale: storefront.i18n,
+    // Absolute URLs in meta tags and structured data, see ~/lib/seo
+    origin: new URL(args.request.url).origin,
+    // Flashed before a redirect, e.g. the outcome of a discount link
+    toast:
+      getDiscountToast(args.context.session.getFlash(DISCOUNT_FLASH_KEY)) ??
+      args.context.session.getFlash(TOAST_FLASH_KEY) ??
+      null,
     shop: getShopAnalytics({
       storefront,
       publicStorefrontId: env.PUBLIC_STOREFRONT_ID,
@@ -118,7 +147,7 @@ async function loadCriticalData({context}) {
  * @param {Route.LoaderArgs}
  */
 function loadDeferredData({context}) {
-  const {storefront, customerAccount, cart} = context;
+  const {storefront, customerAccount, cart, wishlist} = context;
 
   // defer the footer query (below the fold)
   const footer = storefront
@@ -135,7 +164,9 @@ function loadDeferredData({context}) {
     });
   return {
     cart: cart.get(),
+    cartIncentives: getCartIncentives(storefront),
     isLoggedIn: customerAccount.isLoggedIn(),
+    wishlist: wishlist.get(),
     footer,
   };
 }
@@ -145,9 +176,11 @@ function loadDeferredData({context}) {
  */
 export function Layout({children}) {
   const nonce = useNonce();
+  /** @type {RootLoader | undefined} */
+  const data = useRouteLoaderData('root');
 
   return (
-    <html lang="en">
+    <html lang={getLocaleTag(data?.selectedLocale ?? DEFAULT_LOCALE)}>
       <head>
         <meta charSet="utf-8" />
         <meta name="viewport" content="width=device-width,initial-scale=1" />
@@ -170,18 +203,30 @@ export default function App() {
   const data = useRouteLoaderData('root');
   const matches = useMatches();
 
-  // Check if current route is a landing page (no header/footer)
+  // Check if current route is a landing page (no header/footer), either
+  // always (`handle`) or depending on the launch mode (loader data)
   const isLandingPage = matches.some(
-    (match) => match.handle?.isLandingPage === true
+    (match) =>
+      match.handle?.isLandingPage === true ||
+      match.loaderData?.isLandingPage === true,
   );
 
   if (!data) {
     return <Outlet />;
   }
 
-  // Render landing page without PageLayout wrapper or Analytics
+  // Render landing page without PageLayout wrapper
   if (isLandingPage) {
-    return <Outlet />;
+    return (
+      <Analytics.Provider
+        cart={data.cart}
+        shop={data.shop}
+        consent={data.consent}
+      >
+        <GoogleTagManager containerId={data.googleTagManagerId} />
+        <Outlet />
+      </Analytics.Provider>
+    );
   }
 
   return (
@@ -190,6 +235,7 @@ export default function App() {
       shop={data.shop}
       consent={data.consent}
     >
+      <GoogleTagManager containerId={data.googleTagManagerId} />
       <PageLayout {...data}>
         <Outlet />
       </PageLayout>
@@ -0,0 +1,228 @@
+import {Suspense} from 'react';
+import {Await, Link, useLoaderData} from 'react-router';
+import {Image} from '@shopify/hydrogen';
+import {LandingPage} from '~/components/LandingPage';
+import {ProductItem} from '~/components/ProductItem';
+import {DEFAULT_LANDING_CONTENT, getLandingContent} from '~/lib/landingContent';
+import {hasSeenIntro} from '~/lib/landingIntro';
+import {launchModeContext} from '~/lib/launchMode';
+import {NEWSLETTER_OUTCOME_PARAM} from '~/lib/newsletter';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = ({loaderData}) => {
+  const content = loaderData?.content ?? DEFAULT_LANDING_CONTENT;
+  return [
+    {title: content.title},
+    {
+      name: 'description',
+      content: content.paragraphs[0],
+    },
+  ];
+};
+
+/**
+ * @param {Route.LoaderArgs} args
+ */
+export async function loader(args) {
+  const {hasAccess, showLandingPage, schedule} =
+    args.context.get(launchModeContext);
+
+  // Before launch, visitors without access get the pre-launch landing page.
+  // `isLandingPage` tells the layout to hide the header/footer.
+  if (showLandingPage) {
+    const {storefront, experiments} = args.context;
+    const url = new URL(args.request.url);
+    const experiment = experiments.get('landing_hero');
+
+    return {
+      isLandingPage: true,
+      content: await getLandingContent(storefront, {
+        handle: experiment?.landingPageHandle,
+      }),
+      experiment,
+      drop: schedule && {...schedule, hasAccess},
+      introSeen: hasSeenIntro(args.request),
+      newsletterOutcome: url.searchParams.get(NEWSLETTER_OUTCOME_PARAM),
+    };
+  }
+
+  // Start fetching non-critical data without blocking time to first byte
+  const deferredData = loadDeferredData(args);
+
+  // Await the critical data required to render initial state of the page
+  const criticalData = await loadCriticalData(args);
+
+  return {...deferredData, ...criticalData, isLandingPage: false};
+}
+
+/**
+ * Load data necessary for rendering content above the fold. This is the critical data
+ * needed to render the page. If it's unavailable, the whole page should 400 or 500 error.
+ * @param {Route.LoaderArgs}
+ */
+async function loadCriticalData({context}) {
+  const [{collections}] = await Promise.all([
+    context.storefront.query(FEATURED_COLLECTION_QUERY),
+    // Add other queries here, so that they are loaded in parallel
+  ]);
+
+  return {
+    featuredCollection: collections.nodes[0],
+  };
+}
+
+/**
+ * Load data for rendering content below the fold. This data is deferred and will be
+ * fetched after the initial page load. If it's unavailable, the page should still 200.
+ * Make sure to not throw any errors here, as it will cause the page to 500.
+ * @param {Route.LoaderArgs}
+ */
+function loadDeferredData({context}) {
+  const recommendedProducts = context.storefront
+    .query(RECOMMENDED_PRODUCTS_QUERY)
+    .catch((error) => {
+      // Log query errors, but don't throw them so the page can still render
+      console.error(error);
+      return null;
+    });
+
+  return {
+    recommendedProducts,
+  };
+}
+
+export default function Homepage() {
+  /** @type {LoaderReturnData} */
+  const data = useLoaderData();
+
+  if (data.isLandingPage) {
+    return (
+      <LandingPage
+        content={data.content}
+        variant={data.experiment?.variant}
+        experiment={data.experiment}
+        drop={data.drop}
+        introSeen={data.introSeen}
+        newsletterOutcome={data.newsletterOutcome}
+      />
+    );
+  }
+
+  return (
+    <div className="home">
+      <FeaturedCollection collection={data.featuredCollection} />
+      <RecommendedProducts products={data.recommendedProducts} />
+    </div>
+  );
+}
+
+/**
+ * @param {{
+ *   collection: FeaturedCollectionFragment;
+ * }}
+ */
+function FeaturedCollection({collection}) {
+  const locale = useSelectedLocale();
+  if (!collection) return null;
+  const image = collection?.image;
+  return (
+    <Link
+      className="featured-collection"
+      to={localizePath(`/collections/${collection.handle}`, locale)}
+    >
+      {image && (
+        <div className="featured-collection-image">
+          <Image data={image} sizes="100vw" />
+        </div>
+      )}
+      <h1>{collection.title}</h1>
+    </Link>
+  );
+}
+
+/**
+ * @param {{
+ *   products: Promise<RecommendedProductsQuery | null>;
+ * }}
+ */
+function RecommendedProducts({products}) {
+  return (
+    <div className="recommended-products">
+      <h2>Recommended Products</h2>
+      <Suspense fallback={<div>Loading...</div>}>
+        <Await resolve={products}>
+          {(response) => (
+            <div className="recommended-products-grid">
+              {response
+                ? response.products.nodes.map((product) => (
+                    <ProductItem key={product.id} product={product} />
+                  ))
+                : null}
+            </div>
+          )}
+        </Await>
+      </Suspense>
+      <br />
+    </div>
+  );
+}
+
+const FEATURED_COLLECTION_QUERY = `#graphql
+  fragment FeaturedCollection on Collection {
+    id
+    title
+    image {
+      id
+      url
+      altText
+      width
+      height
+    }
+    handle
+  }
+  query FeaturedCollection($country: CountryCode, $language: LanguageCode)
+    @inContext(country: $country, language: $language) {
+    collections(first: 1, sortKey: UPDATED_AT, reverse: true) {
+      nodes {
+        ...FeaturedCollection
+      }
+    }
+  }
+`;
+
+const RECOMMENDED_PRODUCTS_QUERY = `#graphql
+  fragment RecommendedProduct on Product {
+    id
+    title
+    handle
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    featuredImage {
+      id
+      url
+      altText
+      width
+      height
+    }
+  }
+  query RecommendedProducts ($country: CountryCode, $language: LanguageCode)
+    @inContext(country: $country, language: $language) {
+    products(first: 4, sortKey: UPDATED_AT, reverse: true) {
+      nodes {
+        ...RecommendedProduct
+      }
+    }
+  }
+`;
+
+/** @typedef {import('./+types/($locale)._index').Route} Route */
+/** @typedef {import('storefrontapi.generated').FeaturedCollectionFragment} FeaturedCollectionFragment */
+/** @typedef {import('storefrontapi.generated').RecommendedProductsQuery} RecommendedProductsQuery */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
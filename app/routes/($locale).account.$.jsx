@@ -1,4 +1,5 @@
 import {redirect} from 'react-router';
+import {localizePath} from '~/lib/i18n';
 
 // fallback wild card for all unauthenticated routes in account section
 /**
@@ -7,8 +8,8 @@ import {redirect} from 'react-router';
 export async function loader({context}) {
   context.customerAccount.handleAuthStatus();
 
-  return redirect('/account');
+  return redirect(localizePath('/account', context.storefront.i18n));
 }
 
-/** @typedef {import('./+types/account.$').Route} Route */
+/** @typedef {import('./+types/($locale).account.$').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -6,6 +6,7 @@ import {
   useLoaderData,
 } from 'react-router';
 import {CUSTOMER_DETAILS_QUERY} from '~/graphql/customer-account/CustomerDetailsQuery';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 export function shouldRevalidate() {
   return true;
@@ -59,6 +60,7 @@ export default function AccountLayout() {
 }
 
 function AccountMenu() {
+  const locale = useSelectedLocale();
   function isActiveStyle({isActive, isPending}) {
     return {
       fontWeight: isActive ? 'bold' : undefined,
@@ -68,30 +70,51 @@ function AccountMenu() {
 
   return (
     <nav role="navigation">
-      <NavLink to="/account/orders" style={isActiveStyle}>
+      <NavLink
+        to={localizePath('/account/orders', locale)}
+        style={isActiveStyle}
+      >
         Orders &nbsp;
       </NavLink>
       &nbsp;|&nbsp;
-      <NavLink to="/account/profile" style={isActiveStyle}>
+      <NavLink
+        to={localizePath('/account/profile', locale)}
+        style={isActiveStyle}
+      >
         &nbsp; Profile &nbsp;
       </NavLink>
       &nbsp;|&nbsp;
-      <NavLink to="/account/addresses" style={isActiveStyle}>
+      <NavLink
+        to={localizePath('/account/addresses', locale)}
+        style={isActiveStyle}
+      >
         &nbsp; Addresses &nbsp;
       </NavLink>
       &nbsp;|&nbsp;
+      <NavLink
+        to={localizePath('/account/wishlist', locale)}
+        style={isActiveStyle}
+      >
+        &nbsp; Wishlist &nbsp;
+      </NavLink>
+      &nbsp;|&nbsp;
       <Logout />
     </nav>
   );
 }
 
 function Logout() {
+  const locale = useSelectedLocale();
   return (
-    <Form className="account-logout" method="POST" action="/account/logout">
+    <Form
+      className="account-logout"
+      method="POST"
+      action={localizePath('/account/logout', locale)}
+    >
       &nbsp;<button type="submit">Sign out</button>
     </Form>
   );
 }
 
-/** @typedef {import('./+types/account').Route} Route */
+/** @typedef {import('./+types/($locale).account').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,6 +1,7 @@
 import {redirect, useLoaderData} from 'react-router';
 import {Money, Image} from '@shopify/hydrogen';
 import {CUSTOMER_ORDER_QUERY} from '~/graphql/customer-account/CustomerOrderQuery';
+import {localizePath} from '~/lib/i18n';
 
 /**
  * @type {Route.MetaFunction}
@@ -13,9 +14,9 @@ export const meta = ({data}) => {
  * @param {Route.LoaderArgs}
  */
 export async function loader({params, context}) {
-  const {customerAccount} = context;
+  const {customerAccount, storefront} = context;
   if (!params.id) {
-    return redirect('/account/orders');
+    return redirect(localizePath('/account/orders', storefront.i18n));
   }
 
   const orderId = atob(params.id);
@@ -201,6 +202,12 @@ function OrderLineRow({lineItem}) {
           <div>
             <p>{lineItem.title}</p>
             <small>{lineItem.variantTitle}</small>
+            {lineItem.sellingPlan && (
+              <>
+                <br />
+                <small>{lineItem.sellingPlan.name}</small>
+              </>
+            )}
           </div>
         </div>
       </td>
@@ -215,7 +222,7 @@ function OrderLineRow({lineItem}) {
   );
 }
 
-/** @typedef {import('./+types/account.orders.$id').Route} Route */
+/** @typedef {import('./+types/($locale).account.orders.$id').Route} Route */
 /** @typedef {import('customer-accountapi.generated').OrderLineItemFullFragment} OrderLineItemFullFragment */
 /** @typedef {import('customer-accountapi.generated').OrderQuery} OrderQuery */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
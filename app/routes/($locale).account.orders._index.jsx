@@ -17,6 +17,7 @@ import {
 } from '~/lib/orderFilters';
 import {CUSTOMER_ORDERS_QUERY} from '~/graphql/customer-account/CustomerOrdersQuery';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @type {Route.MetaFunction}
@@ -78,7 +79,7 @@ function OrdersTable({orders, filters}) {
   return (
     <div className="acccount-orders" aria-live="polite">
       {orders?.nodes.length ? (
-        <PaginatedResourceSection connection={orders}>
+        <PaginatedResourceSection connection={orders} mode="pages">
           {({node: order}) => <OrderItem key={order.id} order={order} />}
         </PaginatedResourceSection>
       ) : (
@@ -92,6 +93,7 @@ function OrdersTable({orders, filters}) {
  * @param {{hasFilters?: boolean}}
  */
 function EmptyOrders({hasFilters = false}) {
+  const locale = useSelectedLocale();
   return (
     <div>
       {hasFilters ? (
@@ -99,7 +101,9 @@ function EmptyOrders({hasFilters = false}) {
           <p>No orders found matching your search.</p>
           <br />
           <p>
-            <Link to="/account/orders">Clear filters →</Link>
+            <Link to={localizePath('/account/orders', locale)}>
+              Clear filters →
+            </Link>
           </p>
         </>
       ) : (
@@ -107,7 +111,9 @@ function EmptyOrders({hasFilters = false}) {
           <p>You haven&apos;t placed any orders yet.</p>
           <br />
           <p>
-            <Link to="/collections">Start Shopping →</Link>
+            <Link to={localizePath('/collections', locale)}>
+              Start Shopping →
+            </Link>
           </p>
         </>
       )}
@@ -203,11 +209,12 @@ function OrderSearchForm({currentFilters}) {
  * @param {{order: OrderItemFragment}}
  */
 function OrderItem({order}) {
+  const locale = useSelectedLocale();
   const fulfillmentStatus = flattenConnection(order.fulfillments)[0]?.status;
   return (
     <>
       <fieldset>
-        <Link to={`/account/orders/${btoa(order.id)}`}>
+        <Link to={localizePath(`/account/orders/${btoa(order.id)}`, locale)}>
           <strong>#{order.number}</strong>
         </Link>
         <p>{new Date(order.processedAt).toDateString()}</p>
@@ -217,7 +224,9 @@ function OrderItem({order}) {
         <p>{order.financialStatus}</p>
         {fulfillmentStatus && <p>{fulfillmentStatus}</p>}
         <Money data={order.totalPrice} />
-        <Link to={`/account/orders/${btoa(order.id)}`}>View Order →</Link>
+        <Link to={localizePath(`/account/orders/${btoa(order.id)}`, locale)}>
+          View Order →
+        </Link>
       </fieldset>
       <br />
     </>
@@ -231,7 +240,7 @@ function OrderItem({order}) {
  * }} OrdersLoaderData
  */
 
-/** @typedef {import('./+types/account.orders._index').Route} Route */
+/** @typedef {import('./+types/($locale).account.orders._index').Route} Route */
 /** @typedef {import('~/lib/orderFilters').OrderFilterParams} OrderFilterParams */
 /** @typedef {import('customer-accountapi.generated').CustomerOrdersFragment} CustomerOrdersFragment */
 /** @typedef {import('customer-accountapi.generated').OrderItemFragment} OrderItemFragment */
@@ -0,0 +1,38 @@
+import {useLoaderData} from 'react-router';
+import {WishlistProducts} from '~/components/Wishlist';
+import {getWishlistProducts} from '~/lib/wishlist';
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [{title: 'Wishlist'}];
+};
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  const {customerAccount, storefront, wishlist} = context;
+  await customerAccount.handleAuthStatus();
+
+  return {
+    products: await getWishlistProducts(storefront, await wishlist.get()),
+  };
+}
+
+export default function AccountWishlist() {
+  /** @type {LoaderReturnData} */
+  const {products} = useLoaderData();
+
+  return (
+    <div className="account-wishlist">
+      <h2>Wishlist</h2>
+      <br />
+      <WishlistProducts products={products} />
+    </div>
+  );
+}
+
+/** @typedef {import('./+types/($locale).account.wishlist').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,16 @@
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  const response = await context.customerAccount.authorize();
+
+  // Keep what was saved before signing in, without failing the login
+  await context.wishlist.mergeGuestItems().catch((error) => {
+    console.error('Wishlist merge error:', error);
+  });
+
+  return response;
+}
+
+/** @typedef {import('./+types/($locale).account_.authorize').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,65 @@
+import {errorResponse, jsonResponse} from '~/lib/apiResponse';
+import {localizePath} from '~/lib/i18n';
+import {
+  createPreviewToken,
+  getSameOriginPath,
+  PREVIEW_PARAM,
+  PREVIEW_TOKEN_TTL,
+} from '~/lib/launchMode';
+
+/**
+ * Staff Preview Link API Route
+ *
+ * Creates a signed link that gives access to the full storefront while the
+ * launch mode is `teaser` or `password`. Anyone holding the link gets access
+ * until it expires, so only share it with staff.
+ *
+ * Set up:
+ *   - LAUNCH_PREVIEW_KEY=a long random string, in .env
+ *
+ * @example
+ * ```sh
+ * curl -H "Authorization: Bearer $LAUNCH_PREVIEW_KEY" \
+ *   "https://<storefront domain>/api/launch-preview?path=/collections/all"
+ * ```
+ */
+
+/**
+ * @param {Route.LoaderArgs} args
+ */
+export async function loader({request, context}) {
+  const {env, storefront} = context;
+  const authorization = request.headers.get('Authorization');
+
+  if (
+    !env.LAUNCH_PREVIEW_KEY ||
+    authorization !== `Bearer ${env.LAUNCH_PREVIEW_KEY}`
+  ) {
+    return errorResponse(
+      {code: 'unauthorized', message: 'Invalid preview key.'},
+      401,
+    );
+  }
+
+  const url = new URL(request.url);
+  const path = getSameOriginPath(
+    url.searchParams.get('path') ?? '/',
+    url.origin,
+  );
+  const previewUrl = new URL(
+    localizePath(path ?? '/', storefront.i18n),
+    url.origin,
+  );
+  previewUrl.searchParams.set(PREVIEW_PARAM, await createPreviewToken(env));
+
+  return jsonResponse(
+    {
+      url: previewUrl.toString(),
+      expiresAt: new Date(Date.now() + PREVIEW_TOKEN_TTL * 1000).toISOString(),
+    },
+    200,
+    {'Cache-Control': 'no-store'},
+  );
+}
+
+/** @typedef {import('./+types/($locale).api.launch-preview').Route} Route */
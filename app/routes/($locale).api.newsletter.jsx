@@ -0,0 +1,194 @@
+import {redirect} from 'react-router';
+import {
+  errorResponse,
+  jsonResponse,
+  rateLimitedResponse,
+  rejectCrossOrigin,
+} from '~/lib/apiResponse';
+import {getSignupSource, sanitizeAttribution} from '~/lib/attribution';
+import {validateEmail} from '~/lib/emailValidation';
+import {localizePath} from '~/lib/i18n';
+import {
+  createConfirmationToken,
+  getNewsletterOptInMode,
+  NEWSLETTER_HONEYPOT_FIELD,
+  NEWSLETTER_OUTCOME_PARAM,
+  withEarlyAccessUrl,
+} from '~/lib/newsletter';
+import {getClientIp, hashRateLimitKey} from '~/lib/rateLimit';
+
+/**
+ * Newsletter Signup API Route
+ *
+ * Subscriptions go through the email-marketing provider in `context.newsletter`
+ * (see `~/lib/newsletterProviders` for the available providers and their setup).
+ *
+ * The opt-in mode is chosen from the visitor's country (see `getNewsletterOptInMode`):
+ *   - single: the profile is subscribed immediately.
+ *   - double: a pending subscription is recorded and a signed confirmation link
+ *     is sent. The subscription is finalized by /api/newsletter/confirm/:token.
+ *
+ * The optional `attribution` payload (UTM parameters, referrer, landing variant)
+ * is forwarded with the visitor's locale as subscriber properties, and summarized
+ * in the subscriber's custom source.
+ *
+ * Requests are rejected with a structured JSON error
+ * `{error: {code, message, field?}}` when the email is invalid or disposable,
+ * the request comes from another origin, or the per-IP / per-email rate limit
+ * is exceeded. Submissions filling the honeypot field get a fake success.
+ *
+ * The landing page form also works without JavaScript: native form posts are
+ * redirected back to the landing page with the outcome in `?newsletter=`,
+ * either `success`, `pending` or the error code.
+ *
+ * Set up in .env:
+ *   - NEWSLETTER_DOUBLE_OPT_IN_COUNTRIES=DE,FR,... (optional, defaults to EU/EEA, GB and CH)
+ */
+
+/** 5 signups per IP, then one more every minute */
+const IP_RATE_LIMIT = {capacity: 5, refillInterval: 60};
+/** 3 attempts per email, then one more every 10 minutes */
+const EMAIL_RATE_LIMIT = {capacity: 3, refillInterval: 600};
+
+/**
+ * @param {Route.ActionArgs} args
+ */
+export async function action(args) {
+  const response = await subscribe(args);
+
+  if (!isFormSubmission(args.request) || response.status === 405) {
+    return response;
+  }
+
+  const result = await response.json().catch(() => ({}));
+  const outcome =
+    result.error?.code ?? (result.pending ? 'pending' : 'success');
+  const params = new URLSearchParams({[NEWSLETTER_OUTCOME_PARAM]: outcome});
+
+  return redirect(localizePath(`/?${params}`, args.context.storefront.i18n));
+}
+
+/**
+ * @param {Route.ActionArgs}
+ */
+async function subscribe({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', {status: 405});
+  }
+
+  const crossOriginResponse = rejectCrossOrigin(request);
+  if (crossOriginResponse) return crossOriginResponse;
+
+  const {env, storefront, newsletter, rateLimiter} = context;
+
+  const ipLimit = await rateLimiter.consume(
+    `newsletter:ip:${getClientIp(request)}`,
+    IP_RATE_LIMIT,
+  );
+  if (!ipLimit.allowed) {
+    return rateLimitedResponse(ipLimit.retryAfter);
+  }
+
+  let body;
+  try {
+    body = isFormSubmission(request)
+      ? Object.fromEntries(await request.formData())
+      : await request.json();
+  } catch {
+    return errorResponse(
+      {code: 'invalid_request', message: 'Invalid request.'},
+      400,
+    );
+  }
+
+  // Bots fill every field, humans never see this one
+  if (body?.[NEWSLETTER_HONEYPOT_FIELD]) {
+    return jsonResponse({success: true});
+  }
+
+  const validation = validateEmail(body?.email);
+  if (!validation.valid) {
+    const {code, message} = validation;
+    return errorResponse({code, message, field: 'email'}, 400);
+  }
+
+  const {email} = validation;
+
+  const emailLimit = await rateLimiter.consume(
+    `newsletter:email:${await hashRateLimitKey(email)}`,
+    EMAIL_RATE_LIMIT,
+  );
+  if (!emailLimit.allowed) {
+    return rateLimitedResponse(emailLimit.retryAfter);
+  }
+
+  const {i18n} = storefront;
+  const attribution = sanitizeAttribution(body.attribution);
+  const subscriber = {
+    email,
+    properties: {
+      ...attribution,
+      locale: `${i18n.language}-${i18n.country}`.toLowerCase(),
+    },
+    source: getSignupSource(attribution),
+  };
+
+  try {
+    const mode = getNewsletterOptInMode({i18n, env});
+
+    if (mode === 'double') {
+      const token = await createConfirmationToken(subscriber, env);
+      const confirmationUrl = new URL(
+        localizePath(`/api/newsletter/confirm/${token}`, i18n),
+        request.url,
+      ).toString();
+
+      await newsletter.requestConfirmation(subscriber, confirmationUrl);
+
+      return jsonResponse({success: true, pending: true});
+    }
+
+    await newsletter.subscribe(
+      await withEarlyAccessUrl(subscriber, {env, origin: request.url, i18n}),
+    );
+
+    return jsonResponse({success: true});
+  } catch (error) {
+    console.error('Newsletter signup error:', error);
+    return errorResponse(
+      {
+        code: 'subscribe_failed',
+        message: 'Something went wrong. Please try again.',
+      },
+      500,
+    );
+  }
+}
+
+/**
+ * @param {Request} request
+ */
+function isFormSubmission(request) {
+  const contentType = request.headers.get('Content-Type') ?? '';
+  return (
+    contentType.startsWith('application/x-www-form-urlencoded') ||
+    contentType.startsWith('multipart/form-data')
+  );
+}
+
+/**
+ * @typedef {{
+ *   code:
+ *     | 'email_required'
+ *     | 'invalid_email'
+ *     | 'disposable_email'
+ *     | 'invalid_request'
+ *     | 'forbidden_origin'
+ *     | 'rate_limited'
+ *     | 'subscribe_failed';
+ *   message: string;
+ *   field?: 'email';
+ * }} NewsletterError
+ */
+
+/** @typedef {import('./+types/($locale).api.newsletter').Route} Route */
@@ -0,0 +1,153 @@
+import {
+  data,
+  Form,
+  Link,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from 'react-router';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {readConfirmationToken, withEarlyAccessUrl} from '~/lib/newsletter';
+
+/**
+ * Finalizes a double opt-in newsletter subscription.
+ * The token is created by the /api/newsletter action and emailed to the subscriber.
+ * Opening the link only shows a confirm button, the subscription is created
+ * by its POST: email link scanners (e.g. Outlook Safe Links) and prefetchers
+ * open the link without the subscriber.
+ *
+ * @example
+ * ```js
+ * /api/newsletter/confirm/eyJwdXJwb3NlIjoibmV3c2xldHRlci1jb25maXJtIn0.c2lnbmF0dXJl
+ * ```
+ */
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Rani Mode | Confirm subscription'},
+    {name: 'robots', content: 'noindex'},
+  ];
+};
+
+/**
+ * Render without the header/footer, like the landing page
+ */
+export const handle = {
+  isLandingPage: true,
+};
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({params, context}) {
+  const subscriber = await readConfirmationToken(params.token, context.env);
+
+  if (!subscriber) {
+    return data({status: 'invalid', email: null}, {status: 400});
+  }
+
+  return {status: 'pending', email: subscriber.email};
+}
+
+/**
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, params, context}) {
+  const {env, newsletter, storefront} = context;
+  const subscriber = await readConfirmationToken(params.token, env);
+
+  if (!subscriber) {
+    return data({status: 'invalid', email: null}, {status: 400});
+  }
+
+  try {
+    await newsletter.subscribe(
+      await withEarlyAccessUrl(subscriber, {
+        env,
+        origin: request.url,
+        i18n: storefront.i18n,
+      }),
+    );
+  } catch (error) {
+    console.error('Newsletter confirmation error:', error);
+    return data({status: 'error', email: subscriber.email}, {status: 500});
+  }
+
+  return {status: 'confirmed', email: subscriber.email};
+}
+
+export default function NewsletterConfirm() {
+  /** @type {LoaderReturnData} */
+  const loaderData = useLoaderData();
+  /** @type {ActionReturnData | undefined} */
+  const actionData = useActionData();
+  const {status, email} = actionData ?? loaderData;
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === 'submitting';
+  const locale = useSelectedLocale();
+
+  return (
+    <div className="w-full min-h-screen bg-[#F5F0E8] text-[#1a1a1a] flex items-center justify-center p-8">
+      <div className="w-full max-w-[480px] border border-[#722F37] bg-white p-6 text-center">
+        <h1
+          className="text-2xl font-bold mb-6 uppercase text-[#1a1a1a]"
+          style={{fontFamily: 'Georgia, serif'}}
+        >
+          Rani Mode
+        </h1>
+        {status === 'pending' && (
+          <Form method="post">
+            <p className="text-sm text-[#1a1a1a]/70 leading-relaxed mb-2">
+              Confirm that you want to receive our news and offers at
+            </p>
+            <p className="text-sm font-medium mb-6">{email}</p>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full px-6 py-3 bg-[#722F37] text-white text-sm font-medium tracking-wider uppercase disabled:opacity-60"
+            >
+              {isSubmitting ? 'Confirming…' : 'Confirm subscription'}
+            </button>
+          </Form>
+        )}
+        {status === 'confirmed' && (
+          <>
+            <p className="text-lg font-medium mb-3">
+              You&rsquo;re on the list!
+            </p>
+            <p className="text-sm font-medium mb-2">{email}</p>
+            <p className="text-sm text-[#1a1a1a]/70 leading-relaxed">
+              Thank you for confirming your subscription. We&rsquo;ll keep you
+              updated with exciting news and offers.
+            </p>
+          </>
+        )}
+        {status === 'invalid' && (
+          <p className="text-sm text-[#1a1a1a]/70 leading-relaxed">
+            This confirmation link is invalid or has expired. Please sign up
+            again to receive a new link.
+          </p>
+        )}
+        {status === 'error' && (
+          <p className="text-sm text-red-700 leading-relaxed">
+            Something went wrong while confirming your subscription. Please try
+            again later.
+          </p>
+        )}
+        <Link
+          to={localizePath('/', locale)}
+          className="inline-block mt-6 text-sm font-medium tracking-wider uppercase text-[#722F37]"
+        >
+          Back to Rani Mode
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+/** @typedef {import('./+types/($locale).api.newsletter_.confirm.$token').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
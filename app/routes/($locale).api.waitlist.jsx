@@ -0,0 +1,174 @@
+import {
+  errorResponse,
+  jsonResponse,
+  rateLimitedResponse,
+  rejectCrossOrigin,
+} from '~/lib/apiResponse';
+import {validateEmail} from '~/lib/emailValidation';
+import {NEWSLETTER_HONEYPOT_FIELD} from '~/lib/newsletter';
+import {getClientIp} from '~/lib/rateLimit';
+
+/**
+ * Back-in-stock Waitlist API Route
+ *
+ * Adds a shopper to the waitlist of a sold-out variant through the
+ * email-marketing provider in `context.newsletter`. The variant GID and the
+ * shopper's market are stored with the waitlist entry. Shoppers are notified
+ * by /api/webhooks/inventory when the variant is restocked.
+ *
+ * Expects a JSON body `{email, variantId}` and answers with `{success: true}`
+ * or a structured error `{error: {code, message, field?}}`.
+ */
+
+/** 5 waitlist signups per IP, then one more every minute */
+const IP_RATE_LIMIT = {capacity: 5, refillInterval: 60};
+
+const VARIANT_GID_REGEX = /^gid:\/\/shopify\/ProductVariant\/\d+$/;
+
+/**
+ * @param {Route.ActionArgs} args
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', {status: 405});
+  }
+
+  const crossOriginResponse = rejectCrossOrigin(request);
+  if (crossOriginResponse) return crossOriginResponse;
+
+  const {storefront, newsletter, rateLimiter} = context;
+
+  if (!newsletter.joinWaitlist) {
+    return errorResponse(
+      {
+        code: 'waitlist_unavailable',
+        message: 'Restock notifications are not available right now.',
+      },
+      501,
+    );
+  }
+
+  const ipLimit = await rateLimiter.consume(
+    `waitlist:ip:${getClientIp(request)}`,
+    IP_RATE_LIMIT,
+  );
+  if (!ipLimit.allowed) {
+    return rateLimitedResponse(ipLimit.retryAfter);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(
+      {code: 'invalid_request', message: 'Invalid request.'},
+      400,
+    );
+  }
+
+  // Bots fill every field, humans never see this one
+  if (body?.[NEWSLETTER_HONEYPOT_FIELD]) {
+    return jsonResponse({success: true});
+  }
+
+  const validation = validateEmail(body?.email);
+  if (!validation.valid) {
+    const {code, message} = validation;
+    return errorResponse({code, message, field: 'email'}, 400);
+  }
+
+  const {variantId} = body;
+  if (typeof variantId !== 'string' || !VARIANT_GID_REGEX.test(variantId)) {
+    return errorResponse(
+      {code: 'invalid_request', message: 'Invalid request.'},
+      400,
+    );
+  }
+
+  let variant;
+  try {
+    ({node: variant} = await storefront.query(WAITLIST_VARIANT_QUERY, {
+      variables: {id: variantId},
+    }));
+  } catch (error) {
+    console.error('Waitlist variant query error:', error);
+    return errorResponse(
+      {
+        code: 'subscribe_failed',
+        message: 'Something went wrong. Please try again.',
+      },
+      500,
+    );
+  }
+
+  if (!variant?.id) {
+    return errorResponse(
+      {code: 'variant_not_found', message: 'This product is unavailable.'},
+      404,
+    );
+  }
+
+  if (variant.availableForSale) {
+    return errorResponse(
+      {
+        code: 'variant_available',
+        message: 'Good news, this item is back in stock.',
+      },
+      409,
+    );
+  }
+
+  const {i18n} = storefront;
+
+  try {
+    await newsletter.joinWaitlist(
+      {
+        email: validation.email,
+        properties: {
+          locale: `${i18n.language}-${i18n.country}`.toLowerCase(),
+        },
+        source: 'Back in stock waitlist',
+      },
+      {
+        variantId: variant.id,
+        market: i18n.country,
+        productHandle: variant.product.handle,
+        productTitle: variant.product.title,
+        variantTitle: variant.title,
+      },
+    );
+
+    return jsonResponse({success: true});
+  } catch (error) {
+    console.error('Waitlist signup error:', error);
+    return errorResponse(
+      {
+        code: 'subscribe_failed',
+        message: 'Something went wrong. Please try again.',
+      },
+      500,
+    );
+  }
+}
+
+const WAITLIST_VARIANT_QUERY = `#graphql
+  query WaitlistVariant(
+    $id: ID!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    node(id: $id) {
+      ... on ProductVariant {
+        id
+        title
+        availableForSale
+        product {
+          handle
+          title
+        }
+      }
+    }
+  }
+`;
+
+/** @typedef {import('./+types/($locale).api.waitlist').Route} Route */
@@ -1,12 +1,41 @@
 import {useLoaderData} from 'react-router';
 import {Image} from '@shopify/hydrogen';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {
+  getAbsoluteUrl,
+  getBlogPostingJsonLd,
+  getBreadcrumbJsonLd,
+  getShopUrl,
+  getSeoMeta,
+} from '~/lib/seo';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.article.title ?? ''} article`}];
+export const meta = ({data, matches}) => {
+  if (!data?.article) return [{title: 'Hydrogen | Article'}];
+
+  const {article, blog} = data;
+  const shopUrl = getShopUrl(matches);
+  const blogPath = `/blogs/${blog.handle}`;
+  const path = `${blogPath}/${article.handle}`;
+  const url = getAbsoluteUrl(shopUrl, path);
+
+  return getSeoMeta({
+    title: `Hydrogen | ${article.seo?.title || article.title} article`,
+    description: article.seo?.description,
+    url,
+    image: article.image,
+    type: 'article',
+    jsonLd: [
+      getBlogPostingJsonLd(article, {url}),
+      getBreadcrumbJsonLd(shopUrl, [
+        {name: 'Blogs', path: '/blogs'},
+        {name: blog.title, path: blogPath},
+        {name: article.title, path},
+      ]),
+    ],
+  });
 };
 
 /**
@@ -57,9 +86,9 @@ async function loadCriticalData({context, request, params}) {
     },
   );
 
-  const article = blog.articleByHandle;
+  const {articleByHandle: article, ...blogDetails} = blog;
 
-  return {article};
+  return {article, blog: blogDetails};
 }
 
 /**
@@ -112,6 +141,7 @@ const ARTICLE_QUERY = `#graphql
   ) @inContext(language: $language, country: $country) {
     blog(handle: $blogHandle) {
       handle
+      title
       articleByHandle(handle: $articleHandle) {
         handle
         title
@@ -136,5 +166,5 @@ const ARTICLE_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/blogs.$blogHandle.$articleHandle').Route} Route */
+/** @typedef {import('./+types/($locale).blogs.$blogHandle.$articleHandle').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
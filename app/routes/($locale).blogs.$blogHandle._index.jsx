@@ -2,12 +2,35 @@ import {Link, useLoaderData} from 'react-router';
 import {Image, getPaginationVariables} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {
+  getAbsoluteUrl,
+  getBreadcrumbJsonLd,
+  getShopUrl,
+  getSeoMeta,
+} from '~/lib/seo';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.blog.title ?? ''} blog`}];
+export const meta = ({data, matches}) => {
+  if (!data?.blog) return [{title: 'Hydrogen | Blog'}];
+
+  const {blog} = data;
+  const shopUrl = getShopUrl(matches);
+  const path = `/blogs/${blog.handle}`;
+
+  return getSeoMeta({
+    title: `Hydrogen | ${blog.seo?.title || blog.title} blog`,
+    description: blog.seo?.description,
+    url: getAbsoluteUrl(shopUrl, path),
+    jsonLd: [
+      getBreadcrumbJsonLd(shopUrl, [
+        {name: 'Blogs', path: '/blogs'},
+        {name: blog.title, path},
+      ]),
+    ],
+  });
 };
 
 /**
@@ -96,6 +119,7 @@ export default function Blog() {
  * }}
  */
 function ArticleItem({article, loading}) {
+  const locale = useSelectedLocale();
   const publishedAt = new Intl.DateTimeFormat('en-US', {
     year: 'numeric',
     month: 'long',
@@ -103,7 +127,12 @@ function ArticleItem({article, loading}) {
   }).format(new Date(article.publishedAt));
   return (
     <div className="blog-article" key={article.id}>
-      <Link to={`/blogs/${article.blog.handle}/${article.handle}`}>
+      <Link
+        to={localizePath(
+          `/blogs/${article.blog.handle}/${article.handle}`,
+          locale,
+        )}
+      >
         {article.image && (
           <div className="blog-article-image">
             <Image
@@ -181,6 +210,6 @@ const BLOGS_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/blogs.$blogHandle._index').Route} Route */
+/** @typedef {import('./+types/($locale).blogs.$blogHandle._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').ArticleItemFragment} ArticleItemFragment */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,12 +1,25 @@
 import {Link, useLoaderData} from 'react-router';
 import {getPaginationVariables} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
+import {
+  getAbsoluteUrl,
+  getBreadcrumbJsonLd,
+  getShopUrl,
+  getSeoMeta,
+} from '~/lib/seo';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = () => {
-  return [{title: `Hydrogen | Blogs`}];
+export const meta = ({matches}) => {
+  const shopUrl = getShopUrl(matches);
+
+  return getSeoMeta({
+    title: `Hydrogen | Blogs`,
+    url: getAbsoluteUrl(shopUrl, '/blogs'),
+    jsonLd: [getBreadcrumbJsonLd(shopUrl, [{name: 'Blogs', path: '/blogs'}])],
+  });
 };
 
 /**
@@ -55,6 +68,7 @@ function loadDeferredData({context}) {
 }
 
 export default function Blogs() {
+  const locale = useSelectedLocale();
   /** @type {LoaderReturnData} */
   const {blogs} = useLoaderData();
 
@@ -68,7 +82,7 @@ export default function Blogs() {
               className="blog"
               key={blog.handle}
               prefetch="intent"
-              to={`/blogs/${blog.handle}`}
+              to={localizePath(`/blogs/${blog.handle}`, locale)}
             >
               <h2>{blog.title}</h2>
             </Link>
@@ -115,6 +129,6 @@ const BLOGS_QUERY = `#graphql
 
 /** @typedef {BlogsQuery['blogs']['nodes'][0]} BlogNode */
 
-/** @typedef {import('./+types/blogs._index').Route} Route */
+/** @typedef {import('./+types/($locale).blogs._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').BlogsQuery} BlogsQuery */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,78 @@
+import {redirect} from 'react-router';
+import {getCartIncentives, syncGiftLines} from '~/lib/cartIncentives';
+import {parseCartPermalink} from '~/lib/cartPermalink';
+import {localizePath} from '~/lib/i18n';
+
+/**
+ * Automatically creates a new cart based on the URL and redirects straight to checkout.
+ * Expected URL structure:
+ * ```js
+ * /cart/<variant_id>:<quantity>
+ * /cart/<variant_id>:<quantity>:<selling_plan_id>
+ * /cart/<variant_id>:<quantity>;<attribute_key>=<attribute_value>
+ *
+ * ```
+ *
+ * More than one line separated by a comma, can be supplied in the URL, for
+ * carts with more than one product variant. See `~/lib/cartPermalink` for the
+ * full syntax and the supported options.
+ *
+ * @example
+ * Example path creating a cart with two product variants, different quantities, two discount codes
+ * and a note, landing on the cart page instead of checkout:
+ * ```js
+ * /cart/41007289663544:1,41007289696312:2?discount=HYDROBOARD,WELCOME&note=Gift&redirect=cart
+ *
+ * ```
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const {cart, storefront} = context;
+  const permalink = parseCartPermalink(new URL(request.url));
+
+  if (!permalink.valid) {
+    throw new Response(permalink.message, {status: 400});
+  }
+
+  const {lines, discountCodes, note, attributes, redirectTo} = permalink;
+
+  // create a cart
+  const result = await cart.create({
+    lines,
+    discountCodes,
+    note,
+    attributes,
+  });
+
+  const cartResult = result.cart;
+
+  if (result.errors?.length || !cartResult) {
+    throw new Response('Link may be expired. Try checking the URL.', {
+      status: 410,
+    });
+  }
+
+  // Add the gifts with purchase the new cart is eligible for
+  await syncGiftLines(cart, await getCartIncentives(storefront));
+
+  // Update cart id in cookie
+  const headers = cart.setCartId(cartResult.id);
+
+  if (redirectTo === 'cart') {
+    return redirect(localizePath('/cart', storefront.i18n), {headers});
+  }
+
+  // redirect to checkout
+  if (cartResult.checkoutUrl) {
+    return redirect(cartResult.checkoutUrl, {headers});
+  } else {
+    throw new Error('No checkout URL found');
+  }
+}
+
+export default function Component() {
+  return null;
+}
+
+/** @typedef {import('./+types/($locale).cart.$lines').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
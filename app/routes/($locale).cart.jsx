@@ -0,0 +1,218 @@
+import {useLoaderData, data} from 'react-router';
+import {CartForm} from '@shopify/hydrogen';
+import {CartMain} from '~/components/CartMain';
+import {
+  GIFT_WRAP_ATTRIBUTE,
+  MAX_NOTE_LENGTH,
+  getGiftOptionsAttributes,
+  mergeAttributes,
+  syncGiftWrapLine,
+} from '~/lib/cartAttributes';
+import {getCartFeedback, getDiscountStatusFeedback} from '~/lib/cartFeedback';
+import {getCartIncentives, syncGiftLines} from '~/lib/cartIncentives';
+import {getDiscountStatus} from '~/lib/discounts';
+import {ProductRecommendations} from '~/components/ProductRecommendations';
+import {getYouMayAlsoLike} from '~/lib/recommendations';
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [{title: `Hydrogen | Cart`}];
+};
+
+/**
+ * @type {HeadersFunction}
+ */
+export const headers = ({actionHeaders}) => actionHeaders;
+
+/**
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  const {cart, env, storefront} = context;
+
+  const formData = await request.formData();
+
+  const {action, inputs} = CartForm.getFormInput(formData);
+
+  if (!action) {
+    throw new Error('No action provided');
+  }
+
+  let status = 200;
+  let result;
+
+  switch (action) {
+    case CartForm.ACTIONS.LinesAdd:
+      result = await cart.addLines(inputs.lines);
+      break;
+    case CartForm.ACTIONS.LinesUpdate:
+      result = await cart.updateLines(inputs.lines);
+      break;
+    case CartForm.ACTIONS.LinesRemove:
+      result = await cart.removeLines(inputs.lineIds);
+      break;
+    case CartForm.ACTIONS.DiscountCodesUpdate: {
+      const formDiscountCode = inputs.discountCode;
+
+      // User inputted discount code
+      const discountCodes = formDiscountCode ? [formDiscountCode] : [];
+
+      // Combine discount codes already applied on cart
+      discountCodes.push(...inputs.discountCodes);
+
+      result = await cart.updateDiscountCodes(discountCodes);
+      break;
+    }
+    case CartForm.ACTIONS.GiftCardCodesUpdate: {
+      const formGiftCardCode = inputs.giftCardCode;
+
+      // User inputted gift card code
+      const giftCardCodes = formGiftCardCode ? [formGiftCardCode] : [];
+
+      // Combine gift card codes already applied on cart
+      giftCardCodes.push(...inputs.giftCardCodes);
+
+      result = await cart.updateGiftCardCodes(giftCardCodes);
+      break;
+    }
+    case CartForm.ACTIONS.GiftCardCodesRemove: {
+      const appliedGiftCardIds = inputs.giftCardCodes;
+      result = await cart.removeGiftCardCodes(appliedGiftCardIds);
+      break;
+    }
+    case CartForm.ACTIONS.BuyerIdentityUpdate: {
+      result = await cart.updateBuyerIdentity({
+        ...inputs.buyerIdentity,
+      });
+      break;
+    }
+    case CartForm.ACTIONS.NoteUpdate: {
+      const note = String(inputs.note ?? '')
+        .trim()
+        .slice(0, MAX_NOTE_LENGTH);
+      result = await cart.updateNote(note);
+      break;
+    }
+    case CartForm.ACTIONS.AttributesUpdateInput: {
+      // Gift options, the other attributes (e.g. UTM params) are kept
+      const currentCart = await cart.get();
+      const updates = getGiftOptionsAttributes(inputs);
+      result = await cart.updateAttributes(
+        mergeAttributes(currentCart?.attributes ?? [], updates),
+      );
+      const giftWrapResult = await syncGiftWrapLine(cart, {
+        lines: currentCart?.lines.nodes ?? [],
+        giftWrap: updates.some(
+          ({key, value}) => key === GIFT_WRAP_ATTRIBUTE && value,
+        ),
+        variantId: env.GIFT_WRAP_VARIANT_ID,
+      });
+      // The errors and warnings stay the ones of the shopper's update
+      if (giftWrapResult?.cart) {
+        result = {...result, cart: giftWrapResult.cart};
+      }
+      break;
+    }
+    default:
+      throw new Error(`${action} cart action is not defined`);
+  }
+
+  // Add or remove gifts with purchase once the subtotal changed, line
+  // discounts lower it too
+  const subtotalActions = [
+    CartForm.ACTIONS.LinesAdd,
+    CartForm.ACTIONS.LinesUpdate,
+    CartForm.ACTIONS.LinesRemove,
+    CartForm.ACTIONS.DiscountCodesUpdate,
+  ];
+  if (result?.cart?.id && subtotalActions.includes(action)) {
+    const incentives = await getCartIncentives(storefront);
+    const giftsResult = await syncGiftLines(cart, incentives);
+    // The errors and warnings stay the ones of the shopper's update
+    if (giftsResult?.cart) result = {...result, cart: giftsResult.cart};
+  }
+
+  const cartId = result?.cart?.id;
+  const headers = cartId ? cart.setCartId(result.cart.id) : new Headers();
+  const {cart: cartResult, errors, warnings} = result;
+
+  // Shown next to the line or field of the submitted form
+  const {language} = storefront.i18n;
+  const feedback = getCartFeedback(result, {action, inputs, language});
+  if (
+    action === CartForm.ACTIONS.DiscountCodesUpdate &&
+    inputs.discountCode &&
+    !feedback.some(({field}) => field === 'discountCodes')
+  ) {
+    // The mutation only returns the cart id, the query has the discount codes
+    const updatedCart = await cart.get();
+    const discountFeedback = getDiscountStatusFeedback(
+      getDiscountStatus({
+        code: String(inputs.discountCode),
+        discountCodes: updatedCart?.discountCodes ?? [],
+      }),
+      language,
+    );
+    if (discountFeedback) feedback.push(discountFeedback);
+  }
+
+  const redirectTo = formData.get('redirectTo') ?? null;
+  if (typeof redirectTo === 'string') {
+    status = 303;
+    headers.set('Location', redirectTo);
+  }
+
+  return data(
+    {
+      cart: cartResult,
+      errors,
+      warnings,
+      feedback,
+      analytics: {
+        cartId,
+      },
+    },
+    {status, headers},
+  );
+}
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  const {cart, storefront} = context;
+  const cartData = await cart.get();
+
+  return {
+    cart: cartData,
+    recommendations: getYouMayAlsoLike(storefront, {
+      productHandles:
+        cartData?.lines.nodes.map((line) => line.merchandise.product.handle) ??
+        [],
+    }),
+  };
+}
+
+export default function Cart() {
+  /** @type {LoaderReturnData} */
+  const {cart, recommendations} = useLoaderData();
+
+  return (
+    <div className="cart">
+      <h1>Cart</h1>
+      <CartMain layout="page" cart={cart} />
+      <ProductRecommendations
+        heading="You may also like"
+        products={recommendations}
+      />
+    </div>
+  );
+}
+
+/** @typedef {import('react-router').HeadersFunction} HeadersFunction */
+/** @typedef {import('./+types/($locale).cart').Route} Route */
+/** @typedef {import('@shopify/hydrogen').CartQueryDataReturn} CartQueryDataReturn */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
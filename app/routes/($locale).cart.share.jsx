@@ -0,0 +1,26 @@
+import {data} from 'react-router';
+import {CART_RESTORE_PATH, createCartShareToken} from '~/lib/cartShare';
+import {localizePath} from '~/lib/i18n';
+
+/**
+ * Creates a shareable link of the current cart, posted from the cart
+ * summary. The link is opened by the /cart/restore/:token route.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  const {cart, env, storefront} = context;
+  const currentCart = await cart.get();
+
+  if (!currentCart?.totalQuantity) {
+    return data({url: null, error: 'Your cart is empty.'}, {status: 400});
+  }
+
+  const token = await createCartShareToken(currentCart, env.SESSION_SECRET);
+  const {origin} = new URL(request.url);
+
+  const path = localizePath(`${CART_RESTORE_PATH}${token}`, storefront.i18n);
+
+  return {url: `${origin}${path}`, error: null};
+}
+
+/** @typedef {import('./+types/($locale).cart.share').Route} Route */
@@ -0,0 +1,195 @@
+import {
+  data,
+  Form,
+  Link,
+  redirect,
+  useActionData,
+  useLoaderData,
+} from 'react-router';
+import {getAttribute, mergeAttributes} from '~/lib/cartAttributes';
+import {getCartIncentives, syncGiftLines} from '~/lib/cartIncentives';
+import {getCartRestoreToast, readCartShareToken} from '~/lib/cartShare';
+import {mergeDiscountCodes} from '~/lib/discounts';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {flashToast} from '~/lib/toast';
+
+/**
+ * Opens a cart shared from the cart summary, see `~/lib/cartShare`. An empty
+ * cart is replaced straight away, otherwise the recipient chooses to merge
+ * the shared cart into theirs or to replace it. Either way they land on the
+ * cart page with a summary of what changed.
+ *
+ * @example
+ * ```js
+ * /cart/restore/eyJsIjoiNDEwMDcyODk2NjM1NDQ6MSJ9.c2lnbmF0dXJl
+ * ```
+ */
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Hydrogen | Shared cart'},
+    {name: 'robots', content: 'noindex'},
+  ];
+};
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({params, context}) {
+  const {cart, env, session, storefront} = context;
+  const sharedCart = await readCartShareToken(params.token, env.SESSION_SECRET);
+
+  if (!sharedCart) {
+    flashToast(session, {
+      tone: 'error',
+      message: 'This shared cart link is invalid or has expired.',
+    });
+    return redirect(localizePath('/cart', storefront.i18n));
+  }
+
+  const currentCart = await cart.get();
+  if (!currentCart?.totalQuantity) {
+    return restoreSharedCart(context, sharedCart, 'replace');
+  }
+
+  return {
+    itemCount: sharedCart.lines.reduce(
+      (count, line) => count + line.quantity,
+      0,
+    ),
+    currentItemCount: currentCart.totalQuantity,
+  };
+}
+
+/**
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, params, context}) {
+  const {env} = context;
+  const formData = await request.formData();
+  const mode = formData.get('mode');
+
+  if (mode !== 'merge' && mode !== 'replace') {
+    return data({error: 'Unknown restore mode.'}, {status: 400});
+  }
+
+  const sharedCart = await readCartShareToken(params.token, env.SESSION_SECRET);
+  if (!sharedCart) {
+    return data(
+      {error: 'This shared cart link is invalid or has expired.'},
+      {status: 400},
+    );
+  }
+
+  return restoreSharedCart(context, sharedCart, mode);
+}
+
+/**
+ * Applies the shared cart, flashes what changed and redirects to the cart
+ * @param {Route.LoaderArgs['context']} context
+ * @param {SharedCart} sharedCart
+ * @param {CartRestoreMode} mode
+ */
+async function restoreSharedCart(context, sharedCart, mode) {
+  const {cart, session, storefront} = context;
+  const {lines, discountCodes, attributes} = sharedCart;
+
+  let result;
+  if (mode === 'replace') {
+    result = await cart.create({lines, discountCodes, attributes});
+  } else {
+    // The recipient's codes and attributes win over the shared ones
+    const currentCart = await cart.get();
+    result = await cart.addLines(lines);
+
+    const currentCodes =
+      currentCart?.discountCodes.map((discount) => discount.code) ?? [];
+    const mergedCodes = discountCodes.reduce(
+      (codes, code) => mergeDiscountCodes(codes, code),
+      currentCodes,
+    );
+    if (mergedCodes.length > currentCodes.length) {
+      await cart.updateDiscountCodes(mergedCodes);
+    }
+
+    const newAttributes = attributes.filter(
+      ({key}) => !getAttribute(currentCart?.attributes, key),
+    );
+    if (newAttributes.length) {
+      await cart.updateAttributes(
+        mergeAttributes(currentCart?.attributes ?? [], newAttributes),
+      );
+    }
+  }
+
+  if (!result.cart?.id) {
+    flashToast(session, {
+      tone: 'error',
+      message: 'The shared cart could not be opened, please try again.',
+    });
+    return redirect(localizePath('/cart', storefront.i18n));
+  }
+
+  const headers = cart.setCartId(result.cart.id);
+
+  // Same as the /cart action once the lines changed
+  await syncGiftLines(cart, await getCartIncentives(storefront));
+
+  flashToast(
+    session,
+    getCartRestoreToast({mode, sharedCart, cart: await cart.get()}),
+  );
+
+  return redirect(localizePath('/cart', storefront.i18n), {
+    status: 303,
+    headers,
+  });
+}
+
+export default function CartRestore() {
+  /** @type {LoaderReturnData} */
+  const {itemCount, currentItemCount} = useLoaderData();
+  /** @type {ActionReturnData | undefined} */
+  const actionData = useActionData();
+  const locale = useSelectedLocale();
+
+  return (
+    <div className="cart-restore">
+      <h1>Shared cart</h1>
+      <p>
+        Someone shared a cart of {pluralizeItems(itemCount)} with you. Your cart
+        already has {pluralizeItems(currentItemCount)}.
+      </p>
+      <Form method="post" className="cart-restore-actions">
+        <button type="submit" name="mode" value="merge">
+          Add to my cart
+        </button>
+        <button type="submit" name="mode" value="replace">
+          Replace my cart
+        </button>
+      </Form>
+      {actionData?.error && (
+        <p className="cart-restore-error">{actionData.error}</p>
+      )}
+      <p>
+        <Link to={localizePath('/cart', locale)}>Keep my cart as it is</Link>
+      </p>
+    </div>
+  );
+}
+
+/**
+ * @param {number} count
+ */
+function pluralizeItems(count) {
+  return `${count} item${count === 1 ? '' : 's'}`;
+}
+
+/** @typedef {import('./+types/($locale).cart_.restore.$token').Route} Route */
+/** @typedef {import('~/lib/cartShare').SharedCart} SharedCart */
+/** @typedef {import('~/lib/cartShare').CartRestoreMode} CartRestoreMode */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
@@ -1,14 +1,50 @@
 import {redirect, useLoaderData} from 'react-router';
 import {getPaginationVariables, Analytics} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
+import {
+  ActiveFilters,
+  CollectionFilters,
+  SortSelect,
+} from '~/components/CollectionFilters';
+import {getCollectionFilterVariables} from '~/lib/collectionFilters';
+import {localizePath} from '~/lib/i18n';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {
+  getAbsoluteUrl,
+  getBreadcrumbJsonLd,
+  getItemListJsonLd,
+  getShopUrl,
+  getSeoMeta,
+} from '~/lib/seo';
 import {ProductItem} from '~/components/ProductItem';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.collection.title ?? ''} Collection`}];
+export const meta = ({data, matches}) => {
+  if (!data?.collection) return [{title: 'Hydrogen | Collection'}];
+
+  const {collection} = data;
+  const shopUrl = getShopUrl(matches);
+  const path = `/collections/${collection.handle}`;
+  const url = getAbsoluteUrl(shopUrl, path);
+
+  return getSeoMeta({
+    title: `Hydrogen | ${collection.seo?.title || collection.title} Collection`,
+    description: collection.seo?.description || collection.description,
+    url,
+    image: collection.image,
+    jsonLd: [
+      getItemListJsonLd(
+        {name: collection.title, url, products: collection.products.nodes},
+        shopUrl,
+      ),
+      getBreadcrumbJsonLd(shopUrl, [
+        {name: 'Collections', path: '/collections'},
+        {name: collection.title, path},
+      ]),
+    ],
+  });
 };
 
 /**
@@ -35,14 +71,17 @@ async function loadCriticalData({context, params, request}) {
   const paginationVariables = getPaginationVariables(request, {
     pageBy: 8,
   });
+  const filterVariables = getCollectionFilterVariables(
+    new URL(request.url).searchParams,
+  );
 
   if (!handle) {
-    throw redirect('/collections');
+    throw redirect(localizePath('/collections', storefront.i18n));
   }
 
   const [{collection}] = await Promise.all([
     storefront.query(COLLECTION_QUERY, {
-      variables: {handle, ...paginationVariables},
+      variables: {handle, ...paginationVariables, ...filterVariables},
       // Add other queries here, so that they are loaded in parallel
     }),
   ]);
@@ -75,22 +114,38 @@ export default function Collection() {
   /** @type {LoaderReturnData} */
   const {collection} = useLoaderData();
 
+  const {filters} = collection.products;
+
   return (
     <div className="collection">
       <h1>{collection.title}</h1>
       <p className="collection-description">{collection.description}</p>
-      <PaginatedResourceSection
-        connection={collection.products}
-        resourcesClassName="products-grid"
-      >
-        {({node: product, index}) => (
-          <ProductItem
-            key={product.id}
-            product={product}
-            loading={index < 8 ? 'eager' : undefined}
-          />
-        )}
-      </PaginatedResourceSection>
+      <div className="collection-toolbar">
+        <ActiveFilters filters={filters} />
+        <SortSelect />
+      </div>
+      <div className="collection-layout">
+        <CollectionFilters filters={filters} />
+        <div>
+          {collection.products.nodes.length ? (
+            <PaginatedResourceSection
+              connection={collection.products}
+              resourcesClassName="products-grid"
+              mode="infinite"
+            >
+              {({node: product, index}) => (
+                <ProductItem
+                  key={product.id}
+                  product={product}
+                  loading={index < 8 ? 'eager' : undefined}
+                />
+              )}
+            </PaginatedResourceSection>
+          ) : (
+            <p>No products match these filters.</p>
+          )}
+        </div>
+      </div>
       <Analytics.CollectionView
         data={{
           collection: {
@@ -130,9 +185,27 @@ const PRODUCT_ITEM_FRAGMENT = `#graphql
   }
 `;
 
+const COLLECTION_FILTER_FRAGMENT = `#graphql
+  fragment CollectionFilter on Filter {
+    id
+    label
+    type
+    values {
+      id
+      label
+      count
+      input
+      swatch {
+        color
+      }
+    }
+  }
+`;
+
 // NOTE: https://shopify.dev/docs/api/storefront/2022-04/objects/collection
 const COLLECTION_QUERY = `#graphql
   ${PRODUCT_ITEM_FRAGMENT}
+  ${COLLECTION_FILTER_FRAGMENT}
   query Collection(
     $handle: String!
     $country: CountryCode
@@ -141,18 +214,37 @@ const COLLECTION_QUERY = `#graphql
     $last: Int
     $startCursor: String
     $endCursor: String
+    $filters: [ProductFilter!]
+    $sortKey: ProductCollectionSortKeys
+    $reverse: Boolean
   ) @inContext(country: $country, language: $language) {
     collection(handle: $handle) {
       id
       handle
       title
       description
+      image {
+        url
+        width
+        height
+        altText
+      }
+      seo {
+        title
+        description
+      }
       products(
         first: $first,
         last: $last,
         before: $startCursor,
-        after: $endCursor
+        after: $endCursor,
+        filters: $filters,
+        sortKey: $sortKey,
+        reverse: $reverse
       ) {
+        filters {
+          ...CollectionFilter
+        }
         nodes {
           ...ProductItem
         }
@@ -167,6 +259,6 @@ const COLLECTION_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/collections.$handle').Route} Route */
+/** @typedef {import('./+types/($locale).collections.$handle').Route} Route */
 /** @typedef {import('storefrontapi.generated').ProductItemFragment} ProductItemFragment */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,6 +1,7 @@
 import {useLoaderData, Link} from 'react-router';
 import {getPaginationVariables, Image} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @param {Route.LoaderArgs} args
@@ -75,11 +76,12 @@ export default function Collections() {
  * }}
  */
 function CollectionItem({collection, index}) {
+  const locale = useSelectedLocale();
   return (
     <Link
       className="collection-item"
       key={collection.id}
-      to={`/collections/${collection.handle}`}
+      to={localizePath(`/collections/${collection.handle}`, locale)}
       prefetch="intent"
     >
       {collection?.image && (
@@ -136,6 +138,6 @@ const COLLECTIONS_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/collections._index').Route} Route */
+/** @typedef {import('./+types/($locale).collections._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').CollectionFragment} CollectionFragment */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -2,12 +2,34 @@ import {useLoaderData} from 'react-router';
 import {getPaginationVariables} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
 import {ProductItem} from '~/components/ProductItem';
+import {
+  getAbsoluteUrl,
+  getBreadcrumbJsonLd,
+  getItemListJsonLd,
+  getShopUrl,
+  getSeoMeta,
+} from '~/lib/seo';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = () => {
-  return [{title: `Hydrogen | Products`}];
+export const meta = ({data, matches}) => {
+  const shopUrl = getShopUrl(matches);
+  const path = '/collections/all';
+  const url = getAbsoluteUrl(shopUrl, path);
+
+  return getSeoMeta({
+    title: `Hydrogen | Products`,
+    url,
+    jsonLd: [
+      data?.products &&
+        getItemListJsonLd(
+          {name: 'Products', url, products: data.products.nodes},
+          shopUrl,
+        ),
+      getBreadcrumbJsonLd(shopUrl, [{name: 'Products', path}]),
+    ],
+  });
 };
 
 /**
@@ -63,6 +85,7 @@ export default function Collection() {
       <PaginatedResourceSection
         connection={products}
         resourcesClassName="products-grid"
+        mode="infinite"
       >
         {({node: product, index}) => (
           <ProductItem
@@ -128,6 +151,6 @@ const CATALOG_QUERY = `#graphql
   ${COLLECTION_ITEM_FRAGMENT}
 `;
 
-/** @typedef {import('./+types/collections.all').Route} Route */
+/** @typedef {import('./+types/($locale).collections.all').Route} Route */
 /** @typedef {import('storefrontapi.generated').CollectionItemFragment} CollectionItemFragment */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,89 @@
+import {redirect} from 'react-router';
+import {mergeAttributes} from '~/lib/cartAttributes';
+import {getCartIncentives, syncGiftLines} from '~/lib/cartIncentives';
+import {
+  DISCOUNT_FLASH_KEY,
+  getDiscountStatus,
+  getUtmAttributes,
+  mergeDiscountCodes,
+} from '~/lib/discounts';
+import {localizePath} from '~/lib/i18n';
+
+/**
+ * Automatically applies a discount found on the url
+ * If a cart exists the discount is added to the codes already applied, otherwise a cart is created with the discount already applied.
+ * The outcome is flashed to the session (see `~/lib/discounts`) and UTM params are saved as cart attributes.
+ *
+ * @example
+ * Example path applying a discount and optional redirecting (defaults to the home page)
+ * ```js
+ * /discount/FREESHIPPING?redirect=/products&utm_source=newsletter
+ *
+ * ```
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context, params}) {
+  const {cart, storefront} = context;
+  const {code} = params;
+  const homePath = localizePath('/', storefront.i18n);
+
+  const url = new URL(request.url);
+  const searchParams = new URLSearchParams(url.search);
+  let redirectParam =
+    searchParams.get('redirect') || searchParams.get('return_to') || homePath;
+
+  if (redirectParam.includes('//')) {
+    // Avoid redirecting to external URLs to prevent phishing attacks
+    redirectParam = homePath;
+  }
+
+  searchParams.delete('redirect');
+  searchParams.delete('return_to');
+
+  const redirectUrl = `${redirectParam}?${searchParams}`;
+
+  if (!code) {
+    return redirect(redirectUrl);
+  }
+
+  const currentCart = await cart.get();
+  const discountCodes = mergeDiscountCodes(
+    currentCart?.discountCodes.map((discount) => discount.code) ?? [],
+    code,
+  );
+
+  const result = await cart.updateDiscountCodes(discountCodes);
+  const headers = cart.setCartId(result.cart.id);
+
+  const utmAttributes = getUtmAttributes(searchParams);
+  if (utmAttributes.length) {
+    await cart.updateAttributes(
+      mergeAttributes(currentCart?.attributes ?? [], utmAttributes),
+    );
+  }
+
+  // Line discounts lower the subtotal, add or remove gifts with purchase
+  await syncGiftLines(cart, await getCartIncentives(storefront));
+
+  // The mutation only returns the cart id, the query has the discount codes
+  const updatedCart = await cart.get();
+  context.session.flash(DISCOUNT_FLASH_KEY, {
+    code,
+    status: getDiscountStatus({
+      code,
+      discountCodes: updatedCart?.discountCodes ?? [],
+      warnings: result.warnings,
+    }),
+  });
+
+  // Using set-cookie on a 303 redirect will not work if the domain origin have port number (:3000)
+  // If there is no cart id and a new cart id is created in the progress, it will not be set in the cookie
+  // on localhost:3000
+  return redirect(redirectUrl, {
+    status: 303,
+    headers,
+  });
+}
+
+/** @typedef {import('./+types/($locale).discount.$code').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
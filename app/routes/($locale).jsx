@@ -0,0 +1,30 @@
+import {Outlet} from 'react-router';
+import {isLocaleAvailable} from '~/lib/i18n';
+
+/**
+ * Optional `/{lang}-{country}` prefix of the storefront routes, see
+ * `~/lib/i18n`. Robots, sitemaps, webhooks and the GraphQL proxy aren't
+ * localized and stay outside of it.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({params, context}) {
+  const {storefront} = context;
+  const {language, country} = storefront.i18n;
+
+  if (
+    params.locale &&
+    (params.locale.toLowerCase() !== `${language}-${country}`.toLowerCase() ||
+      !(await isLocaleAvailable(storefront, {language, country})))
+  ) {
+    // Not a locale (e.g. an unknown page) or a locale the shop doesn't sell in
+    throw new Response(null, {status: 404});
+  }
+
+  return null;
+}
+
+export default function Locale() {
+  return <Outlet />;
+}
+
+/** @typedef {import('./+types/($locale)').Route} Route */
@@ -1,11 +1,28 @@
 import {useLoaderData} from 'react-router';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {
+  getAbsoluteUrl,
+  getBreadcrumbJsonLd,
+  getShopUrl,
+  getSeoMeta,
+} from '~/lib/seo';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.page.title ?? ''}`}];
+export const meta = ({data, matches}) => {
+  if (!data?.page) return [{title: 'Hydrogen | Page'}];
+
+  const {page} = data;
+  const shopUrl = getShopUrl(matches);
+  const path = `/pages/${page.handle}`;
+
+  return getSeoMeta({
+    title: `Hydrogen | ${page.seo?.title || page.title}`,
+    description: page.seo?.description,
+    url: getAbsoluteUrl(shopUrl, path),
+    jsonLd: [getBreadcrumbJsonLd(shopUrl, [{name: page.title, path}])],
+  });
 };
 
 /**
@@ -95,5 +112,5 @@ const PAGE_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/pages.$handle').Route} Route */
+/** @typedef {import('./+types/($locale).pages.$handle').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,166 @@
+import {
+  data,
+  Form,
+  Link,
+  redirect,
+  useActionData,
+  useNavigation,
+} from 'react-router';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {
+  getSameOriginPath,
+  launchModeContext,
+  unlockStorefront,
+} from '~/lib/launchMode';
+import {getClientIp} from '~/lib/rateLimit';
+
+/**
+ * Storefront password page, used while the launch mode is `password`.
+ * Visitors are sent here by `launchModeMiddleware` with the page they
+ * requested in the `redirect` search param.
+ *
+ * Set up:
+ *   - LAUNCH_MODE=password in .env, or `password` in the `custom.launch_mode`
+ *     shop metafield
+ *   - STOREFRONT_PASSWORD=the shared password, in .env
+ */
+
+/** 5 password attempts per IP, then one more every minute */
+const IP_RATE_LIMIT = {capacity: 5, refillInterval: 60};
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [
+    {title: 'Rani Mode | Enter password'},
+    {name: 'robots', content: 'noindex'},
+  ];
+};
+
+/**
+ * Render without the header/footer, like the landing page
+ */
+export const handle = {
+  isLandingPage: true,
+};
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const {mode, hasAccess} = context.get(launchModeContext);
+
+  if (mode !== 'password' || hasAccess) {
+    throw redirect(getRedirectPath(request, context.storefront.i18n));
+  }
+
+  return {};
+}
+
+/**
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  const {env, session, rateLimiter} = context;
+
+  const ipLimit = await rateLimiter.consume(
+    `password:ip:${getClientIp(request)}`,
+    IP_RATE_LIMIT,
+  );
+  if (!ipLimit.allowed) {
+    return data(
+      {error: 'Too many attempts. Please try again in a few minutes.'},
+      {status: 429, headers: {'Retry-After': String(ipLimit.retryAfter)}},
+    );
+  }
+
+  const form = await request.formData();
+  const password = String(form.get('password') ?? '');
+
+  if (!(await unlockStorefront(password, {env, session}))) {
+    return data({error: 'Incorrect password.'}, {status: 401});
+  }
+
+  return redirect(getRedirectPath(request, context.storefront.i18n));
+}
+
+/**
+ * Only follow same-site paths so the page can't be used as an open redirect
+ * @param {Request} request
+ * @param {I18nLocale} locale
+ */
+function getRedirectPath(request, locale) {
+  const path = new URL(request.url).searchParams.get('redirect');
+  return (
+    (path && getSameOriginPath(path, request.url)) ?? localizePath('/', locale)
+  );
+}
+
+export default function Password() {
+  /** @type {ActionReturnData} */
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const isSubmitting = navigation.state === 'submitting';
+  const locale = useSelectedLocale();
+  const error = actionData?.error;
+
+  return (
+    <div className="w-full min-h-screen bg-[#F5F0E8] text-[#1a1a1a] flex items-center justify-center p-8">
+      <div className="w-full max-w-[480px] border border-[#722F37] bg-white p-6 text-center">
+        <h1
+          className="text-2xl font-bold mb-6 uppercase text-[#1a1a1a]"
+          style={{fontFamily: 'Georgia, serif'}}
+        >
+          Rani Mode
+        </h1>
+        <p className="text-sm text-[#1a1a1a]/70 leading-relaxed mb-6">
+          Our store is open to invited guests only. Enter the password to
+          continue.
+        </p>
+        <Form method="post" className="flex flex-col gap-3">
+          <label htmlFor="storefront-password" className="sr-only">
+            Password
+          </label>
+          <input
+            id="storefront-password"
+            type="password"
+            name="password"
+            autoComplete="current-password"
+            placeholder="Password"
+            required
+            aria-invalid={Boolean(error)}
+            aria-describedby={error ? 'storefront-password-error' : undefined}
+            className="w-full px-4 py-3 border border-[#1a1a1a]/20 text-sm focus:outline-none focus:border-[#722F37]"
+          />
+          {error && (
+            <p
+              id="storefront-password-error"
+              role="alert"
+              className="text-sm text-red-700 text-left"
+            >
+              {error}
+            </p>
+          )}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full px-6 py-3 bg-[#722F37] text-white text-sm font-medium tracking-wider uppercase disabled:opacity-60"
+          >
+            {isSubmitting ? 'Checking…' : 'Enter'}
+          </button>
+        </Form>
+        <Link
+          to={localizePath('/', locale)}
+          className="inline-block mt-6 text-sm font-medium tracking-wider uppercase text-[#722F37]"
+        >
+          Back to Rani Mode
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+/** @typedef {import('./+types/($locale).password').Route} Route */
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
@@ -1,10 +1,32 @@
 import {Link, useLoaderData} from 'react-router';
+import {
+  getAbsoluteUrl,
+  getBreadcrumbJsonLd,
+  getShopUrl,
+  getSeoMeta,
+} from '~/lib/seo';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.policy.title ?? ''}`}];
+export const meta = ({data, matches}) => {
+  if (!data?.policy) return [{title: 'Hydrogen | Policy'}];
+
+  const {policy} = data;
+  const shopUrl = getShopUrl(matches);
+  const path = `/policies/${policy.handle}`;
+
+  return getSeoMeta({
+    title: `Hydrogen | ${policy.title}`,
+    url: getAbsoluteUrl(shopUrl, path),
+    jsonLd: [
+      getBreadcrumbJsonLd(shopUrl, [
+        {name: 'Policies', path: '/policies'},
+        {name: policy.title, path},
+      ]),
+    ],
+  });
 };
 
 /**
@@ -40,6 +62,7 @@ export async function loader({params, context}) {
 }
 
 export default function Policy() {
+  const locale = useSelectedLocale();
   /** @type {LoaderReturnData} */
   const {policy} = useLoaderData();
 
@@ -48,7 +71,7 @@ export default function Policy() {
       <br />
       <br />
       <div>
-        <Link to="/policies">← Back to Policies</Link>
+        <Link to={localizePath('/policies', locale)}>← Back to Policies</Link>
       </div>
       <br />
       <h1>{policy.title}</h1>
@@ -98,6 +121,6 @@ const POLICY_CONTENT_QUERY = `#graphql
  * >} SelectedPolicies
  */
 
-/** @typedef {import('./+types/policies.$handle').Route} Route */
+/** @typedef {import('./+types/($locale).policies.$handle').Route} Route */
 /** @typedef {import('@shopify/hydrogen/storefront-api-types').Shop} Shop */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
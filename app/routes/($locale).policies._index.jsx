@@ -1,4 +1,5 @@
 import {useLoaderData, Link} from 'react-router';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
 
 /**
  * @param {Route.LoaderArgs}
@@ -23,6 +24,7 @@ export async function loader({context}) {
 }
 
 export default function Policies() {
+  const locale = useSelectedLocale();
   /** @type {LoaderReturnData} */
   const {policies} = useLoaderData();
 
@@ -32,7 +34,9 @@ export default function Policies() {
       <div>
         {policies.map((policy) => (
           <fieldset key={policy.id}>
-            <Link to={`/policies/${policy.handle}`}>{policy.title}</Link>
+            <Link to={localizePath(`/policies/${policy.handle}`, locale)}>
+              {policy.title}
+            </Link>
           </fieldset>
         ))}
       </div>
@@ -70,7 +74,7 @@ const POLICIES_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/policies._index').Route} Route */
+/** @typedef {import('./+types/($locale).policies._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').PoliciesQuery} PoliciesQuery */
 /** @typedef {import('storefrontapi.generated').PolicyItemFragment} PolicyItemFragment */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
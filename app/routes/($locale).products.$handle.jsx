@@ -0,0 +1,456 @@
+import {useLoaderData} from 'react-router';
+import {
+  getSelectedProductOptions,
+  Analytics,
+  useOptimisticVariant,
+  getProductOptions,
+  getAdjacentAndFirstAvailableVariants,
+  useSelectedOptionInUrlParam,
+} from '@shopify/hydrogen';
+import {ProductPrice} from '~/components/ProductPrice';
+import {WishlistButton} from '~/components/Wishlist';
+import {ProductImage} from '~/components/ProductImage';
+import {ProductGallery} from '~/components/ProductGallery';
+import {ProductForm} from '~/components/ProductForm';
+import {SizeGuideAside} from '~/components/SizeGuide';
+import {ProductRecommendations} from '~/components/ProductRecommendations';
+import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {parseSizeChart} from '~/lib/sizeGuide';
+import {
+  getCompleteTheLook,
+  getProductRecommendations,
+} from '~/lib/recommendations';
+import {
+  getAbsoluteUrl,
+  getBreadcrumbJsonLd,
+  getShopUrl,
+  getProductJsonLd,
+  getSeoMeta,
+} from '~/lib/seo';
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = ({data, matches}) => {
+  if (!data?.product) return [{title: 'Hydrogen | Product'}];
+
+  const {product} = data;
+  const shopUrl = getShopUrl(matches);
+  const path = `/products/${product.handle}`;
+  const url = getAbsoluteUrl(shopUrl, path);
+  const price = product.selectedOrFirstAvailableVariant?.price;
+
+  return [
+    ...getSeoMeta({
+      title: `Hydrogen | ${product.seo?.title || product.title}`,
+      description: product.seo?.description || product.description,
+      url,
+      image: product.selectedOrFirstAvailableVariant?.image,
+      type: 'product',
+      jsonLd: [
+        getProductJsonLd(product, {url}),
+        getBreadcrumbJsonLd(shopUrl, [{name: product.title, path}]),
+      ],
+    }),
+    ...(price
+      ? [
+          {property: 'product:price:amount', content: price.amount},
+          {property: 'product:price:currency', content: price.currencyCode},
+        ]
+      : []),
+  ];
+};
+
+/**
+ * @param {Route.LoaderArgs} args
+ */
+export async function loader(args) {
+  // Start fetching non-critical data without blocking time to first byte
+  const deferredData = loadDeferredData(args);
+
+  // Await the critical data required to render initial state of the page
+  const criticalData = await loadCriticalData(args);
+
+  return {...deferredData, ...criticalData};
+}
+
+/**
+ * Load data necessary for rendering content above the fold. This is the critical data
+ * needed to render the page. If it's unavailable, the whole page should 400 or 500 error.
+ * @param {Route.LoaderArgs}
+ */
+async function loadCriticalData({context, params, request}) {
+  const {handle} = params;
+  const {storefront} = context;
+
+  if (!handle) {
+    throw new Error('Expected product handle to be defined');
+  }
+
+  const [{product}] = await Promise.all([
+    storefront.query(PRODUCT_QUERY, {
+      variables: {handle, selectedOptions: getSelectedProductOptions(request)},
+    }),
+    // Add other queries here, so that they are loaded in parallel
+  ]);
+
+  if (!product?.id) {
+    throw new Response(null, {status: 404});
+  }
+
+  // The API handle might be localized, so redirect to the localized handle
+  redirectIfHandleIsLocalized(request, {handle, data: product});
+
+  return {
+    product,
+    sizeChart: parseSizeChart(product.sizeChart?.reference),
+  };
+}
+
+/**
+ * Load data for rendering content below the fold. This data is deferred and will be
+ * fetched after the initial page load. If it's unavailable, the page should still 200.
+ * Make sure to not throw any errors here, as it will cause the page to 500.
+ * @param {Route.LoaderArgs}
+ */
+function loadDeferredData({context, params}) {
+  const {storefront} = context;
+  const productHandle = params.handle ?? '';
+
+  return {
+    completeTheLook: getCompleteTheLook(storefront, {productHandle}),
+    complementaryProducts: getProductRecommendations(storefront, {
+      productHandle,
+      intent: 'COMPLEMENTARY',
+    }),
+    relatedProducts: getProductRecommendations(storefront, {productHandle}),
+  };
+}
+
+export default function Product() {
+  /** @type {LoaderReturnData} */
+  const {
+    product,
+    sizeChart,
+    completeTheLook,
+    complementaryProducts,
+    relatedProducts,
+  } = useLoaderData();
+
+  // Optimistically selects a variant with given available variant information
+  const selectedVariant = useOptimisticVariant(
+    product.selectedOrFirstAvailableVariant,
+    getAdjacentAndFirstAvailableVariants(product),
+  );
+
+  // Sets the search param to the selected variant without navigation
+  // only when no search params are set in the url
+  useSelectedOptionInUrlParam(selectedVariant.selectedOptions);
+
+  // Get the product options array
+  const productOptions = getProductOptions({
+    ...product,
+    selectedOrFirstAvailableVariant: selectedVariant,
+  });
+
+  const {title, descriptionHtml} = product;
+
+  return (
+    <>
+      <div className="product">
+        {product.media.nodes.length ? (
+          <ProductGallery
+            media={product.media.nodes}
+            selectedImage={selectedVariant?.image}
+          />
+        ) : (
+          <ProductImage image={selectedVariant?.image} />
+        )}
+        <div className="product-main">
+          <div className="product-title">
+            <h1>{title}</h1>
+            <WishlistButton
+              productId={product.id}
+              variantId={selectedVariant?.id}
+            />
+          </div>
+          <ProductPrice
+            price={selectedVariant?.price}
+            compareAtPrice={selectedVariant?.compareAtPrice}
+          />
+          <br />
+          <ProductForm
+            key={product.id}
+            productOptions={productOptions}
+            selectedVariant={selectedVariant}
+            hasSizeGuide={!!sizeChart}
+            sellingPlanGroups={product.sellingPlanGroups}
+            requiresSellingPlan={product.requiresSellingPlan}
+          />
+          <br />
+          <br />
+          <p>
+            <strong>Description</strong>
+          </p>
+          <br />
+          <div dangerouslySetInnerHTML={{__html: descriptionHtml}} />
+          <br />
+        </div>
+        {sizeChart && (
+          <SizeGuideAside
+            sizeChart={sizeChart}
+            productOptions={productOptions}
+          />
+        )}
+        <Analytics.ProductView
+          data={{
+            products: [
+              {
+                id: product.id,
+                title: product.title,
+                price: selectedVariant?.price.amount || '0',
+                vendor: product.vendor,
+                variantId: selectedVariant?.id || '',
+                variantTitle: selectedVariant?.title || '',
+                quantity: 1,
+              },
+            ],
+          }}
+        />
+      </div>
+      <ProductRecommendations
+        heading="Complete the look"
+        products={completeTheLook}
+      />
+      <ProductRecommendations
+        heading="Pairs well with"
+        products={complementaryProducts}
+      />
+      <ProductRecommendations
+        heading="You may also like"
+        products={relatedProducts}
+      />
+    </>
+  );
+}
+
+const PRODUCT_VARIANT_FRAGMENT = `#graphql
+  fragment ProductVariant on ProductVariant {
+    availableForSale
+    compareAtPrice {
+      amount
+      currencyCode
+    }
+    id
+    image {
+      __typename
+      id
+      url
+      altText
+      width
+      height
+    }
+    price {
+      amount
+      currencyCode
+    }
+    product {
+      title
+      handle
+    }
+    selectedOptions {
+      name
+      value
+    }
+    sku
+    title
+    unitPrice {
+      amount
+      currencyCode
+    }
+    sellingPlanAllocations(first: 10) {
+      nodes {
+        sellingPlan {
+          id
+        }
+        checkoutChargeAmount {
+          amount
+          currencyCode
+        }
+        remainingBalanceChargeAmount {
+          amount
+          currencyCode
+        }
+        priceAdjustments {
+          price {
+            amount
+            currencyCode
+          }
+        }
+      }
+    }
+    expectedShipDate: metafield(namespace: "custom", key: "expected_ship_date") {
+      value
+    }
+  }
+`;
+
+const PRODUCT_MEDIA_FRAGMENT = `#graphql
+  fragment ProductMedia on Media {
+    __typename
+    id
+    alt
+    mediaContentType
+    previewImage {
+      id
+      url
+      altText
+      width
+      height
+    }
+    ... on MediaImage {
+      image {
+        id
+        url
+        altText
+        width
+        height
+      }
+    }
+    ... on Video {
+      sources {
+        url
+        mimeType
+      }
+    }
+    ... on ExternalVideo {
+      embedUrl
+      host
+    }
+    ... on Model3d {
+      sources {
+        url
+        mimeType
+      }
+    }
+  }
+`;
+
+// Every variant, for the offers in the product structured data
+const PRODUCT_SEO_VARIANT_FRAGMENT = `#graphql
+  fragment ProductSeoVariant on ProductVariant {
+    availableForSale
+    sku
+    price {
+      amount
+      currencyCode
+    }
+    image {
+      url
+    }
+    selectedOptions {
+      name
+      value
+    }
+  }
+`;
+
+const PRODUCT_FRAGMENT = `#graphql
+  fragment Product on Product {
+    id
+    title
+    vendor
+    handle
+    descriptionHtml
+    description
+    encodedVariantExistence
+    encodedVariantAvailability
+    requiresSellingPlan
+    sellingPlanGroups(first: 5) {
+      nodes {
+        name
+        sellingPlans(first: 10) {
+          nodes {
+            id
+            name
+            description
+            recurringDeliveries
+          }
+        }
+      }
+    }
+    options {
+      name
+      optionValues {
+        name
+        firstSelectableVariant {
+          ...ProductVariant
+        }
+        swatch {
+          color
+          image {
+            previewImage {
+              url
+            }
+          }
+        }
+      }
+    }
+    selectedOrFirstAvailableVariant(selectedOptions: $selectedOptions, ignoreUnknownOptions: true, caseInsensitiveMatch: true) {
+      ...ProductVariant
+    }
+    adjacentVariants (selectedOptions: $selectedOptions) {
+      ...ProductVariant
+    }
+    seo {
+      description
+      title
+    }
+    media(first: 20) {
+      nodes {
+        ...ProductMedia
+      }
+    }
+    variants(first: 100) {
+      nodes {
+        ...ProductSeoVariant
+      }
+    }
+    rating: metafield(namespace: "reviews", key: "rating") {
+      value
+    }
+    ratingCount: metafield(namespace: "reviews", key: "rating_count") {
+      value
+    }
+    sizeChart: metafield(namespace: "custom", key: "size_chart") {
+      reference {
+        ... on Metaobject {
+          fields {
+            key
+            value
+          }
+        }
+      }
+    }
+  }
+  ${PRODUCT_VARIANT_FRAGMENT}
+  ${PRODUCT_SEO_VARIANT_FRAGMENT}
+  ${PRODUCT_MEDIA_FRAGMENT}
+`;
+
+const PRODUCT_QUERY = `#graphql
+  query Product(
+    $country: CountryCode
+    $handle: String!
+    $language: LanguageCode
+    $selectedOptions: [SelectedOptionInput!]!
+  ) @inContext(country: $country, language: $language) {
+    product(handle: $handle) {
+      ...Product
+    }
+  }
+  ${PRODUCT_FRAGMENT}
+`;
+
+/** @typedef {import('./+types/($locale).products.$handle').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -2,7 +2,9 @@ import {useLoaderData} from 'react-router';
 import {getPaginationVariables, Analytics} from '@shopify/hydrogen';
 import {SearchForm} from '~/components/SearchForm';
 import {SearchResults} from '~/components/SearchResults';
+import {ProductRecommendations} from '~/components/ProductRecommendations';
 import {getEmptyPredictiveSearchResult} from '~/lib/search';
+import {getYouMayAlsoLike} from '~/lib/recommendations';
 
 /**
  * @type {Route.MetaFunction}
@@ -26,7 +28,19 @@ export async function loader({request, context}) {
     return {term: '', result: null, error: error.message};
   });
 
-  return await searchPromise;
+  const data = await searchPromise;
+  if (data.type !== 'regular') return data;
+
+  return {
+    ...data,
+    // Deferred, seeded with the top product results
+    recommendations: getYouMayAlsoLike(context.storefront, {
+      productHandles:
+        data.result?.items.products.nodes
+          .slice(0, 2)
+          .map((product) => product.handle) ?? [],
+    }),
+  };
 }
 
 /**
@@ -34,7 +48,7 @@ export async function loader({request, context}) {
  */
 export default function SearchPage() {
   /** @type {LoaderReturnData} */
-  const {type, term, result, error} = useLoaderData();
+  const {type, term, result, error, recommendations} = useLoaderData();
   if (type === 'predictive') return null;
 
   return (
@@ -62,13 +76,24 @@ export default function SearchPage() {
         <SearchResults result={result} term={term}>
           {({articles, pages, products, term}) => (
             <div>
-              <SearchResults.Products products={products} term={term} />
+              {/* Pages, so the pages and articles below stay reachable */}
+              <SearchResults.Products
+                products={products}
+                term={term}
+                mode="pages"
+              />
               <SearchResults.Pages pages={pages} term={term} />
               <SearchResults.Articles articles={articles} term={term} />
             </div>
           )}
         </SearchResults>
       )}
+      {recommendations && (
+        <ProductRecommendations
+          heading="You may also like"
+          products={recommendations}
+        />
+      )}
       <Analytics.SearchView data={{searchTerm: term, searchResults: result}} />
     </div>
   );
@@ -415,7 +440,7 @@ async function predictiveSearch({request, context}) {
   return {type, term, result: {items, total}};
 }
 
-/** @typedef {import('./+types/search').Route} Route */
+/** @typedef {import('./+types/($locale).search').Route} Route */
 /** @typedef {import('~/lib/search').RegularSearchReturn} RegularSearchReturn */
 /** @typedef {import('~/lib/search').PredictiveSearchReturn} PredictiveSearchReturn */
 /** @typedef {import('storefrontapi.generated').RegularSearchQuery} RegularSearchQuery */
@@ -0,0 +1,135 @@
+import {data, Link, redirect, useLoaderData} from 'react-router';
+import {WishlistProducts} from '~/components/Wishlist';
+import {getCartIncentives, syncGiftLines} from '~/lib/cartIncentives';
+import {localizePath, useSelectedLocale} from '~/lib/i18n';
+import {getWishlistProducts} from '~/lib/wishlist';
+
+const PRODUCT_GID_REGEX = /^gid:\/\/shopify\/Product\/\d+$/;
+const VARIANT_GID_REGEX = /^gid:\/\/shopify\/ProductVariant\/\d+$/;
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [{title: 'Hydrogen | Wishlist'}, {name: 'robots', content: 'noindex'}];
+};
+
+/**
+ * Guests' wishlist, customers have theirs in their account
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  const {customerAccount, storefront, wishlist} = context;
+
+  if (await customerAccount.isLoggedIn()) {
+    return redirect(localizePath('/account/wishlist', storefront.i18n));
+  }
+
+  return {
+    products: await getWishlistProducts(storefront, await wishlist.get()),
+  };
+}
+
+/**
+ * Wishlist updates from the hearts, the cart lines ("save for later") and
+ * the wishlist page ("move to cart")
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  const {cart, storefront, wishlist} = context;
+  const formData = await request.formData();
+
+  const intent = formData.get('intent');
+  const productId = String(formData.get('productId') ?? '');
+  const variantId = String(formData.get('variantId') ?? '') || null;
+
+  if (
+    !PRODUCT_GID_REGEX.test(productId) ||
+    (variantId && !VARIANT_GID_REGEX.test(variantId))
+  ) {
+    return data({error: 'Invalid product.'}, {status: 400});
+  }
+
+  let result = null;
+
+  try {
+    switch (intent) {
+      case 'add':
+        await wishlist.add({productId, variantId});
+        break;
+      case 'remove':
+        await wishlist.remove(productId);
+        break;
+      case 'saveForLater': {
+        const lineId = String(formData.get('lineId') ?? '');
+        if (!lineId) {
+          return data({error: 'Missing cart line.'}, {status: 400});
+        }
+        await wishlist.add({productId, variantId});
+        result = await cart.removeLines([lineId]);
+        break;
+      }
+      case 'moveToCart': {
+        if (!variantId) {
+          return data({error: 'Missing variant.'}, {status: 400});
+        }
+        result = await cart.addLines([{merchandiseId: variantId, quantity: 1}]);
+        // Keep the product saved when it couldn't be added, e.g. out of stock
+        if (
+          !result.errors?.length &&
+          !result.userErrors?.length &&
+          !result.warnings?.length
+        ) {
+          await wishlist.remove(productId);
+        }
+        break;
+      }
+      default:
+        return data({error: 'Unknown wishlist action.'}, {status: 400});
+    }
+  } catch (error) {
+    console.error('Wishlist update error:', error);
+    return data(
+      {error: 'Your wishlist could not be updated, please try again.'},
+      {status: 500},
+    );
+  }
+
+  if (!result) return {error: null, warnings: []};
+
+  const error =
+    result.errors?.[0]?.message ?? result.userErrors?.[0]?.message ?? null;
+  const warnings = result.warnings?.map((warning) => warning.message) ?? [];
+  if (!result.cart?.id) return data({error, warnings}, {status: 400});
+
+  // The cart lines changed, same as the /cart action
+  const incentives = await getCartIncentives(storefront);
+  // The errors stay the ones of the wishlist action, not of the gift sync
+  const giftsResult = await syncGiftLines(cart, incentives);
+
+  return data(
+    {error, warnings},
+    {headers: cart.setCartId(giftsResult?.cart?.id ?? result.cart.id)},
+  );
+}
+
+export default function Wishlist() {
+  const locale = useSelectedLocale();
+  /** @type {LoaderReturnData} */
+  const {products} = useLoaderData();
+
+  return (
+    <div className="wishlist">
+      <h1>Wishlist</h1>
+      <p>
+        <Link to={localizePath('/account/login', locale)}>Sign in</Link> to keep
+        your wishlist on all your devices.
+      </p>
+      <br />
+      <WishlistProducts products={products} />
+    </div>
+  );
+}
+
+/** @typedef {import('./+types/($locale).wishlist').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
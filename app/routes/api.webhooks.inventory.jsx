@@ -0,0 +1,62 @@
+import {readShopifyWebhook} from '~/lib/webhooks';
+
+/**
+ * Back-in-stock Webhook Route
+ *
+ * Receives Shopify `products/update` webhooks and notifies the waitlist of
+ * every variant that went from sold out to in stock since the previous
+ * update, see `~/lib/restocks`. Other product updates, e.g. a title or price
+ * edit, don't notify.
+ *
+ * Set up:
+ *   - Subscribe https://<storefront domain>/api/webhooks/inventory to the
+ *     `products/update` topic (JSON format) from your app or the admin.
+ *   - SHOPIFY_WEBHOOK_SECRET=the webhook signing secret, in .env
+ */
+
+/**
+ * @param {Route.ActionArgs} args
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', {status: 405});
+  }
+
+  const {env, newsletter, restockTracker, waitUntil} = context;
+  const product = await readShopifyWebhook(request, env.SHOPIFY_WEBHOOK_SECRET);
+
+  if (!product) {
+    return new Response('Invalid webhook signature', {status: 401});
+  }
+
+  // Acknowledge other topics so Shopify does not retry them
+  if (
+    request.headers.get('X-Shopify-Topic') !== 'products/update' ||
+    !newsletter.notifyWaitlist
+  ) {
+    return new Response(null, {status: 204});
+  }
+
+  const restockedVariants = await restockTracker.update(product.variants ?? []);
+  const restocks = restockedVariants.map((variant) => ({
+    variantId: variant.admin_graphql_api_id,
+    productHandle: product.handle,
+    productTitle: product.title,
+    variantTitle: variant.title,
+  }));
+
+  // Shopify expects an answer within 5 seconds, notify in the background
+  waitUntil(
+    Promise.all(
+      restocks.map((restock) =>
+        newsletter.notifyWaitlist(restock).catch((error) => {
+          console.error('Waitlist notification error:', error);
+        }),
+      ),
+    ),
+  );
+
+  return new Response(null, {status: 204});
+}
+
+/** @typedef {import('./+types/api.webhooks.inventory').Route} Route */
@@ -5,3 +5,32 @@
 
 // Enhance TypeScript's built-in typings.
 import '@total-typescript/ts-reset';
+
+declare global {
+  /**
+   * Storefront env vars, in addition to the Hydrogen ones. All optional,
+   * see the module using each one.
+   */
+  interface Env {
+    /** `~/lib/newsletterProviders`: klaviyo | shopify | mailchimp | log */
+    NEWSLETTER_PROVIDER?: string;
+    KLAVIYO_PRIVATE_API_KEY?: string;
+    KLAVIYO_LIST_ID?: string;
+    /** With its data center suffix, e.g. `abc123-us21` */
+    MAILCHIMP_API_KEY?: string;
+    MAILCHIMP_LIST_ID?: string;
+    /** `~/lib/newsletter`: comma-separated country codes, e.g. `DE,FR`, or `*` */
+    NEWSLETTER_DOUBLE_OPT_IN_COUNTRIES?: string;
+    /** `~/lib/launchMode`: teaser | password | live */
+    LAUNCH_MODE?: string;
+    STOREFRONT_PASSWORD?: string;
+    /** Bearer token of the `/api/launch-preview` route */
+    LAUNCH_PREVIEW_KEY?: string;
+    /** Signing secret of the Shopify webhooks */
+    SHOPIFY_WEBHOOK_SECRET?: string;
+    /** `~/lib/cartAttributes`: numeric id or gid of the gift-wrap variant */
+    GIFT_WRAP_VARIANT_ID?: string;
+    /** `~/components/GoogleTagManager`, e.g. `GTM-XXXXXXX` */
+    PUBLIC_GOOGLE_TAG_MANAGER_ID?: string;
+  }
+}
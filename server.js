@@ -35,7 +35,8 @@ export default {
       const response = await handleRequest(request);
 
       if (hydrogenContext.session.isPending) {
-        response.headers.set(
+        // Append, loaders may already set cookies (e.g. the cart id)
+        response.headers.append(
           'Set-Cookie',
           await hydrogenContext.session.commit(),
         );